@@ -0,0 +1,90 @@
+// Player accounts: password hashing, session tokens and admin keys
+// Passwords are hashed with scrypt and a per-user salt. Session tokens are
+// random and only their SHA-256 hash is stored, so a leaked database can't be
+// used to log in.
+const crypto = require('crypto');
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const KEY_LENGTH = 64;
+
+const USERNAME_PATTERN = /^[\w\- ]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+// Stored as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const key = await scrypt(password, salt);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+function createSessionToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// "Authorization: Bearer <token>"
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [type, token] = header.split(' ');
+  return type === 'Bearer' && token ? token : null;
+}
+
+// Admin API key from the "X-Admin-Key" header, for scripts and dashboards.
+// Disabled unless ADMIN_API_KEY is set.
+function isValidAdminKey(req) {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.headers['x-admin-key'];
+  if (!expected || typeof provided !== 'string') {
+    return false;
+  }
+  const a = hashToken(provided);
+  const b = hashToken(expected);
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+    return 'Username must be 3-20 letters, numbers, spaces, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return 'Password too long';
+  }
+  return null;
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  hashToken,
+  getBearerToken,
+  isValidAdminKey,
+  validateCredentials
+};
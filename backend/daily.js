@@ -0,0 +1,46 @@
+// Daily challenge
+// Every UTC day gets one seed, so all players fly through the same pipes.
+// Set DAILY_SEED_SECRET in production so upcoming layouts can't be computed ahead.
+const { hashSeed } = require('../src/engine');
+
+const DAILY_MODE = 'normal';
+const DAILY_ATTEMPTS = 3; // Best of 3 counts
+// Runs started just before midnight may still be submitted for a few minutes
+const DAILY_GRACE_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD of the UTC day `time` falls on
+function utcDate(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function isValidDate(date) {
+  return typeof date === 'string' && DATE_PATTERN.test(date) && !isNaN(Date.parse(date));
+}
+
+function getDailyChallenge(date = utcDate()) {
+  const secret = process.env.DAILY_SEED_SECRET || '';
+  return {
+    date,
+    seed: hashSeed(`daily:${date}:${secret}`),
+    mode: DAILY_MODE,
+    attempts: DAILY_ATTEMPTS,
+    resetsAt: new Date(Date.parse(date) + DAY_MS).toISOString()
+  };
+}
+
+// Today's challenge, or yesterday's during the grace period after midnight
+function isOpenForSubmissions(date, now = Date.now()) {
+  return date === utcDate(now) || date === utcDate(now - DAILY_GRACE_MS);
+}
+
+module.exports = {
+  DAILY_MODE,
+  DAILY_ATTEMPTS,
+  utcDate,
+  isValidDate,
+  getDailyChallenge,
+  isOpenForSubmissions
+};
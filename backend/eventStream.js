@@ -0,0 +1,50 @@
+// Server-Sent Events broadcaster, used for live leaderboard updates
+// Every subscriber gets every event; clients pick the ones they care about.
+
+// Comments sent now and then so proxies don't close idle connections
+const HEARTBEAT_MS = 25 * 1000;
+// How long browsers wait before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+function createEventStream({ maxClients = 500 } = {}) {
+  const clients = new Set();
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(res => res.write(': ping\n\n'));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  // Route handler that keeps the response open as an event stream
+  function subscribe(req, res) {
+    if (clients.size >= maxClients) {
+      return res.status(503).json({ error: 'Too many live connections, try again later', code: 'STREAM_FULL' });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering events
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  }
+
+  function publish(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(res => res.write(message));
+  }
+
+  return {
+    subscribe,
+    publish,
+    get size() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = { createEventStream };
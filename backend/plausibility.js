@@ -0,0 +1,56 @@
+// Plausibility checks for submitted runs
+// Replay verification proves a score follows from the inputs, but a bot can
+// still compute perfect inputs offline. These checks compare the run against
+// the wall-clock time between issuing its run token and the submission.
+//
+// They only catch runs played faster than real time. Run tokens stay valid
+// for a day (so offline scores can be sent later), and a bot that requests a
+// token, waits, and submits inputs prepared in the meantime passes as long as
+// the run fits into the time that went by.
+const { constants, getMode, getPipeSpeed } = require('../src/engine');
+
+const { FPS, WIDTH, BIRD_X, PIPE_WIDTH } = constants;
+
+// Allow for clock drift and request latency
+const TIME_TOLERANCE = 1.1;
+const LATENCY_FRAMES = FPS * 2;
+
+// Even at top speed a pipe needs this long to get past the bird
+const MIN_TRAVEL_FRAMES = Math.floor((WIDTH - BIRD_X + PIPE_WIDTH) / getPipeSpeed(Infinity));
+
+// Frames of play that fit into the elapsed time
+function framesForElapsed(elapsedMs) {
+  return (elapsedMs / 1000) * FPS * TIME_TOLERANCE + LATENCY_FRAMES;
+}
+
+// Highest score reachable in `frames`: one pipe spawns every pipeInterval
+// frames and has to travel past the bird before it counts. With power-ups on,
+// a pipe can be worth double.
+function maxScoreForFrames(mode, frames, powerups) {
+  const { pipeInterval } = getMode(mode);
+  const pipes = Math.max(0, Math.floor((frames - MIN_TRAVEL_FRAMES) / pipeInterval));
+  return powerups ? pipes * 2 : pipes;
+}
+
+// Returns { code, message } when the run is implausible, otherwise null
+function checkPlausibility({ mode, powerups = false, score, frames, elapsedMs }) {
+  const availableFrames = framesForElapsed(elapsedMs);
+
+  if (frames > availableFrames) {
+    return {
+      code: 'RUN_TOO_FAST',
+      message: `Run lasted ${frames} frames but only ${Math.round(elapsedMs / 1000)}s passed`
+    };
+  }
+
+  if (score > maxScoreForFrames(mode, availableFrames, powerups)) {
+    return {
+      code: 'IMPLAUSIBLE_SCORE',
+      message: `Score ${score} can't be reached in ${Math.round(elapsedMs / 1000)}s`
+    };
+  }
+
+  return null;
+}
+
+module.exports = { checkPlausibility };
@@ -0,0 +1,39 @@
+const { checkPlausibility } = require('./plausibility');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('checkPlausibility', () => {
+  it('accepts a run that fits into the time that passed', () => {
+    expect(checkPlausibility({ mode: 'easy', score: 10, frames: 60 * 60, elapsedMs: MINUTE_MS })).toBeNull();
+  });
+
+  it('allows for latency on very short runs', () => {
+    expect(checkPlausibility({ mode: 'easy', score: 0, frames: 40, elapsedMs: 0 })).toBeNull();
+  });
+
+  it('rejects a run that lasted longer than the time since it started', () => {
+    const problem = checkPlausibility({ mode: 'easy', score: 0, frames: 60 * 60, elapsedMs: 10 * 1000 });
+
+    expect(problem.code).toBe('RUN_TOO_FAST');
+  });
+
+  it('rejects more pipes than could have spawned and reached the bird', () => {
+    const problem = checkPlausibility({ mode: 'easy', score: 10, frames: 600, elapsedMs: 10 * 1000 });
+
+    expect(problem.code).toBe('IMPLAUSIBLE_SCORE');
+  });
+
+  it('allows higher scores where pipes come faster', () => {
+    const run = { score: 20, frames: 60 * 60, elapsedMs: MINUTE_MS };
+
+    expect(checkPlausibility(Object.assign({ mode: 'hard' }, run))).toBeNull();
+    expect(checkPlausibility(Object.assign({ mode: 'easy' }, run)).code).toBe('IMPLAUSIBLE_SCORE');
+  });
+
+  it('allows double points with power-ups', () => {
+    const run = { mode: 'easy', score: 30, frames: 60 * 60, elapsedMs: MINUTE_MS };
+
+    expect(checkPlausibility(Object.assign({ powerups: true }, run))).toBeNull();
+    expect(checkPlausibility(run).code).toBe('IMPLAUSIBLE_SCORE');
+  });
+});
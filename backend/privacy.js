@@ -0,0 +1,81 @@
+// Privacy settings for request logging
+// Controls how much of a visitor's IP and user agent ends up in the visitor
+// and analytics tables, and whether a request is logged at all.
+const crypto = require('crypto');
+
+// PRIVACY_IP_MODE: "truncate" (default) zeroes the host part of the address,
+// "hash" stores a keyed hash, "full" keeps the address as is
+const IP_MODES = ['truncate', 'hash', 'full'];
+const IP_MODE = IP_MODES.includes(process.env.PRIVACY_IP_MODE) ? process.env.PRIVACY_IP_MODE : 'truncate';
+
+// Without a fixed key hashes change on every restart, which also means they
+// can't be linked across restarts
+const IP_HASH_KEY = process.env.IP_HASH_KEY || crypto.randomBytes(32).toString('hex');
+
+// Rows in the visitor and analytics tables older than this are removed
+const RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS) || 90;
+
+// Full user agents are only kept when PRIVACY_KEEP_USER_AGENT=true
+const KEEP_USER_AGENT = process.env.PRIVACY_KEEP_USER_AGENT === 'true';
+
+// Sent by the frontend when the player turns analytics off
+const CONSENT_HEADER = 'x-analytics-consent';
+const CONSENT_COOKIE = 'flappybird_analytics';
+
+// 203.0.113.57 -> 203.0.113.0, 2001:db8:1:2::1 -> 2001:db8:1::
+function truncateIp(ip) {
+  const address = ip.replace(/^::ffff:/, '');
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+    return address.replace(/\.\d+$/, '.0');
+  }
+  if (address.includes(':')) {
+    const groups = address.split('::')[0].split(':');
+    return `${groups.slice(0, 3).join(':')}::`;
+  }
+  return 'unknown';
+}
+
+function anonymizeIp(ip) {
+  if (!ip || ip === 'unknown') {
+    return 'unknown';
+  }
+  if (IP_MODE === 'full') {
+    return ip;
+  }
+  if (IP_MODE === 'hash') {
+    return crypto.createHmac('sha256', IP_HASH_KEY).update(ip).digest('hex').slice(0, 32);
+  }
+  return truncateIp(ip);
+}
+
+// `summary` is the parsed "browser / OS / device" kept instead of the raw header
+function anonymizeUserAgent(userAgent, summary) {
+  return KEEP_USER_AGENT ? userAgent : summary;
+}
+
+function getCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (let i = 0; i < cookies.length; i++) {
+    const [key, value] = cookies[i].trim().split('=');
+    if (key === name) {
+      return value;
+    }
+  }
+  return null;
+}
+
+// Do Not Track, Global Privacy Control, or analytics turned off in the game
+function hasOptedOut(req) {
+  return req.headers.dnt === '1' ||
+    req.headers['sec-gpc'] === '1' ||
+    req.headers[CONSENT_HEADER] === 'denied' ||
+    getCookie(req, CONSENT_COOKIE) === 'denied';
+}
+
+module.exports = {
+  IP_MODE,
+  RETENTION_DAYS,
+  anonymizeIp,
+  anonymizeUserAgent,
+  hasOptedOut
+};
@@ -0,0 +1,209 @@
+// Local test harness for race rooms: simulated players that race each other
+// against a running server.
+//
+//   node raceBots.js [--url http://localhost:3001] [--players 4] [--mode easy] [--drop 2]
+//
+// Every bot logs in (registering its account the first time), the first one
+// creates a room and the others join it by code. Once all are in, the host
+// starts the race and each bot flies the shared seed in real time with the
+// game engine and a rough autopilot, sending its position like the browser
+// does. Bots differ in how often they miss a flap, so they crash at different
+// times. `--drop n` makes bot n lose its connection mid-race. The harness
+// prints the results table the server sends and exits.
+const http = require('http');
+const https = require('https');
+const WebSocket = require('ws');
+const { constants, createState, step } = require('../src/engine');
+
+const { FPS, HEIGHT } = constants;
+
+const PASSWORD = 'race-bot-password';
+// Every few frames, like the browser
+const POSITION_EVERY = 3;
+// Give up if the race hasn't finished by then
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { url: 'http://localhost:3001', players: 4, mode: 'easy', drop: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in options)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    options[name] = typeof options[name] === 'string' ? argv[i + 1] : Number(argv[i + 1]);
+  }
+  return options;
+}
+
+function postJson(url, body) {
+  const target = new URL(url);
+  const data = JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+    }, response => {
+      let text = '';
+      response.on('data', chunk => {
+        text += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text || '{}') }));
+    });
+    request.on('error', reject);
+    request.end(data);
+  });
+}
+
+// Session token of a bot account, registering it the first time
+async function logIn(url, username) {
+  const credentials = { username, password: PASSWORD };
+  let response = await postJson(`${url}/api/auth/register`, credentials);
+  if (response.status === 409) {
+    response = await postJson(`${url}/api/auth/login`, credentials);
+  }
+  if (!response.body.token) {
+    throw new Error(`${username} could not log in: ${response.body.error}`);
+  }
+  return response.body.token;
+}
+
+// Flap when the bird sinks below the middle of the next gap, except for the
+// flaps this bot misses
+function wantsToFlap(state, sloppiness) {
+  const pipe = state.pipes.find(p => !p.scored);
+  const target = pipe ? pipe.topHeight + (HEIGHT - pipe.bottomHeight - pipe.topHeight) / 2 : HEIGHT / 2;
+  return state.bird.y > target + 10 && state.bird.velocity > 0 && Math.random() >= sloppiness;
+}
+
+function runBot({ url, index, token, mode, code, drop, onRoom, onResults }) {
+  const name = `race-bot-${index + 1}`;
+  const socket = new WebSocket(`${url.replace(/^http/, 'ws')}/api/race`);
+  const sloppiness = 0.01 * (index + 1);
+  let state = null;
+  let inputs = [];
+  let timer = null;
+
+  const send = (message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const fly = () => {
+    const flap = wantsToFlap(state, sloppiness);
+    if (flap) {
+      inputs.push(state.frame + 1);
+    }
+    state = step(state, { flap });
+    if (state.frame % POSITION_EVERY === 0) {
+      send({ type: 'position', frame: state.frame, y: state.bird.y, velocity: state.bird.velocity, score: state.score });
+    }
+    if (drop === index + 1 && state.frame === FPS * 2) {
+      console.log(`${name} drops its connection`);
+      clearInterval(timer);
+      socket.terminate();
+    } else if (state.over) {
+      clearInterval(timer);
+      console.log(`${name} crashed with ${state.score} after ${(state.frame / FPS).toFixed(1)}s`);
+      send({ type: 'finish', inputs, score: state.score });
+    }
+  };
+
+  socket.on('open', () => {
+    send(code ? { type: 'join', token, code } : { type: 'create', token, mode });
+  });
+
+  socket.on('message', data => {
+    const message = JSON.parse(data);
+    if (message.type === 'error') {
+      console.log(`${name} got an error: ${message.code} - ${message.error}`);
+    } else if (message.type === 'room') {
+      const { room } = message;
+      onRoom(room, send);
+      // Start flying together at the end of the countdown
+      if (room.state === 'countdown' && !state) {
+        state = createState({ seed: room.seed, mode: room.mode, version: room.version });
+        inputs = [];
+        setTimeout(() => {
+          timer = setInterval(fly, 1000 / FPS);
+        }, room.startsIn);
+      }
+    } else if (message.type === 'results') {
+      onResults(message.results);
+      socket.close();
+    }
+  });
+
+  socket.on('close', () => clearInterval(timer));
+  return socket;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const tokens = [];
+  for (let i = 0; i < options.players; i++) {
+    tokens.push(await logIn(options.url, `race-bot-${i + 1}`));
+  }
+
+  const sockets = [];
+  const done = new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('The race did not finish in time')), TIMEOUT_MS);
+    let started = false;
+
+    const startBot = (index, code) => {
+      sockets.push(runBot({
+        url: options.url,
+        index,
+        token: tokens[index],
+        mode: options.mode,
+        code,
+        drop: options.drop,
+        // The host starts the race once everybody is in
+        onRoom: (room, send) => {
+          if (index === 0 && room.state === 'lobby' && room.players.length === options.players && !started) {
+            started = true;
+            console.log(`Everybody is in room ${room.code}, starting`);
+            send({ type: 'start' });
+          }
+        },
+        onResults: results => {
+          clearTimeout(timeout);
+          resolve(results);
+        }
+      }));
+    };
+
+    // The host's first room message has the code for everybody else
+    startBot(0, null);
+    sockets[0].on('message', data => {
+      const message = JSON.parse(data);
+      if (message.type === 'room' && sockets.length === 1) {
+        console.log(`Room ${message.room.code} created`);
+        for (let i = 1; i < options.players; i++) {
+          startBot(i, message.room.code);
+        }
+      }
+    });
+  });
+
+  try {
+    const results = await done;
+    console.log('\nRank  Player        Score  Time    Result');
+    results.forEach(result => {
+      console.log([
+        String(result.rank).padEnd(6),
+        result.username.padEnd(14),
+        String(result.score).padEnd(7),
+        `${(result.frames / FPS).toFixed(1)}s`.padEnd(8),
+        result.status
+      ].join(''));
+    });
+  } finally {
+    sockets.forEach(socket => socket.terminate());
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
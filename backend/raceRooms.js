@@ -0,0 +1,448 @@
+// Online race rooms over WebSocket
+// A player creates a room and shares its code; everyone who joins races on the
+// same seed. The host starts a shared countdown, every client reports its
+// bird's position as it flies and the server relays it to the others. When
+// a bird crashes its client sends the run's inputs, which are replayed like
+// any submitted run, so the results table only ranks verified scores.
+// Rooms only live in memory - a restart ends every race.
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { constants, createSeed, isValidMode, SKIN_UNLOCKS } = require('../src/engine');
+const { verifyRun, ReplayError } = require('./replay');
+const { checkPlausibility } = require('./plausibility');
+
+const { RULES_VERSION } = constants;
+
+// Codes leave out letters and digits that are easy to mix up (O/0, I/1)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+const MAX_ROOMS = 500;
+const COUNTDOWN_MS = 3000;
+// Birds still flying this long after the start are ranked on their last position
+const RACE_TIMEOUT_MS = 15 * 60 * 1000;
+// A finished room keeps its results this long before it is closed
+const RESULTS_TTL_MS = 60 * 1000;
+// Connections that don't answer a ping within this time are dropped
+const HEARTBEAT_MS = 30 * 1000;
+// Room for the inputs of a long run
+const MAX_MESSAGE_BYTES = 256 * 1024;
+
+// Skins a bird can be drawn with for the others (see src/skins.js); unknown
+// ones get the first
+const SKINS = ['classic'].concat(Object.keys(SKIN_UNLOCKS));
+
+// How a player's race ended, best first. Only `finished` runs were verified.
+const RESULT_ORDER = ['finished', 'timeout', 'left', 'rejected'];
+
+function createCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Ranked results: verified runs first, then by score and by how long the bird
+// flew. Players with the same result share a rank.
+function rankPlayers(players) {
+  const sorted = players.slice().sort((a, b) => (
+    RESULT_ORDER.indexOf(a.result.status) - RESULT_ORDER.indexOf(b.result.status) ||
+    b.result.score - a.result.score ||
+    b.result.frames - a.result.frames
+  ));
+  let rank = 0;
+  return sorted.map((player, index) => {
+    const previous = sorted[index - 1];
+    const tied = previous &&
+      previous.result.status === player.result.status &&
+      previous.result.score === player.result.score &&
+      previous.result.frames === player.result.frames;
+    if (!tied) {
+      rank = index + 1;
+    }
+    return {
+      rank,
+      id: player.id,
+      username: player.username,
+      score: player.result.score,
+      frames: player.result.frames,
+      status: player.result.status
+    };
+  });
+}
+
+// `authenticate(token)` resolves to the logged in user ({ id, username }) for
+// a session token, or null. The countdown and race timeout can be shortened,
+// e.g. for tests.
+function createRaceRooms({
+  server,
+  path,
+  authenticate,
+  countdownMs = COUNTDOWN_MS,
+  raceTimeoutMs = RACE_TIMEOUT_MS
+}) {
+  const wss = new WebSocketServer({ server, path, maxPayload: MAX_MESSAGE_BYTES });
+  const rooms = new Map();
+
+  function send(socket, message) {
+    if (socket && socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  function sendError(socket, code, error) {
+    send(socket, { type: 'error', error, code });
+  }
+
+  function broadcast(room, message, except = null) {
+    room.players.forEach(player => {
+      if (player !== except) {
+        send(player.socket, message);
+      }
+    });
+  }
+
+  // What players see of a room. The seed is only handed out with the countdown.
+  function describeRoom(room) {
+    return {
+      code: room.code,
+      mode: room.mode,
+      version: room.version,
+      seed: room.state === 'lobby' ? null : room.seed,
+      state: room.state,
+      host: room.hostId,
+      startsIn: room.state === 'countdown' ? Math.max(room.startsAt - Date.now(), 0) : null,
+      players: Array.from(room.players.values()).map(player => ({
+        id: player.id,
+        username: player.username,
+        skin: player.skin,
+        connected: player.socket !== null,
+        finished: player.result !== null
+      }))
+    };
+  }
+
+  function publishRoom(room) {
+    broadcast(room, { type: 'room', room: describeRoom(room) });
+  }
+
+  function closeRoom(room) {
+    clearTimeout(room.timer);
+    rooms.delete(room.code);
+    room.players.forEach(player => {
+      if (player.socket) {
+        player.socket.room = null;
+      }
+    });
+    console.log(`Race room ${room.code} closed`);
+  }
+
+  function finishRace(room) {
+    clearTimeout(room.timer);
+    room.state = 'finished';
+    const results = rankPlayers(Array.from(room.players.values()));
+    publishRoom(room);
+    broadcast(room, { type: 'results', results });
+    room.timer = setTimeout(() => closeRoom(room), RESULTS_TTL_MS);
+    room.timer.unref();
+  }
+
+  // The race is over once every bird has crashed, left or run out of time
+  function checkFinished(room) {
+    if (room.state === 'racing' && Array.from(room.players.values()).every(player => player.result)) {
+      finishRace(room);
+    }
+  }
+
+  function startCountdown(room) {
+    room.state = 'countdown';
+    room.seed = createSeed();
+    room.startsAt = Date.now() + countdownMs;
+    publishRoom(room);
+    room.timer = setTimeout(() => {
+      room.state = 'racing';
+      publishRoom(room);
+      room.timer = setTimeout(() => timeOut(room), raceTimeoutMs);
+      room.timer.unref();
+    }, countdownMs);
+    room.timer.unref();
+  }
+
+  function timeOut(room) {
+    room.players.forEach(player => {
+      if (!player.result) {
+        player.result = { status: 'timeout', score: player.position.score, frames: player.position.frame };
+      }
+    });
+    finishRace(room);
+  }
+
+  function addPlayer(room, socket, user, skin) {
+    const player = {
+      id: user.id,
+      username: user.username,
+      skin: SKINS.indexOf(skin) !== -1 ? skin : SKINS[0],
+      socket,
+      position: { frame: 0, score: 0 },
+      result: null
+    };
+    room.players.set(user.id, player);
+    socket.room = room;
+    socket.player = player;
+    send(socket, { type: 'welcome', playerId: user.id });
+    publishRoom(room);
+  }
+
+  // A player left the lobby, or their connection dropped
+  function removePlayer(room, player) {
+    player.socket = null;
+    if (room.state === 'lobby' || room.state === 'finished') {
+      room.players.delete(player.id);
+    } else if (!player.result) {
+      // Out of the race with the score they had reached
+      player.result = { status: 'left', score: player.position.score, frames: player.position.frame };
+    }
+
+    const players = Array.from(room.players.values());
+    if (players.every(other => other.socket === null)) {
+      closeRoom(room);
+      return;
+    }
+    if (room.hostId === player.id && room.state === 'lobby') {
+      room.hostId = players[0].id;
+    }
+    publishRoom(room);
+    checkFinished(room);
+  }
+
+  function leaveRoom(socket) {
+    const { room, player } = socket;
+    socket.room = null;
+    socket.player = null;
+    if (room && rooms.get(room.code) === room && player.socket === socket) {
+      removePlayer(room, player);
+    }
+  }
+
+  // The player behind a create or join message, or null (after telling them)
+  async function login(socket, token) {
+    const user = typeof token === 'string' ? await authenticate(token) : null;
+    // The connection may have closed while we looked the session up
+    if (socket.readyState !== socket.OPEN) {
+      return null;
+    }
+    if (!user) {
+      sendError(socket, 'AUTH_REQUIRED', 'Please log in first');
+    }
+    return user;
+  }
+
+  async function onCreate(socket, message) {
+    const user = await login(socket, message.token);
+    if (!user) {
+      return;
+    }
+    if (!isValidMode(message.mode)) {
+      return sendError(socket, 'INVALID_MODE', 'Unknown game mode');
+    }
+    if (rooms.size >= MAX_ROOMS) {
+      return sendError(socket, 'SERVER_BUSY', 'Too many rooms open, try again later');
+    }
+    leaveRoom(socket);
+
+    let code = createCode();
+    while (rooms.has(code)) {
+      code = createCode();
+    }
+    const room = {
+      code,
+      mode: message.mode,
+      version: RULES_VERSION,
+      seed: null,
+      state: 'lobby',
+      hostId: user.id,
+      startsAt: null,
+      timer: null,
+      players: new Map()
+    };
+    rooms.set(code, room);
+    console.log(`Race room ${code} created by ${user.username}`);
+    addPlayer(room, socket, user, message.skin);
+  }
+
+  async function onJoin(socket, message) {
+    const user = await login(socket, message.token);
+    if (!user) {
+      return;
+    }
+    const room = rooms.get(String(message.code || '').trim().toUpperCase());
+    if (!room) {
+      return sendError(socket, 'ROOM_NOT_FOUND', 'There is no room with this code');
+    }
+    if (room.state !== 'lobby') {
+      return sendError(socket, 'ROOM_STARTED', 'This race has already started');
+    }
+
+    // The same player joining again (e.g. from a new tab) takes over their seat
+    const existing = room.players.get(user.id);
+    if (existing) {
+      sendError(existing.socket, 'REPLACED', 'You joined this room somewhere else');
+      existing.socket.room = null;
+      existing.socket.player = null;
+      room.players.delete(user.id);
+    } else if (room.players.size >= MAX_PLAYERS) {
+      return sendError(socket, 'ROOM_FULL', 'This room is full');
+    }
+    leaveRoom(socket);
+    addPlayer(room, socket, user, message.skin);
+  }
+
+  function onStart(socket) {
+    const { room, player } = socket;
+    if (room.hostId !== player.id) {
+      return sendError(socket, 'NOT_HOST', 'Only the host can start the race');
+    }
+    if (room.state !== 'lobby') {
+      return sendError(socket, 'ROOM_STARTED', 'This race has already started');
+    }
+    if (room.players.size < MIN_PLAYERS) {
+      return sendError(socket, 'NOT_ENOUGH_PLAYERS', `A race needs at least ${MIN_PLAYERS} players`);
+    }
+    startCountdown(room);
+  }
+
+  // Relayed as is; positions only draw the other birds, they aren't trusted
+  function onPosition(socket, message) {
+    const { room, player } = socket;
+    if (room.state !== 'racing' || player.result) {
+      return;
+    }
+    const { frame, y, velocity, score } = message;
+    if (!Number.isInteger(frame) || !isNumber(y) || !isNumber(velocity) || !Number.isInteger(score)) {
+      return sendError(socket, 'INVALID_POSITION', 'Positions need a frame, y, velocity and score');
+    }
+    player.position = { frame, score };
+    broadcast(room, { type: 'position', id: player.id, frame, y, velocity, score }, player);
+  }
+
+  // The bird crashed: replay the run on the room's seed to get its score
+  function onFinish(socket, message) {
+    const { room, player } = socket;
+    if (room.state !== 'racing') {
+      return sendError(socket, 'NOT_RACING', 'The race has not started');
+    }
+    if (player.result) {
+      return sendError(socket, 'ALREADY_FINISHED', 'Your run is already in');
+    }
+
+    try {
+      const run = verifyRun({
+        seed: room.seed,
+        mode: room.mode,
+        version: room.version,
+        inputs: message.inputs,
+        score: message.score
+      });
+      const problem = checkPlausibility({
+        mode: room.mode,
+        score: run.score,
+        frames: run.frames,
+        elapsedMs: Date.now() - room.startsAt
+      });
+      if (problem) {
+        throw new ReplayError(problem.code, problem.message);
+      }
+      player.result = { status: 'finished', score: run.score, frames: run.frames };
+    } catch (err) {
+      if (!(err instanceof ReplayError)) {
+        throw err;
+      }
+      console.log(`Race room ${room.code}: rejected the run of ${player.username} (${err.code})`);
+      player.result = { status: 'rejected', score: 0, frames: 0 };
+      sendError(socket, err.code, err.message);
+    }
+    broadcast(room, { type: 'finished', id: player.id, score: player.result.score });
+    publishRoom(room);
+    checkFinished(room);
+  }
+
+  async function onMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      return sendError(socket, 'INVALID_MESSAGE', 'Messages must be JSON');
+    }
+    if (!message || typeof message !== 'object') {
+      return sendError(socket, 'INVALID_MESSAGE', 'Messages must be JSON objects');
+    }
+
+    if (message.type === 'create') {
+      return onCreate(socket, message);
+    }
+    if (message.type === 'join') {
+      return onJoin(socket, message);
+    }
+    if (!socket.room) {
+      return sendError(socket, 'NOT_IN_ROOM', 'Create or join a room first');
+    }
+    switch (message.type) {
+      case 'start':
+        return onStart(socket);
+      case 'position':
+        return onPosition(socket, message);
+      case 'finish':
+        return onFinish(socket, message);
+      case 'leave':
+        return leaveRoom(socket);
+      default:
+        return sendError(socket, 'INVALID_MESSAGE', `Unknown message type ${message.type}`);
+    }
+  }
+
+  wss.on('connection', socket => {
+    socket.room = null;
+    socket.player = null;
+    socket.alive = true;
+    socket.on('pong', () => {
+      socket.alive = true;
+    });
+    socket.on('message', data => {
+      onMessage(socket, data).catch(err => {
+        console.error('Race room error:', err);
+        sendError(socket, 'INTERNAL_ERROR', 'Internal server error');
+      });
+    });
+    socket.on('close', () => leaveRoom(socket));
+  });
+
+  // Drop connections that went away without closing (sleeping phones, lost Wi-Fi)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.alive) {
+        socket.terminate();
+        return;
+      }
+      socket.alive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return {
+    close: () => wss.close(),
+    get size() {
+      return rooms.size;
+    }
+  };
+}
+
+module.exports = { createRaceRooms, rankPlayers, MIN_PLAYERS, MAX_PLAYERS, COUNTDOWN_MS };
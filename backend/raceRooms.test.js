@@ -0,0 +1,274 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { createRaceRooms, rankPlayers, MAX_PLAYERS } = require('./raceRooms');
+
+let nextId = 1;
+function player(username, status, score, frames) {
+  return { id: nextId++, username, result: { status, score, frames } };
+}
+
+const ranking = (players) => rankPlayers(players).map(entry => [entry.rank, entry.username]);
+
+describe('rankPlayers', () => {
+  it('ranks by score, then by how long the bird flew', () => {
+    expect(ranking([
+      player('ann', 'finished', 5, 900),
+      player('bob', 'finished', 12, 1500),
+      player('cid', 'finished', 5, 1200)
+    ])).toEqual([[1, 'bob'], [2, 'cid'], [3, 'ann']]);
+  });
+
+  it('puts finished runs ahead of timed out, left and rejected ones', () => {
+    expect(ranking([
+      player('rex', 'rejected', 0, 0),
+      player('lea', 'left', 30, 3000),
+      player('tim', 'timeout', 20, 2500),
+      player('fay', 'finished', 1, 200)
+    ])).toEqual([[1, 'fay'], [2, 'tim'], [3, 'lea'], [4, 'rex']]);
+  });
+
+  it('gives players with the same result the same rank', () => {
+    expect(ranking([
+      player('ann', 'finished', 8, 1000),
+      player('bob', 'finished', 8, 1000),
+      player('cid', 'finished', 3, 500),
+      player('dan', 'timeout', 8, 1000)
+    ])).toEqual([[1, 'ann'], [1, 'bob'], [3, 'cid'], [4, 'dan']]);
+  });
+
+  it('returns the public result of each player without changing the list', () => {
+    const players = [player('ann', 'finished', 2, 300), player('bob', 'finished', 4, 400)];
+    const results = rankPlayers(players);
+
+    expect(players.map(p => p.username)).toEqual(['ann', 'bob']);
+    expect(results[0]).toEqual({ rank: 1, id: players[1].id, username: 'bob', score: 4, frames: 400, status: 'finished' });
+  });
+});
+
+// Session tokens of the players in these tests; the token is the username
+const USERS = ['ann', 'bob', 'cid', 'dan', 'eve', 'fay', 'gus', 'hal', 'ivy'].map((username, index) => ({
+  id: index + 1,
+  username
+}));
+
+const authenticate = async (token) => USERS.find(user => user.username === token) || null;
+
+// Runs that crash into the ground early on any seed, so they fit into the
+// time a test race takes
+const CRASH_RUN = { inputs: [], score: 0 };
+const LONGER_CRASH_RUN = { inputs: [10, 30], score: 0 };
+
+describe('race rooms', () => {
+  let server;
+  let rooms;
+  let url;
+  let clients;
+
+  // A player's connection. `next(type, match)` resolves to the first message
+  // of that type (passing `match`) that hasn't been taken yet.
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      const client = { socket, messages: [], waiting: [] };
+
+      client.send = (message) => socket.send(JSON.stringify(message));
+      client.next = (type, match = () => true) => new Promise(found => {
+        client.waiting.push({ type, match, found });
+        deliver(client);
+      });
+
+      socket.on('message', data => {
+        client.messages.push(JSON.parse(data));
+        deliver(client);
+      });
+      socket.on('open', () => resolve(client));
+      socket.on('error', reject);
+      clients.push(client);
+    });
+  }
+
+  function deliver(client) {
+    client.waiting = client.waiting.filter(waiter => {
+      const index = client.messages.findIndex(message => message.type === waiter.type && waiter.match(message));
+      if (index === -1) {
+        return true;
+      }
+      waiter.found(client.messages.splice(index, 1)[0]);
+      return false;
+    });
+  }
+
+  const roomIn = (client, state) => client.next('room', message => message.room.state === state);
+
+  async function createRoom(username, skin) {
+    const host = await connect();
+    host.send({ type: 'create', token: username, mode: 'easy', skin });
+    await host.next('welcome');
+    const { room } = await host.next('room');
+    return { host, code: room.code };
+  }
+
+  async function join(username, code) {
+    const client = await connect();
+    client.send({ type: 'join', token: username, code });
+    await client.next('welcome');
+    return client;
+  }
+
+  // A room with the host (ann) and the others joined, counted down and racing
+  async function startRace(count = 2) {
+    const { host, code } = await createRoom('ann');
+    const players = [host];
+    for (let i = 1; i < count; i++) {
+      players.push(await join(USERS[i].username, code));
+    }
+    await host.next('room', message => message.room.players.length === count);
+    host.send({ type: 'start' });
+    await Promise.all(players.map(client => roomIn(client, 'racing')));
+    return players;
+  }
+
+  beforeEach(done => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    clients = [];
+    server = http.createServer();
+    rooms = createRaceRooms({ server, path: '/race', authenticate, countdownMs: 50, raceTimeoutMs: 500 });
+    server.listen(0, () => {
+      url = `ws://localhost:${server.address().port}/race`;
+      done();
+    });
+  });
+
+  // Rooms close once the server has seen all their players go
+  afterEach(async () => {
+    clients.forEach(client => client.socket.terminate());
+    while (rooms.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    rooms.close();
+    await new Promise(resolve => server.close(resolve));
+    console.log.mockRestore();
+  });
+
+  it('creates a room the others join by its code', async () => {
+    const { host, code } = await createRoom('ann', 'bluejay');
+
+    expect(code).toMatch(/^[A-Z2-9]{5}$/);
+    const guest = await join('bob', code.toLowerCase());
+    const { room } = await host.next('room', message => message.room.players.length === 2);
+
+    expect(room).toMatchObject({ code, mode: 'easy', state: 'lobby', seed: null, host: 1 });
+    expect(room.players).toEqual([
+      { id: 1, username: 'ann', skin: 'bluejay', connected: true, finished: false },
+      { id: 2, username: 'bob', skin: 'classic', connected: true, finished: false }
+    ]);
+    expect((await guest.next('room')).room.players).toHaveLength(2);
+    expect(rooms.size).toBe(1);
+  });
+
+  it('turns away unknown codes, full rooms and players who are not logged in', async () => {
+    const stranger = await connect();
+    stranger.send({ type: 'create', token: 'nobody', mode: 'easy' });
+    expect((await stranger.next('error')).code).toBe('AUTH_REQUIRED');
+
+    stranger.send({ type: 'join', token: 'ivy', code: 'ZZZZZ' });
+    expect((await stranger.next('error')).code).toBe('ROOM_NOT_FOUND');
+
+    const { code } = await createRoom('ann');
+    for (let i = 1; i < MAX_PLAYERS; i++) {
+      await join(USERS[i].username, code);
+    }
+    stranger.send({ type: 'join', token: 'ivy', code });
+    expect((await stranger.next('error')).code).toBe('ROOM_FULL');
+  });
+
+  it('only lets the host start, and only with enough players', async () => {
+    const { host, code } = await createRoom('ann');
+    host.send({ type: 'start' });
+    expect((await host.next('error')).code).toBe('NOT_ENOUGH_PLAYERS');
+
+    const guest = await join('bob', code);
+    guest.send({ type: 'start' });
+    expect((await guest.next('error')).code).toBe('NOT_HOST');
+  });
+
+  it('counts down, races and ranks the verified runs', async () => {
+    const { host, code } = await createRoom('ann');
+    const guest = await join('bob', code);
+    host.send({ type: 'start' });
+
+    const { room } = await roomIn(host, 'countdown');
+    expect(room.seed).toEqual(expect.any(Number));
+    expect(room.startsIn).toBeGreaterThan(0);
+
+    const late = await connect();
+    late.send({ type: 'join', token: 'cid', code });
+    expect((await late.next('error')).code).toBe('ROOM_STARTED');
+
+    await roomIn(host, 'racing');
+    await roomIn(guest, 'racing');
+    host.send(Object.assign({ type: 'finish' }, CRASH_RUN));
+    expect(await guest.next('finished')).toEqual({ type: 'finished', id: 1, score: 0 });
+
+    guest.send(Object.assign({ type: 'finish' }, LONGER_CRASH_RUN));
+    await roomIn(host, 'finished');
+    const { results } = await host.next('results');
+
+    expect(results.map(result => [result.rank, result.username, result.status])).toEqual([
+      [1, 'bob', 'finished'],
+      [2, 'ann', 'finished']
+    ]);
+  });
+
+  it('passes positions on to the other players', async () => {
+    const [ann, bob] = await startRace();
+    ann.send({ type: 'position', frame: 30, y: 250, velocity: -2, score: 0 });
+
+    expect(await bob.next('position')).toEqual({ type: 'position', id: 1, frame: 30, y: 250, velocity: -2, score: 0 });
+  });
+
+  it('rejects a finish whose replay does not verify', async () => {
+    const [ann, bob] = await startRace();
+    ann.send({ type: 'finish', inputs: [], score: 5 });
+
+    expect((await ann.next('error')).code).toBe('SCORE_MISMATCH');
+    expect(await bob.next('finished')).toEqual({ type: 'finished', id: 1, score: 0 });
+
+    bob.send(Object.assign({ type: 'finish' }, CRASH_RUN));
+    const { results } = await bob.next('results');
+    expect(results.map(result => [result.username, result.status])).toEqual([['bob', 'finished'], ['ann', 'rejected']]);
+
+    ann.send(Object.assign({ type: 'finish' }, CRASH_RUN));
+    expect((await ann.next('error')).code).toBe('NOT_RACING');
+  });
+
+  it('ranks a player who disconnects mid-race as left', async () => {
+    const [ann, bob, cid] = await startRace(3);
+    cid.send({ type: 'position', frame: 60, y: 200, velocity: 1, score: 2 });
+    await ann.next('position');
+    cid.socket.close();
+    await ann.next('room', message => message.room.players.some(p => p.username === 'cid' && !p.connected));
+
+    ann.send(Object.assign({ type: 'finish' }, CRASH_RUN));
+    bob.send(Object.assign({ type: 'finish' }, LONGER_CRASH_RUN));
+    const { results } = await ann.next('results');
+
+    expect(results.map(result => [result.username, result.status, result.score])).toEqual([
+      ['bob', 'finished', 0],
+      ['ann', 'finished', 0],
+      ['cid', 'left', 2]
+    ]);
+  });
+
+  it('times out birds still flying on their last position', async () => {
+    const [ann, bob] = await startRace();
+    ann.send(Object.assign({ type: 'finish' }, CRASH_RUN));
+    bob.send({ type: 'position', frame: 90, y: 300, velocity: 0, score: 1 });
+    const { results } = await ann.next('results');
+
+    expect(results).toEqual([
+      { rank: 1, id: 1, username: 'ann', score: 0, frames: 35, status: 'finished' },
+      { rank: 2, id: 2, username: 'bob', score: 1, frames: 90, status: 'timeout' }
+    ]);
+  });
+});
@@ -0,0 +1,48 @@
+// In-memory fixed-window rate limiter
+// Good enough for a single server process; counters reset on restart.
+
+// `key(req)` picks what is limited (IP, user id...); returning null skips the check
+function createRateLimiter({ windowMs, max, key, name }) {
+  const hits = new Map();
+
+  // Drop finished windows so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [id, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(id);
+      }
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (id === null || id === undefined) {
+      return next();
+    }
+
+    const now = Date.now();
+    let entry = hits.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(id, entry);
+    }
+    entry.count++;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      // Without the id - it is often an IP address, which isn't logged in full
+      console.warn(`Rate limit (${name}) hit`);
+      return res.status(429).json({
+        error: 'Too many requests, please slow down',
+        code: 'RATE_LIMITED',
+        retryAfter
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { createRateLimiter };
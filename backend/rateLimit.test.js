@@ -0,0 +1,99 @@
+const { createRateLimiter } = require('./rateLimit');
+
+// Just enough of Express's response for the limiter
+function createResponse() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+// Runs a request through the limiter; true when it was let through
+function hit(limiter, req) {
+  const res = createResponse();
+  let passed = false;
+  limiter(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+describe('createRateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    limiter = createRateLimiter({ name: 'test', windowMs: 60 * 1000, max: 3, key: (req) => req.ip });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('lets requests through up to the limit', () => {
+    for (let i = 0; i < 3; i++) {
+      expect(hit(limiter, { ip: '203.0.113.7' }).passed).toBe(true);
+    }
+  });
+
+  it('refuses requests over the limit with a retry time', () => {
+    for (let i = 0; i < 3; i++) {
+      hit(limiter, { ip: '203.0.113.7' });
+    }
+    jest.advanceTimersByTime(15 * 1000);
+    const { passed, res } = hit(limiter, { ip: '203.0.113.7' });
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+    expect(res.body.retryAfter).toBe(45);
+    expect(res.headers['Retry-After']).toBe('45');
+  });
+
+  it('does not log the client address', () => {
+    for (let i = 0; i < 4; i++) {
+      hit(limiter, { ip: '203.0.113.7' });
+    }
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn.mock.calls[0].join(' ')).not.toContain('203.0.113.7');
+  });
+
+  it('counts every key on its own', () => {
+    for (let i = 0; i < 3; i++) {
+      hit(limiter, { ip: '203.0.113.7' });
+    }
+
+    expect(hit(limiter, { ip: '203.0.113.7' }).passed).toBe(false);
+    expect(hit(limiter, { ip: '198.51.100.1' }).passed).toBe(true);
+  });
+
+  it('starts over once the window has passed', () => {
+    for (let i = 0; i < 4; i++) {
+      hit(limiter, { ip: '203.0.113.7' });
+    }
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect(hit(limiter, { ip: '203.0.113.7' }).passed).toBe(true);
+  });
+
+  it('skips requests without a key', () => {
+    const userLimiter = createRateLimiter({ name: 'user', windowMs: 1000, max: 1, key: (req) => (req.user ? req.user.id : null) });
+
+    for (let i = 0; i < 5; i++) {
+      expect(hit(userLimiter, {}).passed).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,70 @@
+// Server-side replay verification
+// Re-simulates a submitted run with the same engine the client plays on, so the
+// score we store is the one we computed ourselves rather than the one we were sent.
+const { constants, replay, isValidMode, isValidAssist, getRunStats } = require('../src/engine');
+
+// Longest run we are willing to simulate (one hour of play)
+const MAX_REPLAY_FRAMES = constants.FPS * 60 * 60;
+
+class ReplayError extends Error {
+  constructor(code, message, status = 422) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function validateRun({ seed, mode, powerups, version, assist, inputs }) {
+  if (!isValidMode(mode)) {
+    throw new ReplayError('INVALID_MODE', 'Unknown game mode', 400);
+  }
+
+  if (!Number.isInteger(version) || version < 1 || version > constants.RULES_VERSION) {
+    throw new ReplayError('INVALID_VERSION', 'Unknown rules version', 400);
+  }
+
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+    throw new ReplayError('INVALID_SEED', 'Run seed must be a 32-bit unsigned integer', 400);
+  }
+
+  if (typeof powerups !== 'boolean') {
+    throw new ReplayError('INVALID_POWERUPS', 'Run power-ups setting must be true or false', 400);
+  }
+
+  if (!isValidAssist(assist)) {
+    throw new ReplayError('INVALID_ASSIST', 'Unknown assist settings', 400);
+  }
+
+  if (!Array.isArray(inputs) || inputs.length > MAX_REPLAY_FRAMES) {
+    throw new ReplayError('INVALID_REPLAY', 'Run inputs must be an array of frame numbers', 400);
+  }
+
+  let previous = 0;
+  for (const frame of inputs) {
+    if (!Number.isInteger(frame) || frame <= previous || frame > MAX_REPLAY_FRAMES) {
+      throw new ReplayError('INVALID_REPLAY', 'Run inputs must be strictly increasing frame numbers', 400);
+    }
+    previous = frame;
+  }
+}
+
+// Returns the verified result of a run or throws a ReplayError
+function verifyRun({ seed, mode, powerups = false, version = constants.RULES_VERSION, assist = null, inputs, score }) {
+  validateRun({ seed, mode, powerups, version, assist, inputs });
+
+  const result = replay({ seed, mode, powerups, version, assist, inputs }, MAX_REPLAY_FRAMES);
+
+  if (!result.over) {
+    throw new ReplayError('REPLAY_INCOMPLETE', 'Replay did not end within the allowed run length');
+  }
+
+  if (result.score !== score) {
+    const error = new ReplayError('SCORE_MISMATCH', 'Submitted score does not match the replay');
+    error.verifiedScore = result.score;
+    throw error;
+  }
+
+  return { score: result.score, frames: result.frame, stats: getRunStats(result) };
+}
+
+module.exports = { verifyRun, validateRun, ReplayError, MAX_REPLAY_FRAMES };
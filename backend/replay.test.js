@@ -0,0 +1,118 @@
+const { constants, createState, step } = require('../src/engine');
+const { verifyRun, validateRun, ReplayError } = require('./replay');
+
+const { HEIGHT, RULES_VERSION } = constants;
+
+// Play a run to the end with a simple autopilot, like a player would
+function playRun(options) {
+  let state = createState(options);
+  const inputs = [];
+  while (!state.over) {
+    const pipe = state.pipes.find(p => !p.scored);
+    const target = pipe ? pipe.topHeight + (HEIGHT - pipe.bottomHeight - pipe.topHeight) / 2 : HEIGHT / 2;
+    const flap = state.bird.y > target + 10 && state.bird.velocity > 0;
+    if (flap) {
+      inputs.push(state.frame + 1);
+    }
+    state = step(state, { flap });
+  }
+  return {
+    run: { seed: state.seed, mode: state.mode, powerups: state.powerups, version: state.version, inputs },
+    state
+  };
+}
+
+const validRun = { seed: 1, mode: 'easy', powerups: false, version: RULES_VERSION, assist: null, inputs: [5, 20, 31] };
+
+function expectReplayError(fn, code, status) {
+  let error = null;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(ReplayError);
+  expect(error.code).toBe(code);
+  expect(error.status).toBe(status);
+  return error;
+}
+
+describe('verifyRun', () => {
+  it('returns the replayed score, length and stats of a genuine run', () => {
+    const { run, state } = playRun({ seed: 2024, mode: 'normal' });
+    const result = verifyRun(Object.assign({}, run, { score: state.score }));
+
+    expect(result.score).toBe(state.score);
+    expect(result.frames).toBe(state.frame);
+    expect(result.stats.pipes).toBe(state.pipesPassed);
+  });
+
+  it('verifies runs with power-ups', () => {
+    const { run, state } = playRun({ seed: 77, mode: 'easy', powerups: true });
+
+    expect(verifyRun(Object.assign({}, run, { score: state.score })).score).toBe(state.score);
+  });
+
+  it('rejects a score the inputs do not reach', () => {
+    const { run, state } = playRun({ seed: 2024, mode: 'normal' });
+    const error = expectReplayError(
+      () => verifyRun(Object.assign({}, run, { score: state.score + 5 })),
+      'SCORE_MISMATCH',
+      422
+    );
+
+    expect(error.verifiedScore).toBe(state.score);
+  });
+
+  it('rejects a run replayed on another seed or mode', () => {
+    const { run, state } = playRun({ seed: 31337, mode: 'easy' });
+
+    expect(() => verifyRun(Object.assign({}, run, { seed: 31338, score: state.score }))).toThrow(ReplayError);
+    expect(() => verifyRun(Object.assign({}, run, { mode: 'hard', score: state.score }))).toThrow(ReplayError);
+  });
+
+  it('defaults to the current rules and no power-ups', () => {
+    const { run, state } = playRun({ seed: 8, mode: 'easy' });
+
+    expect(verifyRun({ seed: run.seed, mode: run.mode, inputs: run.inputs, score: state.score }).score).toBe(state.score);
+  });
+});
+
+describe('validateRun', () => {
+  it('accepts a well-formed run', () => {
+    expect(() => validateRun(validRun)).not.toThrow();
+    expect(() => validateRun(Object.assign({}, validRun, { inputs: [] }))).not.toThrow();
+    expect(() => validateRun(Object.assign({}, validRun, { assist: { speed: 0.7, gravity: 0.6 } }))).not.toThrow();
+  });
+
+  it('rejects unknown modes and rules versions', () => {
+    expectReplayError(() => validateRun(Object.assign({}, validRun, { mode: 'insane' })), 'INVALID_MODE', 400);
+    [0, RULES_VERSION + 1, 1.5, '1'].forEach(version => {
+      expectReplayError(() => validateRun(Object.assign({}, validRun, { version })), 'INVALID_VERSION', 400);
+    });
+  });
+
+  it('rejects seeds that are not 32-bit unsigned integers', () => {
+    [-1, 0x100000000, 1.5, '1', null].forEach(seed => {
+      expectReplayError(() => validateRun(Object.assign({}, validRun, { seed })), 'INVALID_SEED', 400);
+    });
+  });
+
+  it('rejects a power-ups setting that is not a boolean', () => {
+    expectReplayError(() => validateRun(Object.assign({}, validRun, { powerups: 'true' })), 'INVALID_POWERUPS', 400);
+  });
+
+  it('rejects unknown assist settings', () => {
+    expectReplayError(
+      () => validateRun(Object.assign({}, validRun, { assist: { speed: 0.1, gravity: 1 } })),
+      'INVALID_ASSIST',
+      400
+    );
+  });
+
+  it('rejects inputs that are not strictly increasing frame numbers', () => {
+    [null, 'abc', [0], [3, 3], [5, 4], [1.5], ['2']].forEach(inputs => {
+      expectReplayError(() => validateRun(Object.assign({}, validRun, { inputs })), 'INVALID_REPLAY', 400);
+    });
+  });
+});
@@ -6,6 +6,46 @@ const morgan = require('morgan');
 const sqlite3 = require('sqlite3').verbose();
 const { Pool } = require('pg');
 const path = require('path');
+const { verifyRun, ReplayError, MAX_REPLAY_FRAMES } = require('./replay');
+const { checkPlausibility } = require('./plausibility');
+const { createRateLimiter } = require('./rateLimit');
+const { createEventStream } = require('./eventStream');
+const { createRaceRooms } = require('./raceRooms');
+const {
+  IP_MODE,
+  RETENTION_DAYS,
+  anonymizeIp,
+  anonymizeUserAgent,
+  hasOptedOut
+} = require('./privacy');
+const {
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  hashToken,
+  getBearerToken,
+  isValidAdminKey,
+  validateCredentials
+} = require('./auth');
+const {
+  constants: { FPS, RULES_VERSION },
+  DEFAULT_MODE,
+  isValidMode,
+  isValidAssist,
+  normalizeAssist,
+  createSeed,
+  getUnlockedSkins,
+  ACHIEVEMENTS,
+  getReachedAchievements
+} = require('../src/engine');
+const {
+  DAILY_ATTEMPTS,
+  utcDate,
+  isValidDate,
+  getDailyChallenge,
+  isOpenForSubmissions
+} = require('./daily');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -27,6 +67,8 @@ if (process.env.DATABASE_URL) {
   console.log('⚠️  DATABASE_URL not found - PostgreSQL analytics disabled');
 }
 
+console.log(`Visitor IPs are logged as: ${IP_MODE}, kept for ${RETENTION_DAYS} days`);
+
 // Database setup
 const dbPath = process.env.NODE_ENV === 'production' 
   ? '/database/flappybird.db'  // Railway volume path
@@ -61,6 +103,15 @@ function initializeDatabase() {
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       username TEXT NOT NULL,
       score INTEGER NOT NULL,
+      verified INTEGER NOT NULL DEFAULT 0,
+      mode TEXT NOT NULL DEFAULT '${DEFAULT_MODE}',
+      seed INTEGER,
+      inputs TEXT,
+      daily_date TEXT,
+      user_id INTEGER REFERENCES users(id),
+      powerups INTEGER NOT NULL DEFAULT 0,
+      rules_version INTEGER NOT NULL DEFAULT 1,
+      assist TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `;
@@ -76,24 +127,226 @@ function initializeDatabase() {
     )
   `;
   
-  db.run(createScoresTable, (err) => {
+  // Visitor counts per day, kept after the visitor rows themselves expire
+  const createVisitorDailyTotalsTable = `
+    CREATE TABLE IF NOT EXISTS visitor_daily_totals (
+      visit_date TEXT PRIMARY KEY,
+      total_visits INTEGER NOT NULL,
+      unique_visitors INTEGER NOT NULL
+    )
+  `;
+  
+  const createUsersTable = `
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'player',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+  
+  const createSessionsTable = `
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      expires_at INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+  
+  // Runs started on the server (see POST /api/runs)
+  const createRunsTable = `
+    CREATE TABLE IF NOT EXISTS runs (
+      token TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      seed INTEGER NOT NULL,
+      mode TEXT NOT NULL,
+      powerups INTEGER NOT NULL DEFAULT 0,
+      rules_version INTEGER NOT NULL DEFAULT 1,
+      assist TEXT,
+      daily_date TEXT,
+      started_at INTEGER NOT NULL,
+      submitted_at INTEGER
+    )
+  `;
+  
+  // Bird skins a player has unlocked (see src/engine/unlocks.js)
+  const createSkinUnlocksTable = `
+    CREATE TABLE IF NOT EXISTS skin_unlocks (
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      skin TEXT NOT NULL,
+      unlocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, skin)
+    )
+  `;
+  
+  // Achievements a player has reached (see src/engine/achievements.js)
+  const createAchievementsTable = `
+    CREATE TABLE IF NOT EXISTS achievements (
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      achievement TEXT NOT NULL,
+      unlocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, achievement)
+    )
+  `;
+  
+  // Score submissions we refused, kept for review
+  const createRejectedScoresTable = `
+    CREATE TABLE IF NOT EXISTS rejected_scores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      username TEXT,
+      ip_address TEXT,
+      code TEXT NOT NULL,
+      reason TEXT,
+      score INTEGER,
+      verified_score INTEGER,
+      run_token TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+  
+  db.serialize(() => {
+    createTable('Users', createUsersTable);
+    addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'player'");
+    promoteAdmins();
+    createTable('Sessions', createSessionsTable);
+    createTable('Runs', createRunsTable);
+    addColumnIfMissing('runs', 'powerups', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing('runs', 'rules_version', 'INTEGER NOT NULL DEFAULT 1');
+    addColumnIfMissing('runs', 'assist', 'TEXT');
+    createTable('Rejected scores', createRejectedScoresTable);
+    createTable('Skin unlocks', createSkinUnlocksTable);
+    createTable('Achievements', createAchievementsTable);
+    createTable('Scores', createScoresTable);
+    
+    // Scores saved before replay verification existed stay unverified
+    addColumnIfMissing('scores', 'verified', 'INTEGER NOT NULL DEFAULT 0');
+    // Scores saved before difficulty modes existed were all played on Easy
+    addColumnIfMissing('scores', 'mode', `TEXT NOT NULL DEFAULT '${DEFAULT_MODE}'`);
+    // Replay of the run (seed + flap frames as JSON), used for ghost birds
+    addColumnIfMissing('scores', 'seed', 'INTEGER');
+    addColumnIfMissing('scores', 'inputs', 'TEXT');
+    // UTC date of the daily challenge a run belongs to (NULL for regular runs)
+    addColumnIfMissing('scores', 'daily_date', 'TEXT');
+    // Account that posted the score. Rows posted before accounts existed
+    // have none.
+    addColumnIfMissing('scores', 'user_id', 'INTEGER REFERENCES users(id)');
+    // Runs played with power-ups are ranked on their own boards
+    addColumnIfMissing('scores', 'powerups', 'INTEGER NOT NULL DEFAULT 0');
+    // Engine rules the run was played by (see RULES_VERSION), so old replays
+    // still play back the way they were played
+    addColumnIfMissing('scores', 'rules_version', 'INTEGER NOT NULL DEFAULT 1');
+    // Assist settings of the run as JSON (NULL for regular runs). Assisted
+    // runs are kept off the leaderboards.
+    addColumnIfMissing('scores', 'assist', 'TEXT');
+    // Id the client gave the run, so retried submissions aren't saved twice
+    addColumnIfMissing('scores', 'client_run_id', 'TEXT', () => {
+      db.run(
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_scores_client_run ON scores(user_id, client_run_id)',
+        (err) => {
+          if (err) console.error('Error creating client run index:', err);
+        }
+      );
+    });
+    // Token of the run a score was submitted for. Saving the score is what
+    // uses up the run, so the index lets only one score in per run.
+    addColumnIfMissing('scores', 'run_token', 'TEXT', () => {
+      db.run(
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_scores_run ON scores(run_token)',
+        (err) => {
+          if (err) console.error('Error creating run token index:', err);
+        }
+      );
+    });
+    
+    createTable('Visitors', createVisitorsTable);
+    createTable('Visitor daily totals', createVisitorDailyTotalsTable);
+    
+    scheduleRetention(pruneVisitorData);
+  });
+  
+  // Initialize PostgreSQL analytics table
+  initializePostgres();
+}
+
+function createTable(label, sql) {
+  db.run(sql, (err) => {
     if (err) {
-      console.error('Error creating scores table:', err);
+      console.error(`Error creating ${label.toLowerCase()} table:`, err);
     } else {
-      console.log('Scores table ready');
+      console.log(`${label} table ready`);
     }
   });
+}
+
+// Promise wrappers around the sqlite3 callback API for async route handlers
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+// Give the accounts listed in ADMIN_USERNAMES (comma separated) the admin role.
+// Runs at startup, so register the account first and then restart.
+function promoteAdmins() {
+  const usernames = (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
   
-  db.run(createVisitorsTable, (err) => {
+  if (usernames.length === 0) {
+    return;
+  }
+  
+  const placeholders = usernames.map(() => '?').join(', ');
+  db.run(`UPDATE users SET role = 'admin' WHERE username IN (${placeholders})`, usernames, function(err) {
     if (err) {
-      console.error('Error creating visitors table:', err);
+      console.error('Error promoting admins:', err);
     } else {
-      console.log('Visitors table ready');
+      console.log(`Admin role granted to ${this.changes} account(s)`);
     }
   });
-  
-  // Initialize PostgreSQL analytics table
-  initializePostgres();
+}
+
+// Add a column to a table created by an older version of the server
+// `onReady` runs once the column exists
+function addColumnIfMissing(table, column, definition, onReady = () => {}) {
+  db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+    if (err) {
+      console.error(`Error reading ${table} columns:`, err);
+      return;
+    }
+    
+    if (columns.some(col => col.name === column)) {
+      return onReady();
+    }
+    
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (alterErr) => {
+      if (alterErr) {
+        console.error(`Error adding ${table}.${column}:`, alterErr);
+      } else {
+        console.log(`Added ${column} column to ${table} table`);
+        onReady();
+      }
+    });
+  });
 }
 
 // Initialize PostgreSQL analytics table
@@ -138,11 +391,58 @@ async function initializePostgres() {
     
     await pgPool.query(createIndexes);
     console.log('✅ PostgreSQL indexes created');
+    
+    scheduleRetention(pruneAnalytics);
   } catch (err) {
     console.error('Error initializing PostgreSQL analytics:', err);
   }
 }
 
+// Data retention (ANALYTICS_RETENTION_DAYS)
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Run `prune` now and then once a day
+function scheduleRetention(prune) {
+  prune();
+  setInterval(prune, RETENTION_INTERVAL_MS).unref();
+}
+
+// Roll whole days of visitor rows older than the retention period up into
+// visitor_daily_totals, then delete them together with old rejected scores
+// and expired sessions
+async function pruneVisitorData() {
+  const cutoff = `-${RETENTION_DAYS} days`;
+  
+  try {
+    await dbRun(
+      `INSERT OR REPLACE INTO visitor_daily_totals (visit_date, total_visits, unique_visitors)
+       SELECT DATE(created_at), COUNT(*), COUNT(DISTINCT ip_address)
+       FROM visitors
+       WHERE created_at < DATE('now', ?)
+       GROUP BY DATE(created_at)`,
+      [cutoff]
+    );
+    const visitors = await dbRun(`DELETE FROM visitors WHERE created_at < DATE('now', ?)`, [cutoff]);
+    const rejected = await dbRun(`DELETE FROM rejected_scores WHERE created_at < DATE('now', ?)`, [cutoff]);
+    await dbRun('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()]);
+    console.log(`Retention: removed ${visitors.changes} visitor and ${rejected.changes} rejected score rows`);
+  } catch (err) {
+    console.error('Error applying retention to SQLite:', err);
+  }
+}
+
+async function pruneAnalytics() {
+  try {
+    const result = await pgPool.query(
+      'DELETE FROM oleed_analytics WHERE created_at < NOW() - make_interval(days => $1)',
+      [RETENTION_DAYS]
+    );
+    console.log(`Retention: removed ${result.rowCount} analytics rows`);
+  } catch (err) {
+    console.error('Error applying retention to PostgreSQL:', err);
+  }
+}
+
 // Middleware
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -150,12 +450,27 @@ app.use(helmet({
     directives: {
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrc: ["'self'", "'unsafe-inline'"], // Allow inline scripts for React
+      // Inline scripts for React; the service worker loads Workbox from its CDN
+      scriptSrc: ["'self'", "'unsafe-inline'", "https://storage.googleapis.com"],
       imgSrc: ["'self'", "data:", "https:"],
       connectSrc: ["'self'"],
     },
   },
 }));
+// Proxies in front of the server whose X-Forwarded-For is believed: a number of
+// hops, `true` for all of them or a list of addresses (see Express's
+// "trust proxy"). Nothing is trusted by default.
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 app.use(compression());
 app.use(morgan('combined'));
 app.use(cors({
@@ -168,12 +483,10 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // IP tracking middleware
+// `req.ip` only reads X-Forwarded-For from the proxies TRUST_PROXY allows;
+// anyone can send that header, so a client can't pick their own address.
 function getClientIP(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0].trim() ||
-         req.headers['x-real-ip'] ||
-         req.connection.remoteAddress ||
-         req.socket.remoteAddress ||
-         'unknown';
+  return req.ip || 'unknown';
 }
 
 // Parse user agent to extract browser, OS, device info
@@ -205,11 +518,17 @@ function parseUserAgent(userAgent) {
 }
 
 app.use(async (req, res, next) => {
+  // Nothing is logged for visitors who opted out (see privacy.js), nor for
+  // privacy requests themselves
+  if (hasOptedOut(req) || req.path.startsWith('/api/privacy')) {
+    return next();
+  }
+  
   // Log all requests to PostgreSQL analytics
   if (pgPool) {
-    const ip = getClientIP(req);
-    const userAgent = req.headers['user-agent'] || '';
-    const { browser, os, deviceType } = parseUserAgent(userAgent);
+    const ip = anonymizeIp(getClientIP(req));
+    const { browser, os, deviceType } = parseUserAgent(req.headers['user-agent']);
+    const userAgent = anonymizeUserAgent(req.headers['user-agent'] || '', `${browser} / ${os} / ${deviceType}`);
     const referer = req.headers['referer'] || req.headers['referrer'] || '';
     const pageUrl = req.path;
     const queryParams = JSON.stringify(req.query);
@@ -230,8 +549,9 @@ app.use(async (req, res, next) => {
   
   // Also keep SQLite logging for backwards compatibility
   if (req.method === 'GET' && !req.path.startsWith('/api/')) {
-    const ip = getClientIP(req);
-    const userAgent = req.headers['user-agent'] || '';
+    const ip = anonymizeIp(getClientIP(req));
+    const { browser, os, deviceType } = parseUserAgent(req.headers['user-agent']);
+    const userAgent = anonymizeUserAgent(req.headers['user-agent'] || '', `${browser} / ${os} / ${deviceType}`);
     const referer = req.headers['referer'] || req.headers['referrer'] || '';
     const page = req.path;
     
@@ -247,6 +567,72 @@ app.use(async (req, res, next) => {
   next();
 });
 
+// The user a session token belongs to, or null when it isn't valid (any more)
+async function findSessionUser(token) {
+  const user = await dbGet(
+    `SELECT users.id, users.username, users.role
+     FROM sessions JOIN users ON users.id = sessions.user_id
+     WHERE sessions.token_hash = ? AND sessions.expires_at > ?`,
+    [hashToken(token), Date.now()]
+  );
+  return user || null;
+}
+
+// Session authentication - sets req.user from an "Authorization: Bearer" token
+app.use(async (req, res, next) => {
+  req.user = null;
+  const token = getBearerToken(req);
+  
+  if (!token) {
+    return next();
+  }
+  
+  try {
+    req.user = await findSessionUser(token);
+  } catch (err) {
+    console.error('Error checking session:', err);
+  }
+  next();
+});
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please log in first', code: 'AUTH_REQUIRED' });
+  }
+  next();
+}
+
+// Admin only: a logged in admin account or the ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+  if (req.headers['x-admin-key'] !== undefined) {
+    if (isValidAdminKey(req)) {
+      return next();
+    }
+    return res.status(401).json({ error: 'Invalid admin key', code: 'INVALID_ADMIN_KEY' });
+  }
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+  }
+  if (req.user.role === 'admin') {
+    return next();
+  }
+  res.status(403).json({ error: 'Admin access required', code: 'FORBIDDEN' });
+}
+
+// Page size and offset from request parameters. The size is capped so no
+// endpoint can be used to dump a whole table.
+const MAX_PAGE_SIZE = 100;
+
+function parseLimit(value, fallback) {
+  const limit = parseInt(value);
+  return Math.min(limit > 0 ? limit : fallback, MAX_PAGE_SIZE);
+}
+
+function parseOffset(value) {
+  const offset = parseInt(value);
+  return offset > 0 ? offset : 0;
+}
+
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'build')));
@@ -257,10 +643,250 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Player accounts
+
+async function createSession(user) {
+  const token = createSessionToken();
+  // Good moment to forget sessions that have run out
+  await dbRun('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()]);
+  await dbRun(
+    'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+    [hashToken(token), user.id, Date.now() + SESSION_TTL_MS]
+  );
+  return { token, user: { id: user.id, username: user.username } };
+}
+
+// Register a new account
+app.post('/api/auth/register', async (req, res) => {
+  const { username, password } = req.body;
+  const invalid = validateCredentials(username, password);
+  
+  if (invalid) {
+    return res.status(400).json({ error: invalid, code: 'INVALID_CREDENTIALS' });
+  }
+  
+  const cleanUsername = username.trim();
+  
+  try {
+    const existing = await dbGet('SELECT id FROM users WHERE username = ?', [cleanUsername]);
+    if (existing) {
+      return res.status(409).json({ error: 'Username is already taken', code: 'USERNAME_TAKEN' });
+    }
+    
+    const passwordHash = await hashPassword(password);
+    const { lastID } = await dbRun(
+      'INSERT INTO users (username, password_hash) VALUES (?, ?)',
+      [cleanUsername, passwordHash]
+    );
+    // Scores posted under the name before accounts existed stay unowned until
+    // the player claims them (POST /api/auth/legacy-scores)
+    res.status(201).json(await createSession({ id: lastID, username: cleanUsername }));
+  } catch (err) {
+    console.error('Error registering user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log in and get a session token
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+  
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  
+  try {
+    const user = await dbGet(
+      'SELECT id, username, password_hash FROM users WHERE username = ?',
+      [username.trim()]
+    );
+    
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Wrong username or password', code: 'INVALID_LOGIN' });
+    }
+    
+    res.json(await createSession(user));
+  } catch (err) {
+    console.error('Error logging in:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End the current session
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await dbRun('DELETE FROM sessions WHERE token_hash = ?', [hashToken(getBearerToken(req))]);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Error logging out:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the logged in player
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Scores posted under the player's name before accounts existed. Registering
+// a name proves nothing about who played them, so they only join the account
+// when the player claims them.
+app.get('/api/auth/legacy-scores', requireAuth, async (req, res) => {
+  try {
+    const row = await dbGet(
+      'SELECT COUNT(*) as count FROM scores WHERE user_id IS NULL AND username = ?',
+      [req.user.username]
+    );
+    res.json({ count: row.count });
+  } catch (err) {
+    console.error('Error counting legacy scores:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Link them to the logged in account
+app.post('/api/auth/legacy-scores', requireAuth, async (req, res) => {
+  try {
+    const { changes } = await dbRun(
+      'UPDATE scores SET user_id = ? WHERE user_id IS NULL AND username = ?',
+      [req.user.id, req.user.username]
+    );
+    console.log(`${req.user.username} claimed ${changes} legacy scores`);
+    res.json({ claimed: changes });
+  } catch (err) {
+    console.error('Error claiming legacy scores:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Privacy requests
+
+// Delete everything stored about a player: the account, its sessions, runs,
+// scores (with the legacy ones it claimed), unlocked skins, achievements and
+// refused submissions. With `anonymous`, unclaimed scores posted under the
+// name before accounts existed go too - only for admins, as they needn't
+// belong to whoever has the account now.
+// Returns the number of rows removed per table.
+async function deleteUserData(username, { anonymous = false } = {}) {
+  const user = await dbGet('SELECT id FROM users WHERE username = ?', [username]);
+  const userId = user ? user.id : null;
+  
+  const scores = await dbRun(
+    'DELETE FROM scores WHERE user_id = ? OR (? AND user_id IS NULL AND username = ?)',
+    [userId, anonymous ? 1 : 0, username]
+  );
+  const rejected = await dbRun(
+    'DELETE FROM rejected_scores WHERE user_id = ? OR username = ?',
+    [userId, username]
+  );
+  const runs = await dbRun('DELETE FROM runs WHERE user_id = ?', [userId]);
+  const skins = await dbRun('DELETE FROM skin_unlocks WHERE user_id = ?', [userId]);
+  const achievements = await dbRun('DELETE FROM achievements WHERE user_id = ?', [userId]);
+  const sessions = await dbRun('DELETE FROM sessions WHERE user_id = ?', [userId]);
+  const account = await dbRun('DELETE FROM users WHERE id = ?', [userId]);
+  
+  return {
+    account: account.changes,
+    sessions: sessions.changes,
+    runs: runs.changes,
+    scores: scores.changes,
+    skinUnlocks: skins.changes,
+    achievements: achievements.changes,
+    rejectedScores: rejected.changes
+  };
+}
+
+// Delete the analytics rows logged with an "X-Session-Id"
+async function deleteSessionData(sessionId) {
+  if (!pgPool) {
+    return { analytics: 0 };
+  }
+  const result = await pgPool.query('DELETE FROM oleed_analytics WHERE session_id = $1', [sessionId]);
+  return { analytics: result.rowCount };
+}
+
+function getSessionId(req) {
+  const sessionId = req.headers['x-session-id'];
+  return typeof sessionId === 'string' && sessionId ? sessionId : null;
+}
+
+// Delete the logged in player's account and data, and the analytics of the
+// browsing session making the request
+app.delete('/api/privacy/me', requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteUserData(req.user.username);
+    const sessionId = getSessionId(req);
+    if (sessionId) {
+      Object.assign(deleted, await deleteSessionData(sessionId));
+    }
+    console.log(`Deleted data of ${req.user.username} on request`);
+    res.json({ message: 'Your account and data have been deleted', deleted });
+  } catch (err) {
+    console.error('Error deleting user data:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete the analytics of the browsing session making the request
+app.delete('/api/privacy/session', async (req, res) => {
+  const sessionId = getSessionId(req);
+  
+  if (!sessionId) {
+    return res.status(400).json({ error: 'X-Session-Id header is required', code: 'SESSION_ID_REQUIRED' });
+  }
+  
+  try {
+    res.json({ message: 'Session data deleted', deleted: await deleteSessionData(sessionId) });
+  } catch (err) {
+    console.error('Error deleting session data:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Data deletion requests that reach us by other means
+app.delete('/api/admin/privacy/users/:username', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteUserData(req.params.username, { anonymous: true });
+    console.log(`Deleted data of ${req.params.username} on admin request`);
+    res.json({ message: 'User data deleted', deleted });
+  } catch (err) {
+    console.error('Error deleting user data:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/admin/privacy/sessions/:sessionId', requireAdmin, async (req, res) => {
+  try {
+    res.json({ message: 'Session data deleted', deleted: await deleteSessionData(req.params.sessionId) });
+  } catch (err) {
+    console.error('Error deleting session data:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refused score submissions, newest first (see rejectScore)
+app.get('/api/admin/rejected-scores', requireAdmin, async (req, res) => {
+  const limit = parseLimit(req.query.limit, 50);
+  const offset = parseOffset(req.query.offset);
+  
+  try {
+    const rows = await dbAll(
+      `SELECT * FROM rejected_scores
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching rejected scores:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get visitor logs (IP tracking)
-app.get('/api/visitors', (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
-  const offset = parseInt(req.query.offset) || 0;
+app.get('/api/visitors', requireAdmin, (req, res) => {
+  const limit = parseLimit(req.query.limit, 100);
+  const offset = parseOffset(req.query.offset);
   
   const query = `
     SELECT id, ip_address, user_agent, referer, page, created_at
@@ -280,15 +906,21 @@ app.get('/api/visitors', (req, res) => {
 });
 
 // Get visitor statistics
-app.get('/api/visitors/stats', (req, res) => {
+app.get('/api/visitors/stats', requireAdmin, (req, res) => {
+  // Days past the retention period come from visitor_daily_totals
   const statsQuery = `
-    SELECT 
-      COUNT(*) as total_visits,
-      COUNT(DISTINCT ip_address) as unique_visitors,
-      DATE(created_at) as visit_date,
-      COUNT(*) as visits_per_day
-    FROM visitors
-    GROUP BY DATE(created_at)
+    SELECT visit_date, total_visits, unique_visitors, total_visits as visits_per_day
+    FROM (
+      SELECT 
+        DATE(created_at) as visit_date,
+        COUNT(*) as total_visits,
+        COUNT(DISTINCT ip_address) as unique_visitors
+      FROM visitors
+      GROUP BY DATE(created_at)
+      UNION ALL
+      SELECT visit_date, total_visits, unique_visitors
+      FROM visitor_daily_totals
+    )
     ORDER BY visit_date DESC
     LIMIT 30
   `;
@@ -299,9 +931,10 @@ app.get('/api/visitors/stats', (req, res) => {
       res.status(500).json({ error: 'Internal server error' });
     } else {
       // Also get overall stats
+      // unique_visitors only covers the retention period
       const overallQuery = `
         SELECT 
-          COUNT(*) as total_visits,
+          COUNT(*) + (SELECT COALESCE(SUM(total_visits), 0) FROM visitor_daily_totals) as total_visits,
           COUNT(DISTINCT ip_address) as unique_visitors
         FROM visitors
       `;
@@ -320,14 +953,14 @@ app.get('/api/visitors/stats', (req, res) => {
 // PostgreSQL Analytics Endpoints
 
 // Get all analytics data from oleed_analytics
-app.get('/api/analytics', async (req, res) => {
+app.get('/api/analytics', requireAdmin, async (req, res) => {
   if (!pgPool) {
     return res.status(503).json({ error: 'PostgreSQL analytics not configured. Set DATABASE_URL environment variable.' });
   }
   
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
+    const limit = parseLimit(req.query.limit, 100);
+    const offset = parseOffset(req.query.offset);
     
     const result = await pgPool.query(
       `SELECT * FROM oleed_analytics 
@@ -344,7 +977,7 @@ app.get('/api/analytics', async (req, res) => {
 });
 
 // Get analytics statistics and insights
-app.get('/api/analytics/stats', async (req, res) => {
+app.get('/api/analytics/stats', requireAdmin, async (req, res) => {
   if (!pgPool) {
     return res.status(503).json({ error: 'PostgreSQL analytics not configured. Set DATABASE_URL environment variable.' });
   }
@@ -452,7 +1085,7 @@ app.get('/api/analytics/stats', async (req, res) => {
 });
 
 // Get unique IPs with details
-app.get('/api/analytics/ips', async (req, res) => {
+app.get('/api/analytics/ips', requireAdmin, async (req, res) => {
   if (!pgPool) {
     return res.status(503).json({ error: 'PostgreSQL analytics not configured. Set DATABASE_URL environment variable.' });
   }
@@ -480,19 +1113,109 @@ app.get('/api/analytics/ips', async (req, res) => {
   }
 });
 
+// Filters shared by the leaderboard endpoints:
+// `?mode=` picks the difficulty (defaults to Easy) - scores from different
+// modes are never ranked together. `?verified=true` keeps only replay-verified runs.
+// `?powerups=true` switches to the runs played with power-ups, which are
+// likewise never mixed with the plain ones.
+// Daily challenge runs have their own leaderboard and are left out, and
+// assisted runs (see src/engine/assist.js) aren't ranked at all.
+// Leaderboard periods: where each window starts (UTC), as an SQLite
+// expression. Weeks start on Monday.
+const PERIODS = {
+  today: "DATE('now')",
+  week: "DATE('now', '-6 days', 'weekday 1')",
+  month: "DATE('now', 'start of month')",
+  all: null
+};
+
+function isValidPeriod(period) {
+  return Object.prototype.hasOwnProperty.call(PERIODS, period);
+}
+
+function isTrueParam(value) {
+  return value === 'true' || value === '1';
+}
+
+function scoreFilters(req) {
+  return buildScoreFilters({
+    mode: req.query.mode || DEFAULT_MODE,
+    period: req.query.period || 'all',
+    verified: isTrueParam(req.query.verified),
+    powerups: isTrueParam(req.query.powerups)
+  });
+}
+
+// `error` is set (and the rest unusable) when the mode or period is unknown
+function buildScoreFilters({ mode, period, verified, powerups }) {
+  if (!isValidMode(mode)) {
+    return { error: { error: 'Unknown game mode', code: 'INVALID_MODE' } };
+  }
+  if (!isValidPeriod(period)) {
+    return { error: { error: 'Unknown leaderboard period', code: 'INVALID_PERIOD' } };
+  }
+  
+  const conditions = ['mode = ?', 'powerups = ?', 'daily_date IS NULL', 'assist IS NULL'];
+  const params = [mode, powerups ? 1 : 0];
+  
+  if (verified) {
+    conditions.push('verified = 1');
+  }
+  if (PERIODS[period]) {
+    conditions.push(`created_at >= ${PERIODS[period]}`);
+  }
+  
+  return {
+    mode,
+    period,
+    powerups: Boolean(powerups),
+    error: null,
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+}
+
+// One row per player with their best score among the rows matching `where`,
+// dated to the first time they reached it. Players are told apart by account,
+// or by name for scores posted before accounts existed.
+function bestScoresQuery(where) {
+  return `
+    SELECT id, username, user_id, score, mode, powerups, created_at
+    FROM (
+      SELECT *, ROW_NUMBER() OVER (
+        PARTITION BY COALESCE('user:' || user_id, 'name:' || username)
+        ORDER BY score DESC, created_at ASC, id ASC
+      ) AS player_position
+      FROM scores
+      ${where}
+    )
+    WHERE player_position = 1
+  `;
+}
+
+function invalidMode(res) {
+  return res.status(400).json({ error: 'Unknown game mode', code: 'INVALID_MODE' });
+}
+
 // Get all scores (with pagination and ordering)
 app.get('/api/scores', (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
-  const offset = parseInt(req.query.offset) || 0;
+  const limit = parseLimit(req.query.limit, 100);
+  const offset = parseOffset(req.query.offset);
+  const filters = scoreFilters(req);
+  
+  if (filters.error) {
+    return res.status(400).json(filters.error);
+  }
   
   const query = `
-    SELECT id, username, score, created_at 
+    SELECT id, username, score, mode, powerups, verified, created_at 
     FROM scores 
+    ${filters.where}
     ORDER BY score DESC, created_at ASC 
     LIMIT ? OFFSET ?
   `;
   
-  db.all(query, [limit, offset], (err, rows) => {
+  db.all(query, [...filters.params, limit, offset], (err, rows) => {
     if (err) {
       console.error('Database error:', err);
       res.status(500).json({ error: 'Internal server error' });
@@ -504,17 +1227,21 @@ app.get('/api/scores', (req, res) => {
 
 // Get top scores
 app.get('/api/scores/top/:limit?', (req, res) => {
-  const limit = parseInt(req.params.limit) || 10;
+  const limit = parseLimit(req.params.limit, 10);
+  const filters = scoreFilters(req);
+  
+  if (filters.error) {
+    return res.status(400).json(filters.error);
+  }
   
+  // created_at is when each player's best was set
   const query = `
-    SELECT username, MAX(score) as score, created_at
-    FROM scores 
-    GROUP BY username
-    ORDER BY score DESC 
+    ${bestScoresQuery(filters.where)}
+    ORDER BY score DESC, created_at ASC
     LIMIT ?
   `;
   
-  db.all(query, [limit], (err, rows) => {
+  db.all(query, [...filters.params, limit], (err, rows) => {
     if (err) {
       console.error('Database error:', err);
       res.status(500).json({ error: 'Internal server error' });
@@ -524,38 +1251,486 @@ app.get('/api/scores/top/:limit?', (req, res) => {
   });
 });
 
-// Add new score
-app.post('/api/scores', (req, res) => {
-  const { username, score } = req.body;
+// Live leaderboard: new scores that make the top of a board are pushed to
+// everyone watching /api/leaderboard/stream
+const LIVE_TOP_N = 10;
+const leaderboardStream = createEventStream();
+
+app.get('/api/leaderboard/stream', (req, res) => {
+  leaderboardStream.subscribe(req, res);
+});
+
+// Positions of a saved score on the boards it belongs to, for the ones where
+// it made the top LIVE_TOP_N
+async function getLiveBoards(score) {
+  const topIds = async (where, params) => {
+    const rows = await dbAll(
+      `${bestScoresQuery(where)} ORDER BY score DESC, created_at ASC LIMIT ?`,
+      [...params, LIVE_TOP_N]
+    );
+    return rows.map(row => row.id);
+  };
   
-  // Validation
-  if (!username || typeof username !== 'string' || username.trim().length === 0) {
-    return res.status(400).json({ error: 'Username is required' });
+  if (score.daily) {
+    const rank = (await topIds('WHERE daily_date = ?', [score.daily])).indexOf(score.id) + 1;
+    return rank > 0 ? [{ daily: score.daily, rank }] : [];
+  }
+  
+  const boards = [];
+  for (const period of Object.keys(PERIODS)) {
+    const filters = buildScoreFilters({ mode: score.mode, period, verified: false, powerups: score.powerups });
+    const rank = (await topIds(filters.where, filters.params)).indexOf(score.id) + 1;
+    if (rank > 0) {
+      boards.push({ period, rank });
+    }
+  }
+  return boards;
+}
+
+async function publishScore(score) {
+  if (leaderboardStream.size === 0) {
+    return;
+  }
+  try {
+    const boards = await getLiveBoards(score);
+    if (boards.length > 0) {
+      leaderboardStream.publish('score', { ...score, boards });
+    }
+  } catch (err) {
+    console.error('Error publishing live score:', err);
+  }
+}
+
+// Score submission limits: per client IP and per logged in player
+const scoreIpLimiter = createRateLimiter({
+  name: 'scores/ip',
+  windowMs: 60 * 1000,
+  max: 20,
+  key: (req) => req.ip
+});
+
+const scoreUserLimiter = createRateLimiter({
+  name: 'scores/user',
+  windowMs: 60 * 1000,
+  max: 10,
+  key: (req) => (req.user ? req.user.id : null)
+});
+
+const runUserLimiter = createRateLimiter({
+  name: 'runs/user',
+  windowMs: 60 * 1000,
+  max: 30,
+  key: (req) => (req.user ? req.user.id : null)
+});
+
+// Runs can be submitted for a day, so scores queued while the player was
+// offline still count. It has to be longer than the longest run we accept.
+// The price is that the plausibility check can only refuse runs that are
+// too fast: a token held for hours fits any replay prepared in the meantime.
+const RUN_TTL_MS = Math.max(24 * 60 * 60 * 1000, (MAX_REPLAY_FRAMES / FPS) * 1000 + 10 * 60 * 1000);
+
+// Start a run: the server picks the seed and remembers when the run began,
+// so a submission can be checked against the time that really passed. Runs
+// are played by the current engine rules, whose version is sent along.
+// `{ daily: true }` starts a run on today's daily challenge instead,
+// `{ powerups: true }` a run with power-ups and `{ assist: { speed, gravity } }`
+// an assisted run (neither on the daily challenge).
+app.post('/api/runs', requireAuth, runUserLimiter, async (req, res) => {
+  const { daily } = req.body;
+  let { mode = DEFAULT_MODE, powerups = false, assist = null } = req.body;
+  let seed = createSeed();
+  let dailyDate = null;
+  
+  if (daily) {
+    const challenge = getDailyChallenge(utcDate());
+    seed = challenge.seed;
+    mode = challenge.mode;
+    dailyDate = challenge.date;
+    powerups = false;
+    assist = null;
+  } else if (!isValidMode(mode)) {
+    return invalidMode(res);
+  }
+  
+  if (typeof powerups !== 'boolean') {
+    return res.status(400).json({ error: 'powerups must be true or false', code: 'INVALID_POWERUPS' });
+  }
+  
+  if (!isValidAssist(assist)) {
+    return res.status(400).json({ error: 'Unknown assist settings', code: 'INVALID_ASSIST' });
+  }
+  assist = normalizeAssist(assist);
+  
+  const token = createSessionToken();
+  
+  try {
+    // Expired runs can't be submitted any more
+    await dbRun('DELETE FROM runs WHERE started_at < ?', [Date.now() - RUN_TTL_MS]);
+    // Every daily run started counts as an attempt, whether or not its score
+    // is ever submitted - otherwise players could start runs until one goes
+    // well. Runs live longer than a day, so today's are all still there.
+    const inserted = await dbRun(
+      `INSERT INTO runs (token, user_id, seed, mode, powerups, rules_version, assist, daily_date, started_at)
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+       WHERE ? IS NULL OR (SELECT COUNT(*) FROM runs WHERE user_id = ? AND daily_date = ?) < ?`,
+      [
+        token, req.user.id, seed, mode, powerups ? 1 : 0, RULES_VERSION, serializeAssist(assist), dailyDate, Date.now(),
+        dailyDate, req.user.id, dailyDate, DAILY_ATTEMPTS
+      ]
+    );
+    if (inserted.changes === 0) {
+      return res.status(409).json({ error: 'No daily challenge attempts left today', code: 'DAILY_ATTEMPTS_USED' });
+    }
+    res.status(201).json({ token, seed, mode, powerups, version: RULES_VERSION, assist, daily: dailyDate });
+  } catch (err) {
+    console.error('Error starting run:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Assist settings as stored in the runs and scores tables
+function serializeAssist(assist) {
+  const normalized = normalizeAssist(assist);
+  return normalized ? JSON.stringify(normalized) : null;
+}
+
+function parseAssist(column) {
+  return column ? JSON.parse(column) : null;
+}
+
+// Refuse a score submission and keep a record of it for review
+async function rejectScore(req, res, status, code, message, details = {}) {
+  const { score } = req.body;
+  console.warn(`Rejected score from ${req.user ? req.user.username : 'anonymous'}: ${code}`);
+  
+  try {
+    await dbRun(
+      `INSERT INTO rejected_scores
+       (user_id, username, ip_address, code, reason, score, verified_score, run_token)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user ? req.user.id : null,
+        req.user ? req.user.username : null,
+        anonymizeIp(getClientIP(req)),
+        code,
+        message,
+        typeof score === 'number' ? score : null,
+        details.verifiedScore === undefined ? null : details.verifiedScore,
+        typeof req.body.runToken === 'string' ? req.body.runToken : null
+      ]
+    );
+  } catch (err) {
+    console.error('Error logging rejected score:', err);
   }
   
+  res.status(status).json({ error: message, code, ...details });
+}
+
+const CLIENT_RUN_ID_PATTERN = /^[\w-]{8,64}$/;
+
+// Record the skins a score unlocks for a player; resolves to the newly
+// unlocked ones
+async function awardSkins(userId, score) {
+  const unlocked = [];
+  for (const skin of getUnlockedSkins(score)) {
+    const { changes } = await dbRun(
+      'INSERT OR IGNORE INTO skin_unlocks (user_id, skin) VALUES (?, ?)',
+      [userId, skin]
+    );
+    if (changes > 0) {
+      unlocked.push(skin);
+    }
+  }
+  return unlocked;
+}
+
+// Games that count towards achievements: verified, unassisted scores
+async function countGames(userId) {
+  const { games } = await dbGet(
+    'SELECT COUNT(*) as games FROM scores WHERE user_id = ? AND verified = 1 AND assist IS NULL',
+    [userId]
+  );
+  return games;
+}
+
+// Record the achievements a verified run (and the player's games so far)
+// reach; resolves to the newly unlocked ones
+async function awardAchievements(userId, runStats) {
+  const stats = Object.assign({}, runStats, { games: await countGames(userId) });
+  const unlocked = [];
+  for (const achievement of getReachedAchievements(stats)) {
+    const { changes } = await dbRun(
+      'INSERT OR IGNORE INTO achievements (user_id, achievement) VALUES (?, ?)',
+      [userId, achievement]
+    );
+    if (changes > 0) {
+      unlocked.push(achievement);
+    }
+  }
+  return unlocked;
+}
+
+// Add new score
+// The client sends the token of the run it started, the run's seed and the
+// frames it flapped on. We replay the run and store the score we compute, not
+// the one we were sent. The player is taken from the session token, never from
+// the request body. Rate limited requests are not logged, so a flood can't
+// fill up the rejected_scores table.
+// Clients that retry submissions send a `clientRunId`; a retry of a score that
+// was already saved gets the saved score back instead of an error.
+app.post('/api/scores', scoreIpLimiter, requireAuth, scoreUserLimiter, async (req, res) => {
+  const {
+    score,
+    seed,
+    inputs,
+    daily,
+    runToken,
+    clientRunId,
+    mode = DEFAULT_MODE,
+    powerups = false,
+    assist = null
+  } = req.body;
+  
+  // Validation
   if (typeof score !== 'number' || score < 0) {
     return res.status(400).json({ error: 'Valid score is required' });
   }
   
-  if (username.length > 50) {
-    return res.status(400).json({ error: 'Username too long' });
+  if (seed === undefined || inputs === undefined) {
+    return rejectScore(req, res, 400, 'REPLAY_REQUIRED', 'Run replay is required');
   }
   
-  const cleanUsername = username.trim().substring(0, 50);
+  if (typeof runToken !== 'string') {
+    return rejectScore(req, res, 400, 'RUN_REQUIRED', 'Score must belong to a run started on the server');
+  }
+  
+  if (clientRunId !== undefined && !CLIENT_RUN_ID_PATTERN.test(clientRunId)) {
+    return res.status(400).json({ error: 'Invalid client run id', code: 'INVALID_CLIENT_RUN_ID' });
+  }
   
-  const query = 'INSERT INTO scores (username, score) VALUES (?, ?)';
+  try {
+    if (clientRunId) {
+      const saved = await dbGet(
+        'SELECT id, username, score, mode, powerups, assist, daily_date FROM scores WHERE user_id = ? AND client_run_id = ?',
+        [req.user.id, clientRunId]
+      );
+      if (saved) {
+        return res.json({
+          id: saved.id,
+          username: saved.username,
+          score: saved.score,
+          mode: saved.mode,
+          powerups: saved.powerups === 1,
+          assisted: saved.assist !== null,
+          daily: saved.daily_date,
+          verified: true,
+          duplicate: true,
+          message: 'Score was already saved'
+        });
+      }
+    }
+    
+    const run = await dbGet('SELECT * FROM runs WHERE token = ?', [runToken]);
+    const now = Date.now();
+    
+    if (!run || run.user_id !== req.user.id) {
+      return rejectScore(req, res, 422, 'INVALID_RUN', 'Unknown run');
+    }
+    
+    if (run.submitted_at) {
+      return rejectScore(req, res, 409, 'RUN_ALREADY_SUBMITTED', 'This run was already submitted');
+    }
+    
+    if (now - run.started_at > RUN_TTL_MS) {
+      return rejectScore(req, res, 422, 'RUN_EXPIRED', 'This run has expired');
+    }
+    
+    if (
+      seed !== run.seed ||
+      mode !== run.mode ||
+      powerups !== (run.powerups === 1) ||
+      serializeAssist(assist) !== run.assist ||
+      (daily || null) !== run.daily_date
+    ) {
+      return rejectScore(req, res, 422, 'RUN_MISMATCH', 'Run does not match the one started on the server');
+    }
+    
+    // A run the checks below refuse is closed, so it can't be tried again
+    // with other inputs. Errors on our side leave it open for the retry.
+    const refuseRun = async (status, code, message, details) => {
+      await dbRun('UPDATE runs SET submitted_at = ? WHERE token = ? AND submitted_at IS NULL', [now, runToken]);
+      return rejectScore(req, res, status, code, message, details);
+    };
+    
+    // Daily challenge runs must be played on that day's seed
+    if (run.daily_date) {
+      if (!isOpenForSubmissions(run.daily_date, now)) {
+        return refuseRun(422, 'DAILY_CLOSED', 'This daily challenge is closed');
+      }
+      
+      const challenge = getDailyChallenge(run.daily_date);
+      if (seed !== challenge.seed || mode !== challenge.mode) {
+        return refuseRun(422, 'DAILY_SEED_MISMATCH', 'Run was not played on the daily seed');
+      }
+      
+      // Best of DAILY_ATTEMPTS runs per player and day
+      const { attempts } = await dbGet(
+        'SELECT COUNT(*) as attempts FROM scores WHERE user_id = ? AND daily_date = ?',
+        [req.user.id, run.daily_date]
+      );
+      if (attempts >= DAILY_ATTEMPTS) {
+        return refuseRun(409, 'DAILY_ATTEMPTS_USED', 'No daily challenge attempts left today');
+      }
+    }
+    
+    let verified;
+    try {
+      verified = verifyRun({
+        seed,
+        mode,
+        powerups,
+        version: run.rules_version,
+        assist: parseAssist(run.assist),
+        inputs,
+        score
+      });
+    } catch (err) {
+      if (err instanceof ReplayError) {
+        return refuseRun(err.status, err.code, err.message, { verifiedScore: err.verifiedScore });
+      }
+      throw err;
+    }
+    
+    const implausible = checkPlausibility({
+      mode,
+      powerups,
+      score: verified.score,
+      frames: verified.frames,
+      elapsedMs: now - run.started_at
+    });
+    if (implausible) {
+      return refuseRun(422, implausible.code, implausible.message);
+    }
+    
+    // Saving the score uses up the run: the unique run_token turns away a
+    // concurrent submission of the same run, and a closed run is skipped
+    let saved;
+    try {
+      saved = await dbRun(
+        `INSERT INTO scores
+         (username, user_id, score, mode, powerups, rules_version, assist, verified, seed, inputs, daily_date, client_run_id, run_token)
+         SELECT ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?
+         WHERE NOT EXISTS (SELECT 1 FROM runs WHERE token = ? AND submitted_at IS NOT NULL)`,
+        [
+          req.user.username,
+          req.user.id,
+          verified.score,
+          mode,
+          powerups ? 1 : 0,
+          run.rules_version,
+          run.assist,
+          seed,
+          JSON.stringify(inputs),
+          run.daily_date,
+          clientRunId || null,
+          runToken,
+          runToken
+        ]
+      );
+    } catch (err) {
+      if (err.code !== 'SQLITE_CONSTRAINT') {
+        throw err;
+      }
+      saved = { changes: 0 };
+    }
+    if (saved.changes === 0) {
+      return rejectScore(req, res, 409, 'RUN_ALREADY_SUBMITTED', 'This run was already submitted');
+    }
+    const { lastID } = saved;
+    await dbRun('UPDATE runs SET submitted_at = ? WHERE token = ?', [now, runToken]);
+    // Assisted runs don't count towards unlocks, achievements or the leaderboards
+    const assisted = run.assist !== null;
+    const unlocked = assisted ? [] : await awardSkins(req.user.id, verified.score);
+    const achievements = assisted ? [] : await awardAchievements(req.user.id, verified.stats);
+    
+    res.status(201).json({
+      id: lastID,
+      username: req.user.username,
+      score: verified.score,
+      mode,
+      powerups,
+      assisted,
+      daily: run.daily_date,
+      verified: true,
+      unlocked,
+      achievements,
+      message: 'Score saved successfully'
+    });
+    
+    if (assisted) {
+      return;
+    }
+    publishScore({
+      id: lastID,
+      username: req.user.username,
+      user_id: req.user.id,
+      score: verified.score,
+      mode,
+      powerups,
+      daily: run.daily_date
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Failed to save score' });
+  }
+});
+
+// Get today's daily challenge (seed and rules)
+// For a logged in player it also reports how many attempts (daily runs
+// started) they have used.
+app.get('/api/daily', (req, res) => {
+  const challenge = getDailyChallenge(utcDate());
+  
+  if (!req.user) {
+    return res.json(challenge);
+  }
+  
+  db.get(
+    'SELECT COUNT(*) as attempts FROM runs WHERE user_id = ? AND daily_date = ?',
+    [req.user.id, challenge.date],
+    (err, row) => {
+      if (err) {
+        console.error('Database error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+      } else {
+        res.json({ ...challenge, attemptsUsed: row.attempts });
+      }
+    }
+  );
+});
+
+// Get the daily leaderboard for a UTC date (default: today)
+// Past dates stay available, so yesterday's winners can still be shown.
+app.get('/api/daily/scores/:date?', (req, res) => {
+  const date = req.params.date || utcDate();
+  const limit = parseLimit(req.query.limit, 10);
+  
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'Invalid daily challenge date', code: 'INVALID_DAILY' });
+  }
+  
+  const query = `
+    ${bestScoresQuery('WHERE daily_date = ?')}
+    ORDER BY score DESC, created_at ASC
+    LIMIT ?
+  `;
   
-  db.run(query, [cleanUsername, score], function(err) {
+  db.all(query, [date, limit], (err, rows) => {
     if (err) {
       console.error('Database error:', err);
-      res.status(500).json({ error: 'Failed to save score' });
+      res.status(500).json({ error: 'Internal server error' });
     } else {
-      res.status(201).json({
-        id: this.lastID,
-        username: cleanUsername,
-        score: score,
-        message: 'Score saved successfully'
-      });
+      res.json(rows);
     }
   });
 });
@@ -587,6 +1762,313 @@ app.get('/api/scores/user/:username', (req, res) => {
   });
 });
 
+// Player profiles
+
+// Scores of a player: those of their account, or the ones posted under the
+// name when no account has it. Resolves to null for unknown players.
+async function findPlayer(username) {
+  const user = await dbGet('SELECT id, username, created_at FROM users WHERE username = ?', [username]);
+  if (user) {
+    return { username: user.username, userId: user.id, joined: user.created_at, where: 'user_id = ?', params: [user.id] };
+  }
+  const legacy = await dbGet(
+    'SELECT username, MIN(created_at) as joined FROM scores WHERE user_id IS NULL AND username = ? GROUP BY username',
+    [username]
+  );
+  if (legacy) {
+    return { username: legacy.username, userId: null, joined: legacy.joined, where: 'user_id IS NULL AND username = ?', params: [username] };
+  }
+  return null;
+}
+
+// Shared by the profile endpoints: the player plus their leaderboard filters
+// (mode, ?verified=, ?powerups=), or an error response
+async function loadProfile(req, res) {
+  const filters = buildScoreFilters({
+    mode: req.query.mode || DEFAULT_MODE,
+    period: 'all',
+    verified: isTrueParam(req.query.verified),
+    powerups: isTrueParam(req.query.powerups)
+  });
+  if (filters.error) {
+    res.status(400).json(filters.error);
+    return null;
+  }
+  
+  const player = await findPlayer(req.params.username);
+  if (!player) {
+    res.status(404).json({ error: 'Player not found', code: 'PLAYER_NOT_FOUND' });
+    return null;
+  }
+  
+  return {
+    player,
+    filters,
+    where: `${filters.where} AND ${player.where}`,
+    params: [...filters.params, ...player.params]
+  };
+}
+
+// Best, rank, games played, average and median score in a mode
+app.get('/api/players/:username/stats', async (req, res) => {
+  try {
+    const profile = await loadProfile(req, res);
+    if (!profile) {
+      return;
+    }
+    const { player, filters, where, params } = profile;
+    
+    const totals = await dbGet(
+      `SELECT COUNT(*) as games, AVG(score) as average, MIN(created_at) as first_played, MAX(created_at) as last_played
+       FROM scores ${where}`,
+      params
+    );
+    const best = await dbGet(
+      `SELECT id, score, created_at FROM scores ${where} ORDER BY score DESC, created_at ASC LIMIT 1`,
+      params
+    );
+    // Middle score, or the mean of the two middle ones
+    const median = await dbGet(
+      `SELECT AVG(score) as median FROM (
+         SELECT score FROM scores ${where}
+         ORDER BY score
+         LIMIT 2 - ? % 2 OFFSET (? - 1) / 2
+       )`,
+      [...params, totals.games, totals.games]
+    );
+    const rank = best ? await dbGet(
+      `SELECT COUNT(*) + 1 as rank FROM (${bestScoresQuery(filters.where)}) WHERE score > ?`,
+      [...filters.params, best.score]
+    ) : null;
+    
+    res.json({
+      username: player.username,
+      user_id: player.userId,
+      joined: player.joined,
+      mode: filters.mode,
+      powerups: filters.powerups,
+      games: totals.games,
+      best: best || null,
+      rank: rank ? rank.rank : null,
+      average: totals.average,
+      median: median.median,
+      first_played: totals.first_played,
+      last_played: totals.last_played
+    });
+  } catch (err) {
+    console.error('Error fetching player stats:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A player's runs in a mode, newest first
+app.get('/api/players/:username/scores', async (req, res) => {
+  const limit = parseLimit(req.query.limit, 20);
+  const offset = parseOffset(req.query.offset);
+  
+  try {
+    const profile = await loadProfile(req, res);
+    if (!profile) {
+      return;
+    }
+    const { where, params } = profile;
+    
+    const { total } = await dbGet(`SELECT COUNT(*) as total FROM scores ${where}`, params);
+    const scores = await dbAll(
+      `SELECT id, score, mode, powerups, verified, created_at
+       FROM scores ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    
+    res.json({ scores, total, limit, offset });
+  } catch (err) {
+    console.error('Error fetching player scores:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Skins the logged in player has unlocked, oldest first. Milestones reached
+// before unlocks existed (or before a milestone was added) are awarded here
+// from the player's best verified (unassisted) score.
+app.get('/api/unlocks', requireAuth, async (req, res) => {
+  try {
+    const { best } = await dbGet(
+      'SELECT MAX(score) as best FROM scores WHERE user_id = ? AND verified = 1 AND assist IS NULL',
+      [req.user.id]
+    );
+    if (best !== null) {
+      await awardSkins(req.user.id, best);
+    }
+    const skins = await dbAll(
+      'SELECT skin, unlocked_at FROM skin_unlocks WHERE user_id = ? ORDER BY unlocked_at ASC, skin ASC',
+      [req.user.id]
+    );
+    res.json({ skins, best: best || 0 });
+  } catch (err) {
+    console.error('Error fetching unlocks:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Achievements a player has unlocked, oldest first, and the games that count
+// towards them. Players from before accounts existed have none.
+app.get('/api/players/:username/achievements', async (req, res) => {
+  try {
+    const player = await findPlayer(req.params.username);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found', code: 'PLAYER_NOT_FOUND' });
+    }
+    const achievements = player.userId === null ? [] : await dbAll(
+      'SELECT achievement, unlocked_at FROM achievements WHERE user_id = ? ORDER BY unlocked_at ASC, achievement ASC',
+      [player.userId]
+    );
+    res.json({
+      username: player.username,
+      achievements,
+      games: player.userId === null ? 0 : await countGames(player.userId)
+    });
+  } catch (err) {
+    console.error('Error fetching player achievements:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Share of players who unlocked each achievement. Players are accounts with
+// at least one game that counts towards achievements.
+app.get('/api/achievements', async (req, res) => {
+  try {
+    const { players } = await dbGet(
+      `SELECT COUNT(DISTINCT user_id) as players FROM scores
+       WHERE user_id IS NOT NULL AND verified = 1 AND assist IS NULL`
+    );
+    const rows = await dbAll(
+      'SELECT achievement, COUNT(*) as unlocked FROM achievements GROUP BY achievement'
+    );
+    const achievements = ACHIEVEMENTS.map(({ id, stat, goal }) => {
+      const row = rows.find(entry => entry.achievement === id);
+      const unlocked = row ? row.unlocked : 0;
+      return {
+        id,
+        stat,
+        goal,
+        unlocked,
+        percent: players > 0 ? Math.round((unlocked / players) * 1000) / 10 : 0
+      };
+    });
+    res.json({ players, achievements });
+  } catch (err) {
+    console.error('Error fetching achievement stats:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run replays (seed + inputs) of verified scores, used for ghost birds
+function formatReplay(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    score: row.score,
+    mode: row.mode,
+    powerups: row.powerups === 1,
+    version: row.rules_version,
+    assist: parseAssist(row.assist),
+    seed: row.seed,
+    inputs: JSON.parse(row.inputs),
+    created_at: row.created_at
+  };
+}
+
+// Best verified, unassisted replay of an account in a mode (`powerups` 1 for
+// the best with power-ups)
+function sendBestReplay(res, userId, mode, powerups) {
+  const query = `
+    SELECT id, username, score, mode, powerups, rules_version, assist, seed, inputs, created_at
+    FROM scores
+    WHERE user_id = ? AND mode = ? AND powerups = ? AND assist IS NULL AND verified = 1 AND inputs IS NOT NULL
+    ORDER BY score DESC, created_at ASC
+    LIMIT 1
+  `;
+  
+  db.get(query, [userId, mode, powerups], (err, row) => {
+    if (err) {
+      console.error('Database error:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    } else if (row) {
+      res.json(formatReplay(row));
+    } else {
+      res.status(404).json({ error: 'Replay not found' });
+    }
+  });
+}
+
+// The logged in player's personal best in a mode (`?powerups=true` for their
+// best with power-ups), for their ghost
+app.get('/api/replays/me', requireAuth, (req, res) => {
+  const mode = req.query.mode || DEFAULT_MODE;
+  const powerups = isTrueParam(req.query.powerups) ? 1 : 0;
+  
+  if (!isValidMode(mode)) {
+    return invalidMode(res);
+  }
+  
+  sendBestReplay(res, req.user.id, mode, powerups);
+});
+
+// Another player's personal best. Only runs of the account with this name
+// count, not anonymous ones posted under it.
+app.get('/api/replays/user/:username', async (req, res) => {
+  const { username } = req.params;
+  const mode = req.query.mode || DEFAULT_MODE;
+  const powerups = isTrueParam(req.query.powerups) ? 1 : 0;
+  
+  if (!username || username.trim().length === 0) {
+    return res.status(400).json({ error: 'Username is required' });
+  }
+  
+  if (!isValidMode(mode)) {
+    return invalidMode(res);
+  }
+  
+  try {
+    const user = await dbGet('SELECT id FROM users WHERE username = ?', [username.trim()]);
+    if (!user) {
+      return res.status(404).json({ error: 'Replay not found' });
+    }
+    sendBestReplay(res, user.id, mode, powerups);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the replay of a single run, e.g. the #1 entry from /api/scores/top
+app.get('/api/replays/:id', (req, res) => {
+  const id = parseInt(req.params.id);
+  
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Valid run id required' });
+  }
+  
+  const query = `
+    SELECT id, username, score, mode, powerups, rules_version, assist, seed, inputs, created_at
+    FROM scores
+    WHERE id = ? AND verified = 1 AND inputs IS NOT NULL
+  `;
+  
+  db.get(query, [id], (err, row) => {
+    if (err) {
+      console.error('Database error:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    } else if (row) {
+      res.json(formatReplay(row));
+    } else {
+      res.status(404).json({ error: 'Replay not found' });
+    }
+  });
+});
+
 // Get leaderboard rank for a specific score
 app.get('/api/rank/:score', (req, res) => {
   const { score } = req.params;
@@ -596,22 +2078,24 @@ app.get('/api/rank/:score', (req, res) => {
     return res.status(400).json({ error: 'Valid score required' });
   }
   
+  const filters = scoreFilters(req);
+  
+  if (filters.error) {
+    return res.status(400).json(filters.error);
+  }
+  
   const query = `
     SELECT COUNT(*) + 1 as rank
-    FROM (
-      SELECT username, MAX(score) as best_score
-      FROM scores
-      GROUP BY username
-      HAVING best_score > ?
-    ) as better_scores
+    FROM (${bestScoresQuery(filters.where)}) as best_scores
+    WHERE score > ?
   `;
   
-  db.get(query, [numScore], (err, row) => {
+  db.get(query, [...filters.params, numScore], (err, row) => {
     if (err) {
       console.error('Database error:', err);
       res.status(500).json({ error: 'Internal server error' });
     } else {
-      res.json({ score: numScore, rank: row.rank });
+      res.json({ score: numScore, mode: filters.mode, period: filters.period, powerups: filters.powerups, rank: row.rank });
     }
   });
 });
@@ -647,7 +2131,22 @@ process.on('SIGINT', () => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+});
+
+// Online race rooms share the HTTP server; browsers can't send headers with
+// a WebSocket, so players log in with their session token in the first message
+createRaceRooms({
+  server,
+  path: '/api/race',
+  authenticate: async (token) => {
+    try {
+      return await findSessionUser(token);
+    } catch (err) {
+      console.error('Error checking session:', err);
+      return null;
+    }
+  }
 });
\ No newline at end of file
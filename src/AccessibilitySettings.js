@@ -0,0 +1,60 @@
+import React from 'react';
+import OptionPicker from './OptionPicker';
+import { ASSIST_GRAVITIES, ASSIST_SPEEDS } from './engine';
+import { formatNumber, pickerOptions, t } from './i18n';
+
+const percentOptions = (values) => values.map(value => ({ id: value, name: formatNumber(value, { style: 'percent' }) }));
+
+// On/off picker for one of the settings in accessibility.js
+const Toggle = ({ label, settings, setting, onChange }) => (
+  <OptionPicker
+    label={label}
+    options={pickerOptions('option', ['off', 'on'])}
+    value={settings[setting] ? 'on' : 'off'}
+    onChange={value => onChange(Object.assign({}, settings, { [setting]: value === 'on' }))}
+  />
+);
+
+// Display, input and assist settings (see accessibility.js)
+const AccessibilitySettings = ({ settings, onChange, onClose }) => {
+  const set = (changes) => onChange(Object.assign({}, settings, changes));
+  return (
+    <div className="leaderboard-container accessibility-settings">
+      <button type="button" className="link-btn profile-back" onClick={onClose}>
+        {t('common.back')}
+      </button>
+      <h3 className="leaderboard-title">{t('a11y.title')}</h3>
+
+      <h4>{t('a11y.display')}</h4>
+      <Toggle label={t('a11y.highContrast')} settings={settings} setting="highContrast" onChange={onChange} />
+      <Toggle label={t('a11y.reducedMotion')} settings={settings} setting="reducedMotion" onChange={onChange} />
+      <p className="settings-hint">{t('a11y.displayHint')}</p>
+
+      <h4>{t('a11y.input')}</h4>
+      <Toggle label={t('a11y.oneSwitch')} settings={settings} setting="oneSwitch" onChange={onChange} />
+      <p className="settings-hint">{t('a11y.oneSwitchHint')}</p>
+
+      <h4>{t('a11y.assistMode')}</h4>
+      <Toggle label={t('a11y.assist')} settings={settings} setting="assist" onChange={onChange} />
+      {settings.assist && (
+        <>
+          <OptionPicker
+            label={t('a11y.speed')}
+            options={percentOptions(ASSIST_SPEEDS)}
+            value={settings.assistSpeed}
+            onChange={assistSpeed => set({ assistSpeed })}
+          />
+          <OptionPicker
+            label={t('a11y.gravity')}
+            options={percentOptions(ASSIST_GRAVITIES)}
+            value={settings.assistGravity}
+            onChange={assistGravity => set({ assistGravity })}
+          />
+        </>
+      )}
+      <p className="settings-hint">{t('a11y.assistHint')}</p>
+    </div>
+  );
+};
+
+export default AccessibilitySettings;
@@ -1,129 +1,233 @@
 import React, { Component } from 'react';
 import axios from 'axios';
+import {
+  constants,
+  MODES,
+  DEFAULT_MODE,
+  getMode,
+  POWERUPS,
+  createState,
+  step,
+  createVersusState,
+  stepVersus,
+  interpolate,
+  createReplay,
+  stepReplay,
+  getSpeedLevel,
+  getRunStats,
+  getReachedAchievements,
+  normalizeAssist
+} from './engine';
+import GameLoop from './gameLoop';
+import { fitCanvas } from './canvasSize';
+import { fillFittedText } from './canvasText';
+import {
+  LANGUAGES,
+  formatList,
+  formatNumber,
+  getLanguage,
+  pickerOptions,
+  saveLanguage,
+  setLanguage,
+  t
+} from './i18n';
+import { apiUrl } from './api';
+import { GHOST_SOURCES, clearLocalBests, loadGhostRun, loadLocalBest, saveLocalBest } from './ghost';
+import {
+  CHALLENGES,
+  DAILY_BOARDS,
+  fetchDailyChallenge,
+  previousDate,
+  attemptsLeft
+} from './daily';
+import { forgetSession, logout, restoreSession } from './auth';
+import { applyConsent, loadConsent } from './privacy';
+import { affectsBoard, subscribeToLeaderboard } from './liveLeaderboard';
+import { createClientRunId, queueScore, setQueueUser, subscribeToQueue } from './scoreQueue';
+import { clearSpareRuns, takeSpareRun, topUpSpareRuns } from './spareRuns';
+import AuthForm from './AuthForm';
+import OptionPicker from './OptionPicker';
+import PlayerProfile from './PlayerProfile';
+import { profileFromHash, profileLink } from './players';
+import { formatDay, formatScoreDate } from './format';
+import PrivacySettings from './PrivacySettings';
+import { POWERUP_SETTINGS, loadPowerupsSetting, savePowerupsSetting } from './powerups';
+import {
+  DEFAULT_SKIN,
+  drawBird,
+  getSkin,
+  getTheme,
+  HIGH_CONTRAST_THEME,
+  PLAYER_SKINS,
+  loadSprite,
+  isSkinUnlocked,
+  fetchUnlockedSkins,
+  loadSkinChoice,
+  saveSkinChoice,
+  loadThemeChoice,
+  saveThemeChoice
+} from './skins';
+import Customize from './Customize';
+import ControlsSettings from './ControlsSettings';
+import AccessibilitySettings from './AccessibilitySettings';
+import { applyAccessibility, getAssist, loadAccessibility, saveAccessibility } from './accessibility';
+import { actionForButton, actionForKey, keyName, loadControls, saveControls } from './controls';
+import { watchGamepads } from './gamepad';
+import { fetchPlayerAchievements } from './achievements';
+import { POSITION_EVERY } from './race';
+import RaceRoom from './RaceRoom';
+import {
+  unlockAudio,
+  playSound,
+  startMusic,
+  stopMusic,
+  suspendAudio,
+  resumeAudio,
+  getAudioSettings,
+  setVolume,
+  toggleMute,
+  setMusicEnabled
+} from './audio';
 import './App.css';
 
-// Game constants - Made much easier!
-const HEIGHT = 500;
-const WIDTH = 800;
-const PIPE_WIDTH = 60;
-const MIN_PIPE_HEIGHT = 30;
-const FPS = 60;
-const PIPE_GAP = 200; // Much larger gap for easier gameplay
-
-// Bird Class
-class Bird {
-  constructor(ctx) {
-    this.ctx = ctx;
-    this.x = 150;
-    this.y = HEIGHT / 2;
-    this.gravity = 0.4; // Reduced gravity for easier control
-    this.velocity = 0;
-    this.radius = 12; // Smaller bird for easier passage
-  }
+const { HEIGHT, WIDTH, FPS, PIPE_WIDTH, BIRD_X, BIRD_RADIUS } = constants;
 
-  draw = () => {
-    // Draw bird with gradient and better styling
-    const gradient = this.ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, this.radius);
-    gradient.addColorStop(0, '#FFD700');
-    gradient.addColorStop(1, '#FF8C00');
-    
-    this.ctx.fillStyle = gradient;
-    this.ctx.beginPath();
-    this.ctx.arc(this.x, this.y, this.radius, 0, 2 * Math.PI);
-    this.ctx.fill();
-    
-    // Add outline
-    this.ctx.strokeStyle = '#FF4500';
-    this.ctx.lineWidth = 2;
-    this.ctx.stroke();
-    
-    // Add eye
-    this.ctx.fillStyle = '#000';
-    this.ctx.beginPath();
-    this.ctx.arc(this.x + 5, this.y - 3, 3, 0, 2 * Math.PI);
-    this.ctx.fill();
-  };
+const TEXT_INPUT_TYPES = ['text', 'password', 'email', 'search', 'number', 'tel', 'url'];
 
-  update = () => {
-    this.velocity += this.gravity;
-    this.y += this.velocity;
-  };
+// One-switch mode: holding the switch this long pauses, and the game over
+// screen ignores it for a moment so a flap just too late doesn't restart
+// (the versus winner screen ignores taps the same way)
+const SWITCH_HOLD_MS = 1000;
+const SWITCH_RESTART_DELAY_MS = 1000;
 
-  jump = () => {
-    this.velocity = -8; // Gentler jump for better control
-  };
+// How long an achievement toast stays up
+const TOAST_MS = 4000;
 
-  getBounds = () => ({
-    left: this.x - this.radius,
-    right: this.x + this.radius,
-    top: this.y - this.radius,
-    bottom: this.y + this.radius
-  });
-}
+// Keys typed into a form field aren't game input
+const isTyping = (target) => target.isContentEditable ||
+  target.tagName === 'TEXTAREA' ||
+  (target.tagName === 'INPUT' && TEXT_INPUT_TYPES.indexOf(target.type) !== -1);
 
-// Pipe Class
-class Pipe {
-  constructor(ctx, height, isBottom = false, speed = 1.5) {
-    this.ctx = ctx;
-    this.isDead = false;
-    this.x = WIDTH;
-    this.width = PIPE_WIDTH;
-    this.isBottom = isBottom;
-    this.scored = false;
-    this.speed = speed;
-    
-    if (isBottom) {
-      this.y = HEIGHT - height;
-      this.height = height;
-    } else {
-      this.y = 0;
-      this.height = height;
-    }
+// Translucent ghost bird replaying a recorded run
+const drawGhost = (ctx, bird, label, skin, tick) => {
+  ctx.save();
+  ctx.globalAlpha = 0.4;
+  drawBird(ctx, bird, skin, tick);
+  ctx.fillStyle = '#FFF';
+  ctx.font = 'bold 12px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText(label, bird.x, bird.y - bird.radius - 6);
+  ctx.restore();
+};
+
+// Bubble around a shielded bird; it blinks while the bird can't be hit after
+// the shield broke
+const drawShield = (ctx, bird, color) => {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 3;
+  ctx.globalAlpha = 0.25;
+  ctx.beginPath();
+  ctx.arc(bird.x, bird.y, bird.radius + 8, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.globalAlpha = 0.9;
+  ctx.stroke();
+  ctx.restore();
+};
+
+// Power-up item floating in a pipe gap, marked with the first letter of its name
+const drawPowerup = (ctx, item) => {
+  ctx.fillStyle = POWERUPS[item.type].color;
+  ctx.beginPath();
+  ctx.arc(item.x, item.y, item.radius, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.strokeStyle = '#FFF';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  ctx.fillStyle = '#FFF';
+  ctx.font = 'bold 12px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(t(`powerup.${item.type}`)[0], item.x, item.y + 1);
+  ctx.textBaseline = 'alphabetic';
+};
+
+// Draws one pipe half; the cap sits on the end facing the gap
+const drawPipeSection = (ctx, x, y, width, height, isBottom, colors) => {
+  // Create gradient for pipes
+  const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+  gradient.addColorStop(0, colors[0]);
+  gradient.addColorStop(0.5, colors[1]);
+  gradient.addColorStop(1, colors[0]);
+  
+  ctx.fillStyle = gradient;
+  ctx.fillRect(x, y, width, height);
+  
+  // Add border
+  ctx.strokeStyle = colors[2];
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, width, height);
+  
+  // Add pipe cap
+  const capHeight = 30;
+  const capWidth = width + 10;
+  const capX = x - 5;
+  
+  if (isBottom) {
+    ctx.fillRect(capX, y - capHeight, capWidth, capHeight);
+    ctx.strokeRect(capX, y - capHeight, capWidth, capHeight);
+  } else {
+    ctx.fillRect(capX, y + height, capWidth, capHeight);
+    ctx.strokeRect(capX, y + height, capWidth, capHeight);
   }
+};
 
-  draw = () => {
-    // Create gradient for pipes
-    const gradient = this.ctx.createLinearGradient(this.x, 0, this.x + this.width, 0);
-    gradient.addColorStop(0, '#228B22');
-    gradient.addColorStop(0.5, '#32CD32');
-    gradient.addColorStop(1, '#228B22');
-    
-    this.ctx.fillStyle = gradient;
-    this.ctx.fillRect(this.x, this.y, this.width, this.height);
-    
-    // Add border
-    this.ctx.strokeStyle = '#006400';
-    this.ctx.lineWidth = 2;
-    this.ctx.strokeRect(this.x, this.y, this.width, this.height);
-    
-    // Add pipe cap
-    const capHeight = 30;
-    const capWidth = this.width + 10;
-    const capX = this.x - 5;
-    
-    if (this.isBottom) {
-      this.ctx.fillRect(capX, this.y - capHeight, capWidth, capHeight);
-      this.ctx.strokeRect(capX, this.y - capHeight, capWidth, capHeight);
-    } else {
-      this.ctx.fillRect(capX, this.y + this.height, capWidth, capHeight);
-      this.ctx.strokeRect(capX, this.y + this.height, capWidth, capHeight);
-    }
-  };
+// Rock hanging from the top with spikes along its lower edge; the spikes are
+// part of the hitbox
+const drawCeilingHazard = (ctx, pipe, colors) => {
+  const spikeHeight = 18;
+  const spikes = 6;
+  const spikeWidth = pipe.width / spikes;
+  const rockBottom = pipe.topHeight - spikeHeight;
 
-  update = () => {
-    this.x -= this.speed;
-    if (this.x + PIPE_WIDTH < 0) {
-      this.isDead = true;
-    }
-  };
+  ctx.fillStyle = colors.rock;
+  ctx.fillRect(pipe.x, 0, pipe.width, rockBottom);
+  ctx.strokeStyle = colors.edge;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(pipe.x, 0, pipe.width, rockBottom);
 
-  getBounds = () => ({
-    left: this.x,
-    right: this.x + this.width,
-    top: this.y,
-    bottom: this.y + this.height
-  });
-}
+  ctx.fillStyle = colors.spikes;
+  ctx.beginPath();
+  for (let i = 0; i < spikes; i++) {
+    const left = pipe.x + i * spikeWidth;
+    ctx.moveTo(left, rockBottom);
+    ctx.lineTo(left + spikeWidth / 2, pipe.topHeight);
+    ctx.lineTo(left + spikeWidth, rockBottom);
+  }
+  ctx.fill();
+  ctx.stroke();
+};
+
+// Obstacle renderer - see src/engine/obstacles.js for the kinds
+const drawPipe = (ctx, pipe, theme) => {
+  if (pipe.kind === 'ceiling') {
+    drawCeilingHazard(ctx, pipe, theme.ceiling);
+    return;
+  }
+
+  const colors = theme.pipes[pipe.kind] || theme.pipes.static;
+  drawPipeSection(ctx, pipe.x, 0, PIPE_WIDTH, pipe.topHeight, false, colors);
+  drawPipeSection(ctx, pipe.x, HEIGHT - pipe.bottomHeight, PIPE_WIDTH, pipe.bottomHeight, true, colors);
+
+  // Staggered double pipes: the second pair sits at the far end
+  if (pipe.kind === 'double') {
+    const secondX = pipe.x + pipe.width - PIPE_WIDTH;
+    drawPipeSection(ctx, secondX, 0, PIPE_WIDTH, pipe.secondTopHeight, false, colors);
+    drawPipeSection(ctx, secondX, HEIGHT - pipe.secondBottomHeight, PIPE_WIDTH, pipe.secondBottomHeight, true, colors);
+  }
+};
 
 class Game extends Component {
   constructor(props) {
@@ -133,40 +237,247 @@ class Game extends Component {
       gameStarted: false,
       gameOver: false,
       score: 0,
-      paused: false
+      paused: false,
+      connecting: false,
+      audio: getAudioSettings(),
+      // Read out by screen readers (the canvas itself says nothing)
+      announcement: '',
+      // Achievements being toasted
+      toasts: []
     };
-    this.frameCount = 0;
-    this.pipes = [];
-    this.bird = null;
-    this.loop = null;
+    this.engine = null;
+    this.run = null;
+    this.clientRunId = null;
+    this.runRequest = null;
+    this.startWhenReady = false;
+    this.previousEngine = null;
+    this.ghost = null;
+    this.previousGhost = null;
+    // Flaps by player; only versus games have more than one
+    this.pendingFlaps = [];
+    this.inputs = [];
+    // Personal best when the run started, for the new best fanfare
+    this.bestScore = 0;
+    this.beatBest = false;
+    // One-switch mode, see switchDown
+    this.holdTimer = null;
+    this.gameOverAt = 0;
+    // Achievements toasted since the page loaded, in case the server hasn't
+    // confirmed them yet when the next run starts
+    this.toasted = [];
+    this.toastTimers = [];
+    // Canvas pixels per logical pixel (see canvasSize.js)
+    this.scale = 1;
+    this.loop = new GameLoop({
+      update: this.update,
+      render: this.draw,
+      stepMs: 1000 / FPS
+    });
   }
 
   componentDidMount() {
     document.addEventListener('keydown', this.onKeyDown);
-    document.addEventListener('click', this.onClick);
+    document.addEventListener('keyup', this.onKeyUp);
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+    window.addEventListener('resize', this.onResize);
+    if (window.screen.orientation) {
+      window.screen.orientation.addEventListener('change', this.onOrientationChange);
+    } else {
+      window.addEventListener('orientationchange', this.onOrientationChange);
+    }
+    this.stopGamepads = watchGamepads(this.onGamepadButton, this.onGamepadRelease);
+    this.scale = fitCanvas(this.canvasRef.current, WIDTH, HEIGHT);
     this.initGame();
+    this.preloadSkin();
+    if (this.props.race) {
+      this.waitForRace();
+    }
+  }
+
+  componentDidUpdate(prevProps) {
+    // Show a new skin, theme, language or accessibility setting right away on the start screen
+    const restyled = prevProps.skin !== this.props.skin ||
+      prevProps.theme !== this.props.theme ||
+      prevProps.highContrast !== this.props.highContrast ||
+      prevProps.reducedMotion !== this.props.reducedMotion ||
+      prevProps.oneSwitch !== this.props.oneSwitch ||
+      prevProps.language !== this.props.language;
+    if (restyled && !this.loop.running) {
+      this.draw();
+      this.preloadSkin();
+    }
+
+    // A new mode, seed, power-up, assist or versus setting only applies to a game that hasn't started yet
+    const changed = prevProps.mode !== this.props.mode ||
+      prevProps.versus !== this.props.versus ||
+      prevProps.seed !== this.props.seed ||
+      prevProps.powerups !== this.props.powerups ||
+      JSON.stringify(prevProps.assist) !== JSON.stringify(this.props.assist);
+    if (changed && !this.state.gameStarted) {
+      this.initGame();
+    }
   }
 
   componentWillUnmount() {
     document.removeEventListener('keydown', this.onKeyDown);
-    document.removeEventListener('click', this.onClick);
-    if (this.loop) {
-      clearInterval(this.loop);
+    document.removeEventListener('keyup', this.onKeyUp);
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    window.removeEventListener('resize', this.onResize);
+    if (window.screen.orientation) {
+      window.screen.orientation.removeEventListener('change', this.onOrientationChange);
+    } else {
+      window.removeEventListener('orientationchange', this.onOrientationChange);
+    }
+    this.stopGamepads();
+    clearTimeout(this.holdTimer);
+    clearInterval(this.countdownTimer);
+    this.toastTimers.forEach(clearTimeout);
+    this.loop.stop();
+    stopMusic();
+    // Taken off the page mid-game, e.g. when a race's connection dropped
+    if (this.state.gameStarted && !this.state.gameOver) {
+      document.body.classList.remove('game-active');
+      if (this.props.onGameStateChange) {
+        this.props.onGameStateChange({ gameActive: false, gameOver: false });
+      }
     }
   }
 
+  // Redraw the start screen once the skin's sprite sheet is in
+  preloadSkin = () => {
+    const skin = getSkin(this.props.skin);
+    if (!skin.sprite) {
+      return;
+    }
+    loadSprite(skin.sprite)
+      .then(() => {
+        if (!this.loop.running && this.canvasRef.current) {
+          this.draw();
+        }
+      })
+      .catch(() => {}); // Drawn with shapes instead
+  };
+
   initGame = () => {
-    const ctx = this.getCtx();
-    this.bird = new Bird(ctx);
-    this.pipes = [];
-    this.frameCount = 0;
-    this.setState({ score: 0, gameOver: false, gameStarted: false });
+    // Daily challenges pass the seed of the day, races the room's; regular
+    // runs get a random one
+    const { race } = this.props;
+    const options = race ? { mode: race.mode, seed: race.seed, version: race.version } : {
+      mode: this.props.mode,
+      seed: this.props.seed,
+      powerups: this.props.powerups,
+      assist: this.props.assist
+    };
+    this.engine = this.props.versus ? createVersusState(options) : createState(options);
+    this.previousEngine = null;
+    this.ghost = null;
+    this.previousGhost = null;
+    this.pendingFlaps = [];
+    this.inputs = [];
+    this.clientRunId = createClientRunId();
+    this.startWhenReady = false;
+    this.requestOnStart = false;
+    this.setState(
+      { score: 0, gameOver: false, gameStarted: false, paused: false, connecting: false, announcement: '' },
+      () => this.draw()
+    );
+    if (this.props.versus || this.props.race || this.props.daily) {
+      // Versus games aren't ranked and races are ranked by their room, so
+      // they need no run token. Every daily run started uses up an attempt,
+      // so that one is only requested once the player starts.
+      this.run = null;
+      this.runRequest = null;
+      this.requestOnStart = Boolean(this.props.daily);
+    } else {
+      this.requestRun();
+    }
+  };
+
+  // Scores only count for runs started on the server, which also picks the seed.
+  // Offline, a spare run kept for these settings is played instead (see
+  // spareRuns.js), and one is put aside while online.
+  requestRun = () => {
+    const { username, mode, daily, powerups, assist } = this.props;
+    const settings = { mode, powerups: Boolean(powerups), assist: normalizeAssist(assist) };
+    const request = axios.post(apiUrl('/runs'), { mode, daily: Boolean(daily), powerups: Boolean(powerups), assist })
+      .then(response => {
+        if (!daily) {
+          topUpSpareRuns(username, settings);
+        }
+        return response.data;
+      })
+      .catch(error => {
+        if (!error.response && !daily) {
+          return takeSpareRun(username, settings);
+        }
+        console.error('Failed to start run:', error);
+        return null;
+      });
+
+    this.run = null;
+    this.runRequest = request;
+    request.then(run => {
+      // The game was set up again while we waited
+      if (this.runRequest !== request) {
+        return;
+      }
+      this.runRequest = null;
+      this.run = run;
+      if (run) {
+        this.engine = createState({
+          mode: run.mode,
+          seed: run.seed,
+          powerups: run.powerups,
+          version: run.version,
+          assist: run.assist
+        });
+      }
+      if (this.startWhenReady) {
+        this.startWhenReady = false;
+        this.startGame();
+      } else if (!this.state.gameStarted) {
+        this.draw();
+      }
+    });
+  };
+
+  // Races start by themselves at the end of the room's countdown, which is
+  // drawn until then
+  waitForRace = () => {
+    this.countdownTimer = setInterval(() => {
+      if (Date.now() >= this.props.race.startsAt) {
+        clearInterval(this.countdownTimer);
+        this.startGame();
+      } else {
+        this.draw();
+      }
+    }, 100);
   };
 
   startGame = () => {
+    if (this.requestOnStart) {
+      this.requestOnStart = false;
+      this.requestRun();
+    }
+    // Wait for the run token; the game starts as soon as it arrives
+    if (this.runRequest) {
+      this.startWhenReady = true;
+      this.setState({ connecting: true }, () => this.draw());
+      return;
+    }
     if (!this.state.gameStarted && !this.state.gameOver) {
-      this.setState({ gameStarted: true });
-      this.loop = setInterval(this.gameLoop, 1000 / FPS);
+      // Only race a ghost recorded on the same difficulty and power-up
+      // setting, and not while assisted
+      const { ghostRun } = this.props;
+      if (ghostRun && !this.engine.assist && ghostRun.mode === this.engine.mode && Boolean(ghostRun.powerups) === this.engine.powerups) {
+        this.ghost = createReplay(ghostRun);
+      }
+      const best = loadLocalBest(this.props.username, this.engine.mode, this.engine.powerups);
+      this.bestScore = best ? best.score : 0;
+      this.beatBest = false;
+      this.setState({ gameStarted: true, connecting: false, announcement: t('announce.started') });
+      this.loop.start();
+      startMusic();
       // Prevent scrolling on mobile
       document.body.classList.add('game-active');
       // Notify parent about game state
@@ -176,21 +487,30 @@ class Game extends Component {
     }
   };
 
+  // Races go on for everyone else, so they can't be paused
   togglePause = () => {
-    if (this.state.gameStarted && !this.state.gameOver) {
+    if (this.state.gameStarted && !this.state.gameOver && !this.props.race) {
       if (this.state.paused) {
-        this.loop = setInterval(this.gameLoop, 1000 / FPS);
+        this.loop.start();
+        resumeAudio();
       } else {
-        clearInterval(this.loop);
+        this.loop.stop();
+        suspendAudio();
       }
-      this.setState({ paused: !this.state.paused });
+      // Draw once so the pause overlay shows while the loop is stopped
+      const announcement = this.state.paused ? t('announce.resumed') : t('announce.paused', { hint: this.resumeHint() });
+      this.setState({ paused: !this.state.paused, announcement }, () => this.draw());
     }
   };
 
+  // A race is a single run
   restart = () => {
-    if (this.loop) {
-      clearInterval(this.loop);
+    if (this.props.race) {
+      return;
     }
+    this.loop.stop();
+    stopMusic();
+    resumeAudio(); // In case the game was paused
     this.initGame();
     // Re-enable scrolling when restarting
     document.body.classList.remove('game-active');
@@ -200,192 +520,439 @@ class Game extends Component {
     }
   };
 
-  onKeyDown = (e) => {
-    e.preventDefault();
-    switch (e.code) {
-      case 'Space':
-        if (!this.state.gameStarted) {
+  // Flaps are queued and applied by the engine on the next frame.
+  // `player` is the bird to flap in a versus game.
+  flap = (player = 0) => {
+    this.pendingFlaps[player] = true;
+  };
+
+  // `action` is one of the ACTIONS in controls.js
+  runAction = (action) => {
+    switch (action) {
+      case 'flap':
+      case 'flap2':
+        // There's only a second bird in versus games
+        if (action === 'flap2' && !this.props.versus) {
+          break;
+        }
+        if (!this.state.gameStarted && !this.props.race) {
           this.startGame();
         }
         if (this.state.gameStarted && !this.state.gameOver && !this.state.paused) {
-          this.bird.jump();
+          this.flap(action === 'flap2' ? 1 : 0);
         }
         break;
-      case 'KeyP':
+      case 'pause':
         this.togglePause();
         break;
-      case 'KeyR':
+      case 'restart':
         this.restart();
         break;
+      case 'mute':
+        this.toggleMute();
+        break;
       default:
         break;
     }
   };
 
-  onClick = () => {
+  onKeyDown = (e) => {
+    // Leave browser shortcuts like Ctrl+R alone
+    if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) {
+      return;
+    }
+    // Every key is the switch, except Tab which still moves the focus
+    if (this.props.oneSwitch) {
+      if (e.code !== 'Tab') {
+        e.preventDefault();
+        if (!e.repeat) {
+          unlockAudio();
+          this.switchDown();
+        }
+      }
+      return;
+    }
+    const action = actionForKey(this.props.controls, e.code);
+    if (!action) {
+      return;
+    }
+    // Only bound keys lose their usual job (Space would scroll the page)
+    e.preventDefault();
+    unlockAudio();
+    this.runAction(action);
+  };
+
+  onKeyUp = () => {
+    if (this.props.oneSwitch) {
+      this.switchUp();
+    }
+  };
+
+  onGamepadButton = (button, gamepad) => {
+    if (this.props.oneSwitch) {
+      this.switchDown();
+      return;
+    }
+    let action = actionForButton(this.props.controls, button);
+    // In versus the flap button of a second controller flaps the second bird
+    if (action === 'flap' && this.props.versus && gamepad > 0) {
+      action = 'flap2';
+    }
+    if (action) {
+      unlockAudio();
+      this.runAction(action);
+    }
+  };
+
+  onGamepadRelease = () => {
+    if (this.props.oneSwitch) {
+      this.switchUp();
+    }
+  };
+
+  // One-switch mode: a press starts the game and flaps, holding the switch
+  // pauses and the next press resumes. After a game over a press restarts.
+  switchDown = () => {
+    clearTimeout(this.holdTimer);
+    if (this.state.paused) {
+      this.togglePause();
+    } else if (this.state.gameOver) {
+      if (Date.now() - this.gameOverAt >= SWITCH_RESTART_DELAY_MS) {
+        this.restart();
+      }
+    } else {
+      this.runAction('flap');
+      this.holdTimer = setTimeout(this.onSwitchHeld, SWITCH_HOLD_MS);
+    }
+  };
+
+  switchUp = () => {
+    clearTimeout(this.holdTimer);
+  };
+
+  onSwitchHeld = () => {
+    if (this.state.gameStarted && !this.state.gameOver && !this.state.paused) {
+      this.togglePause();
+    }
+  };
+
+  // Pointer events fire on touch right away, without the delay of a click
+  onPointerDown = (e) => {
+    // Only the main mouse button or the first finger; in versus both players
+    // tap at once, each on their half of the game
+    if ((!e.isPrimary && !this.props.versus) || e.button !== 0) {
+      return;
+    }
+    // Don't also fire the emulated mouse events
+    e.preventDefault();
+    unlockAudio();
+    if (this.props.oneSwitch) {
+      // Hear about the release even if the pointer leaves the canvas
+      e.currentTarget.setPointerCapture(e.pointerId);
+      this.switchDown();
+      return;
+    }
     if (!this.state.gameStarted) {
-      this.startGame();
+      if (!this.props.race) {
+        this.startGame();
+      }
     } else if (this.state.gameOver) {
-      this.restart();
+      if (!this.props.versus || Date.now() - this.gameOverAt >= SWITCH_RESTART_DELAY_MS) {
+        this.restart();
+      }
     } else if (this.state.gameStarted && !this.state.gameOver && !this.state.paused) {
-      this.bird.jump();
+      const rect = e.currentTarget.getBoundingClientRect();
+      this.flap(this.props.versus && e.clientX - rect.left >= rect.width / 2 ? 1 : 0);
     }
   };
-  getCtx = () => this.canvasRef.current.getContext('2d');
 
-  generatePipes = () => {
-    const ctx = this.getCtx();
-    const minHeight = MIN_PIPE_HEIGHT;
-    
-    // Make the first few pipes easier with larger gaps
-    const isEarlyGame = this.state.score < 3;
-    const currentGap = isEarlyGame ? PIPE_GAP + 50 : PIPE_GAP;
-    
-    // Calculate speed based on score - increase every 10 points
-    let gameSpeed = 1.5; // Starting speed
-    if (this.state.score >= 10 && this.state.score < 20) {
-      gameSpeed = 2.0;
-    } else if (this.state.score >= 20 && this.state.score < 30) {
-      gameSpeed = 2.5;
-    } else if (this.state.score >= 30 && this.state.score < 40) {
-      gameSpeed = 3.0;
-    } else if (this.state.score >= 40) {
-      gameSpeed = 3.5;
+  onPointerUp = () => {
+    if (this.props.oneSwitch) {
+      this.switchUp();
     }
-    
-    const maxHeight = HEIGHT - currentGap - minHeight;
-    const topPipeHeight = minHeight + Math.random() * (maxHeight - minHeight);
-    const bottomPipeHeight = HEIGHT - topPipeHeight - currentGap;
+  };
 
-    return [
-      new Pipe(ctx, topPipeHeight, false, gameSpeed),
-      new Pipe(ctx, bottomPipeHeight, true, gameSpeed)
-    ];
+  toggleMute = () => {
+    unlockAudio();
+    this.setState({ audio: toggleMute() });
   };
 
-  gameLoop = () => {
-    if (!this.state.paused) {
-      this.update();
+  onVolumeChange = (e) => {
+    unlockAudio();
+    this.setState({ audio: setVolume(Number(e.target.value) / 100) });
+  };
+
+  toggleMusic = () => {
+    unlockAudio();
+    const audio = setMusicEnabled(!this.state.audio.music);
+    this.setState({ audio });
+    if (audio.music && this.state.gameStarted && !this.state.gameOver) {
+      startMusic();
+    }
+  };
+
+  keyLabel = (action) => keyName(this.props.controls.keys[action]);
+
+  resumeHint = () => (
+    this.props.oneSwitch ? t('game.resumeSwitch') : t('game.resumeKey', { key: this.keyLabel('pause') })
+  );
+
+  restartHint = () => (
+    this.props.oneSwitch ? t('game.restartSwitch') : t('game.restartKey', { key: this.keyLabel('restart') })
+  );
+
+  // Keep the canvas sharp when the window, zoom or screen changes
+  onResize = () => {
+    this.scale = fitCanvas(this.canvasRef.current, WIDTH, HEIGHT);
+    if (!this.loop.running) {
       this.draw();
     }
   };
-  submitScore = async () => {
-    try {
-      const newScore = {
-        username: this.props.username,
-        score: this.state.score
-      };
-      const apiUrl = process.env.NODE_ENV === 'production' 
-        ? '/api/scores' 
-        : 'http://localhost:3001/api/scores';
-      
-      await axios.post(apiUrl, newScore);
-      this.props.onScoreSubmitted();
-    } catch (error) {
-      console.error('Failed to submit score:', error);
-      // Don't break the game if score submission fails
+
+  // Turning the phone mid-run would otherwise cost the bird its life
+  onOrientationChange = () => {
+    if (this.state.gameStarted && !this.state.gameOver && !this.state.paused) {
+      this.togglePause();
+    }
+    this.onResize();
+  };
+
+  // Background tabs get no animation frames, so pause instead of freezing mid-air
+  onVisibilityChange = () => {
+    if (document.hidden && !this.state.paused) {
+      this.togglePause();
+    }
+  };
+
+  // Queued until the server has it (see scoreQueue.js); the App hears when
+  // it synced. Runs started offline without a spare run have no run token
+  // and can't be ranked, which the game over screen says.
+  submitScore = () => {
+    if (!this.run) {
+      return;
     }
+    // The server replays the run from its seed and inputs to verify the score
+    // The player is identified by the session token, not sent here
+    queueScore(this.props.username, {
+      score: this.state.score,
+      seed: this.engine.seed,
+      mode: this.engine.mode,
+      powerups: this.engine.powerups,
+      assist: this.engine.assist,
+      inputs: this.inputs,
+      daily: this.props.daily,
+      runToken: this.run.token,
+      clientRunId: this.clientRunId
+    });
   };
 
   update = () => {
-    this.frameCount++;
-    
-    // Generate new pipes much less frequently for easier gameplay
-    if (this.frameCount % 240 === 0) { // Slower pipe generation
-      const pipes = this.generatePipes();
-      this.pipes.push(...pipes);
-    }
-
-    // Update pipe positions
-    this.pipes.forEach(pipe => {
-      pipe.update();
-      // Check for scoring (only count once per pipe pair)
-      if (!pipe.scored && pipe.x + PIPE_WIDTH < this.bird.x && !pipe.isBottom) {
-        pipe.scored = true;
-        this.setState({ score: this.state.score + 1 });
+    if (this.props.versus) {
+      this.updateVersus();
+      return;
+    }
+    // Record the frame of every flap so the run can be replayed
+    const flap = Boolean(this.pendingFlaps[0]);
+    if (flap) {
+      this.inputs.push(this.engine.frame + 1);
+      playSound('flap');
+    }
+    this.previousEngine = this.engine;
+    this.engine = step(this.engine, { flap });
+    this.pendingFlaps = [];
+    if (this.props.race && this.engine.frame % POSITION_EVERY === 0) {
+      this.props.race.sendPosition(this.engine);
+    }
+
+    if (this.ghost && !this.ghost.state.over) {
+      this.previousGhost = this.ghost.state;
+      this.ghost = stepReplay(this.ghost);
+    }
+
+    if (this.engine.score !== this.state.score) {
+      // One fanfare when the run passes the personal best, a ding otherwise
+      let announcement = t('announce.score', { score: this.engine.score });
+      if (!this.beatBest && this.bestScore > 0 && this.engine.score > this.bestScore) {
+        this.beatBest = true;
+        playSound('newBest');
+        announcement = t('announce.newBest', { score: this.engine.score });
+      } else {
+        playSound('score');
       }
-    });
-    
-    this.pipes = this.pipes.filter(pipe => !pipe.isDead);
+      this.setState({ score: this.engine.score, announcement });
+    }
 
-    // Update bird position
-    this.bird.update();
+    this.checkAchievements();
 
-    // Check for collisions
-    if (this.checkCollisions()) {
-      this.setState({ gameOver: true });
-      this.submitScore();
-      clearInterval(this.loop);
-      // Re-enable scrolling when game ends
-      document.body.classList.remove('game-active');
-      // Notify parent that game ended
-      if (this.props.onGameStateChange) {
-        this.props.onGameStateChange({ gameActive: false, gameOver: true });
+    if (this.engine.over) {
+      playSound('hit');
+      stopMusic();
+      // Assisted runs don't make local bests, which are raced as ghosts
+      if (!this.engine.assist) {
+        saveLocalBest(this.props.username, {
+          username: this.props.username,
+          score: this.engine.score,
+          mode: this.engine.mode,
+          powerups: this.engine.powerups,
+          version: this.engine.version,
+          seed: this.engine.seed,
+          inputs: this.inputs
+        });
+      }
+      if (this.props.race) {
+        // The room replays the run to rank it
+        this.props.race.finish(this.inputs, this.engine.score);
+        this.endGame(t('announce.raceOver', { score: this.engine.score }));
+      } else {
+        const announcement = t('announce.gameOver', { score: this.engine.score, hint: this.restartHint() });
+        this.endGame(announcement, this.submitScore);
       }
     }
   };
-  checkCollisions = () => {
-    const birdBounds = this.bird.getBounds();
-    
-    // More forgiving bounds collision - leave some margin
-    if (birdBounds.top <= -5 || birdBounds.bottom >= HEIGHT + 5) {
-      return true;
-    }
-
-    // More forgiving pipe collision - reduce collision area by 3 pixels on each side
-    const margin = 3;
-    return this.pipes.some(pipe => {
-      const pipeBounds = pipe.getBounds();
-      return (
-        birdBounds.right - margin > pipeBounds.left + margin &&
-        birdBounds.left + margin < pipeBounds.right - margin &&
-        birdBounds.bottom - margin > pipeBounds.top + margin &&
-        birdBounds.top + margin < pipeBounds.bottom - margin
-      );
-    });
+
+  // Versus games only keep score on screen: no replays, bests or achievements
+  updateVersus = () => {
+    if (this.pendingFlaps.some(Boolean)) {
+      playSound('flap');
+    }
+    this.previousEngine = this.engine;
+    this.engine = stepVersus(this.engine, { flaps: this.pendingFlaps });
+    this.pendingFlaps = [];
+
+    let announcement = null;
+    if (this.engine.score !== this.state.score) {
+      playSound('score');
+      announcement = t('announce.score', { score: this.engine.score });
+    }
+    const crashed = this.engine.players
+      .map((player, index) => (player.out && !this.previousEngine.players[index].out ? index : -1))
+      .filter(index => index !== -1);
+    if (crashed.length > 0) {
+      playSound('hit');
+      announcement = formatList(crashed.map(index => t('announce.playerOut', { player: index + 1 })));
+    }
+    if (announcement) {
+      this.setState({ score: this.engine.score, announcement });
+    }
+
+    if (this.engine.over) {
+      stopMusic();
+      this.endGame(t('announce.versusOver', { result: this.versusResult(), hint: this.restartHint() }));
+    }
   };
 
-  drawBackground = (ctx) => {
+  // Stop the loop and show the game over screen
+  endGame = (announcement, onEnded) => {
+    this.gameOverAt = Date.now();
+    this.setState({ gameOver: true, announcement }, onEnded);
+    this.loop.stop();
+    // Re-enable scrolling when game ends
+    document.body.classList.remove('game-active');
+    // Notify parent that game ended
+    if (this.props.onGameStateChange) {
+      this.props.onGameStateChange({ gameActive: false, gameOver: true });
+    }
+  };
+
+  versusResult = () => (
+    this.engine.winner === null ? t('versus.draw') : t('versus.wins', { player: this.engine.winner + 1 })
+  );
+
+  // Toast the achievements this run has just reached. Only runs the server
+  // will count do: ones started online and played without assist. The game
+  // that just ended counts towards the games played.
+  checkAchievements = () => {
+    if (!this.run || this.engine.assist) {
+      return;
+    }
+    const stats = getRunStats(this.engine);
+    if (this.engine.over) {
+      stats.games = this.props.gamesPlayed + 1;
+    }
+    const reached = getReachedAchievements(stats).filter(id => (
+      this.props.achievements.indexOf(id) === -1 && this.toasted.indexOf(id) === -1
+    ));
+    if (reached.length === 0) {
+      return;
+    }
+    this.toasted = this.toasted.concat(reached);
+    playSound('achievement');
+    this.setState(prevState => ({ toasts: prevState.toasts.concat(reached) }));
+    this.toastTimers.push(setTimeout(() => {
+      this.setState(prevState => ({ toasts: prevState.toasts.filter(id => reached.indexOf(id) === -1) }));
+    }, TOAST_MS));
+  };
+
+  drawBackground = (ctx, theme) => {
     // Sky gradient
     const gradient = ctx.createLinearGradient(0, 0, 0, HEIGHT);
-    gradient.addColorStop(0, '#87CEEB');
-    gradient.addColorStop(1, '#98FB98');
+    gradient.addColorStop(0, theme.sky[0]);
+    gradient.addColorStop(1, theme.sky[1]);
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, WIDTH, HEIGHT);
 
     // Ground
-    ctx.fillStyle = '#8B4513';
+    ctx.fillStyle = theme.ground;
     ctx.fillRect(0, HEIGHT - 50, WIDTH, 50);
   };
 
   drawUI = (ctx) => {
     // Score
     ctx.fillStyle = '#FFF';
-    ctx.font = 'bold 30px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText(`Score: ${this.state.score}`, WIDTH / 2, 50);
+    // Leave room for the power-ups and assist labels in the corners
+    const headerWidth = WIDTH / 2;
+    if (this.props.versus) {
+      this.drawVersusScores(ctx, headerWidth);
+    } else {
+      fillFittedText(ctx, t('game.score', { score: this.state.score }), WIDTH / 2, 50, {
+        size: 30,
+        weight: 'bold',
+        maxWidth: headerWidth
+      });
+    }
     
     // Speed level indicator
-    let speedLevel = 1;
-    if (this.state.score >= 10 && this.state.score < 20) speedLevel = 2;
-    else if (this.state.score >= 20 && this.state.score < 30) speedLevel = 3;
-    else if (this.state.score >= 30 && this.state.score < 40) speedLevel = 4;
-    else if (this.state.score >= 40) speedLevel = 5;
-    
-    ctx.font = '16px Arial';
-    ctx.fillText(`Speed Level: ${speedLevel}`, WIDTH / 2, 80);
+    fillFittedText(ctx, t('game.speedLevel', { level: getSpeedLevel(this.state.score) }), WIDTH / 2, 80, {
+      size: 16,
+      maxWidth: headerWidth
+    });
+
+    this.drawActiveEffects(ctx);
+    this.drawAssist(ctx);
 
     if (!this.state.gameStarted) {
       ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
       ctx.fillRect(0, 0, WIDTH, HEIGHT);
       
       ctx.fillStyle = '#FFF';
-      ctx.font = 'bold 40px Arial';
-      ctx.fillText('Click or Press SPACE to Start!', WIDTH / 2, HEIGHT / 2 - 20);
+      fillFittedText(ctx, this.startPrompt(), WIDTH / 2, HEIGHT / 2 - 20, {
+        size: 40,
+        weight: 'bold'
+      });
       
-      ctx.font = '18px Arial';
-      ctx.fillText('EASY MODE: Larger gaps, slower pipes, forgiving collisions!', WIDTH / 2, HEIGHT / 2 + 20);
-      ctx.fillText('Controls: SPACE/Click - Jump, P - Pause, R - Restart', WIDTH / 2, HEIGHT / 2 + 50);
+      const mode = getMode(this.props.mode).id;
+      const modeInfo = t('game.modeInfo', {
+        mode: t(`mode.${mode}`).toLocaleUpperCase(getLanguage()),
+        description: t(`mode.${mode}.description`)
+      });
+      fillFittedText(ctx, modeInfo, WIDTH / 2, HEIGHT / 2 + 20, { size: 18 });
+      const controls = this.props.oneSwitch
+        ? t('game.oneSwitchControls')
+        : t('game.controls', {
+          flap: this.keyLabel('flap'),
+          pause: this.keyLabel('pause'),
+          restart: this.keyLabel('restart'),
+          mute: this.keyLabel('mute')
+        });
+      fillFittedText(ctx, controls, WIDTH / 2, HEIGHT / 2 + 50, { size: 18 });
+      if (this.engine && this.engine.powerups) {
+        fillFittedText(ctx, t('game.powerupsOn'), WIDTH / 2, HEIGHT / 2 + 80, { size: 18 });
+      }
+      if (this.props.versus) {
+        const versusControls = t('versus.controls', { flap: this.keyLabel('flap'), flap2: this.keyLabel('flap2') });
+        fillFittedText(ctx, versusControls, WIDTH / 2, HEIGHT / 2 + 80, { size: 18 });
+      }
     }
 
     if (this.state.paused) {
@@ -393,10 +960,8 @@ class Game extends Component {
       ctx.fillRect(0, 0, WIDTH, HEIGHT);
       
       ctx.fillStyle = '#FFF';
-      ctx.font = 'bold 40px Arial';
-      ctx.fillText('PAUSED', WIDTH / 2, HEIGHT / 2);
-      ctx.font = '20px Arial';
-      ctx.fillText('Press P to Resume', WIDTH / 2, HEIGHT / 2 + 40);
+      fillFittedText(ctx, t('game.paused'), WIDTH / 2, HEIGHT / 2, { size: 40, weight: 'bold' });
+      fillFittedText(ctx, this.resumeHint(), WIDTH / 2, HEIGHT / 2 + 40, { size: 20 });
     }
 
     if (this.state.gameOver) {
@@ -404,25 +969,163 @@ class Game extends Component {
       ctx.fillRect(0, 0, WIDTH, HEIGHT);
       
       ctx.fillStyle = '#FFF';
-      ctx.font = 'bold 40px Arial';
-      ctx.fillText('Game Over!', WIDTH / 2, HEIGHT / 2 - 40);
-      ctx.font = '30px Arial';
-      ctx.fillText(`Final Score: ${this.state.score}`, WIDTH / 2, HEIGHT / 2);
-      ctx.font = '20px Arial';
-      ctx.fillText('Press R to Restart', WIDTH / 2, HEIGHT / 2 + 40);
+      if (this.props.versus) {
+        // The winner screen
+        fillFittedText(ctx, this.versusResult(), WIDTH / 2, HEIGHT / 2 - 40, { size: 40, weight: 'bold' });
+        const scores = this.engine.players.map((player, index) => t('versus.score', { player: index + 1, score: player.score }));
+        fillFittedText(ctx, scores.join(' · '), WIDTH / 2, HEIGHT / 2, { size: 30 });
+      } else {
+        fillFittedText(ctx, t('game.gameOver'), WIDTH / 2, HEIGHT / 2 - 40, { size: 40, weight: 'bold' });
+        fillFittedText(ctx, t('game.finalScore', { score: this.state.score }), WIDTH / 2, HEIGHT / 2, { size: 30 });
+      }
+      // The race results come from the room once every bird is down
+      fillFittedText(ctx, this.props.race ? t('race.waiting') : this.restartHint(), WIDTH / 2, HEIGHT / 2 + 40, { size: 20 });
+      if (!this.run && !this.props.versus && !this.props.race) {
+        fillFittedText(ctx, t('game.offline'), WIDTH / 2, HEIGHT / 2 + 75, { size: 16 });
+      }
+    }
+  };
+
+  // The big line on the start screen
+  startPrompt = () => {
+    if (this.props.race) {
+      const seconds = Math.max(Math.ceil((this.props.race.startsAt - Date.now()) / 1000), 1);
+      return t('race.startsIn', { seconds });
+    }
+    if (this.state.connecting) {
+      return t('game.starting');
+    }
+    return this.props.oneSwitch
+      ? t('game.switchToStart')
+      : t('game.clickToStart', { key: this.keyLabel('flap').toLocaleUpperCase(getLanguage()) });
+  };
+
+  // Each player's score in their bird's colour, side by side
+  drawVersusScores = (ctx, headerWidth) => {
+    const { players } = this.engine;
+    const width = headerWidth / players.length;
+    ctx.save();
+    players.forEach((player, index) => {
+      ctx.fillStyle = PLAYER_SKINS[index].colors.outer;
+      ctx.globalAlpha = player.out ? 0.5 : 1;
+      const x = (WIDTH - headerWidth) / 2 + width * (index + 0.5);
+      fillFittedText(ctx, t('versus.score', { player: index + 1, score: player.score }), x, 50, {
+        size: 24,
+        weight: 'bold',
+        maxWidth: width - 8
+      });
+    });
+    ctx.restore();
+  };
+
+  // Active power-ups in the top left corner, with the seconds they have left
+  drawActiveEffects = (ctx) => {
+    if (!this.engine) {
+      return;
+    }
+    const { effects } = this.engine;
+    ctx.save();
+    ctx.textAlign = 'left';
+    Object.keys(effects).forEach((id, index) => {
+      const powerup = POWERUPS[id];
+      const y = 30 + index * 26;
+      ctx.fillStyle = powerup.color;
+      ctx.beginPath();
+      ctx.arc(24, y - 5, 8, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.fillStyle = '#FFF';
+      const name = t(`powerup.${id}`);
+      const label = powerup.duration === null ? name : t('game.effectTime', {
+        name,
+        seconds: formatNumber(effects[id] / FPS, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+      });
+      fillFittedText(ctx, label, 40, y, { size: 16, weight: 'bold', maxWidth: WIDTH / 4 - 40 });
+    });
+    ctx.restore();
+  };
+
+  // Assisted runs say so in the top right corner
+  drawAssist = (ctx) => {
+    if (!this.engine || !this.engine.assist) {
+      return;
     }
+    const { speed, gravity } = this.engine.assist;
+    const percent = { style: 'percent' };
+    const label = t('game.assist', { speed: formatNumber(speed, percent), gravity: formatNumber(gravity, percent) });
+    ctx.save();
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#FFF';
+    fillFittedText(ctx, label, WIDTH - 16, 30, { size: 14, weight: 'bold', maxWidth: WIDTH / 4 - 16 });
+    fillFittedText(ctx, t('game.notRanked'), WIDTH - 16, 48, { size: 12, maxWidth: WIDTH / 4 - 16 });
+    ctx.restore();
   };
 
-  draw = () => {
+  // The other birds of a race, like ghosts, in their own skins where they last
+  // reported. They report every few frames, so carry them on with their speed
+  // until the next.
+  drawOpponents = (ctx, tick) => {
+    const { opponents } = this.props.race;
+    Object.keys(opponents).forEach(id => {
+      const { username, skin, position, out } = opponents[id];
+      if (!position || out) {
+        return;
+      }
+      const ahead = Math.min(Math.max(this.engine.frame - position.frame, 0), POSITION_EVERY);
+      const bird = {
+        x: BIRD_X,
+        y: position.y + position.velocity * ahead,
+        velocity: position.velocity,
+        radius: BIRD_RADIUS
+      };
+      drawGhost(ctx, bird, username, getSkin(skin), tick);
+    });
+  };
+
+  // Versus birds; the ones that are out fade where they crashed
+  drawPlayers = (ctx, players, tick) => {
+    players.forEach((player, index) => {
+      ctx.save();
+      ctx.globalAlpha = player.out ? 0.35 : 1;
+      drawBird(ctx, player.bird, PLAYER_SKINS[index], tick);
+      ctx.restore();
+    });
+  };
+
+  // alpha is how far we are between the last two simulation steps
+  draw = (alpha = 1) => {
     const ctx = this.canvasRef.current.getContext('2d');
+    ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+    const skin = getSkin(this.props.skin);
+    const theme = this.props.highContrast ? HIGH_CONTRAST_THEME : getTheme(this.props.theme);
+    // Reduced motion holds the wings still and stops the flashing
+    const still = this.props.reducedMotion;
     
     // Clear and draw background
-    this.drawBackground(ctx);
+    this.drawBackground(ctx, theme);
     
     // Draw game objects
-    this.pipes.forEach(pipe => pipe.draw());
-    if (this.bird) {
-      this.bird.draw();
+    if (this.engine) {
+      const frame = interpolate(this.previousEngine, this.engine, alpha);
+      frame.pipes.forEach(pipe => drawPipe(ctx, pipe, theme));
+      frame.items.forEach(item => drawPowerup(ctx, item));
+      if (this.props.race) {
+        this.drawOpponents(ctx, still ? 0 : frame.frame);
+      }
+      if (this.ghost && !this.ghost.state.over) {
+        const ghost = interpolate(this.previousGhost, this.ghost.state, alpha);
+        const label = t('game.ghost', { name: this.props.ghostRun.username, score: this.props.ghostRun.score });
+        drawGhost(ctx, ghost.bird, label, skin, still ? 0 : ghost.frame);
+      }
+      if (frame.players) {
+        this.drawPlayers(ctx, frame.players, still ? 0 : frame.frame);
+      } else {
+        drawBird(ctx, frame.bird, skin, still ? 0 : frame.frame);
+      }
+      if (frame.effects.shield) {
+        drawShield(ctx, frame.bird, POWERUPS.shield.color);
+      } else if (frame.invulnerable > 0 && (still || Math.floor(frame.invulnerable / 6) % 2 === 0)) {
+        drawShield(ctx, frame.bird, '#FFF');
+      }
     }
     
     // Draw UI
@@ -431,78 +1134,426 @@ class Game extends Component {
   render() {
     return (
       <div className="game-container">
-        <canvas
-          ref={this.canvasRef}
-          width={WIDTH}
-          height={HEIGHT}
-          className="game-canvas"
-        />
+        <div className="game-stage">
+          <canvas
+            ref={this.canvasRef}
+            width={WIDTH}
+            height={HEIGHT}
+            className="game-canvas"
+            role="img"
+            aria-label={t('game.label')}
+            onPointerDown={this.onPointerDown}
+            onPointerUp={this.onPointerUp}
+            onPointerCancel={this.onPointerUp}
+          />
+          {/* Always rendered, so screen readers announce new toasts */}
+          <ul className="achievement-toasts" role="status" aria-live="polite">
+            {this.state.toasts.map(id => (
+              <li key={id} className="achievement-toast">
+                <span role="img" aria-label={t('leaderboard.trophy')}>🏆</span>{' '}
+                {t('achievement.toast', { name: t(`achievement.${id}`) })}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <p className="sr-only" role="status" aria-live="polite">
+          {this.state.announcement}
+        </p>
         <div className="game-controls">
-          <button onClick={this.restart} className="control-btn">
-            Restart (R)
+          <button onClick={this.restart} className="control-btn" disabled={Boolean(this.props.race)}>
+            {t('game.restart', { key: this.keyLabel('restart') })}
+          </button>
+          <button onClick={this.togglePause} className="control-btn" disabled={Boolean(this.props.race)}>
+            {t(this.state.paused ? 'game.resume' : 'game.pause', { key: this.keyLabel('pause') })}
           </button>
-          <button onClick={this.togglePause} className="control-btn">
-            {this.state.paused ? 'Resume (P)' : 'Pause (P)'}
+          <button onClick={this.toggleMute} className="control-btn">
+            {t(this.state.audio.muted ? 'game.unmute' : 'game.mute', { key: this.keyLabel('mute') })}
           </button>
+          <button onClick={this.toggleMusic} className="control-btn" aria-pressed={this.state.audio.music}>
+            {t(this.state.audio.music ? 'game.musicOn' : 'game.musicOff')}
+          </button>
+          <label className="volume-control">
+            {t('game.volume')}
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={this.state.audio.muted ? 0 : Math.round(this.state.audio.volume * 100)}
+              onChange={this.onVolumeChange}
+              aria-label={t('game.volume')}
+            />
+          </label>
         </div>
       </div>
     );
   }
 }
 
+const MODE_IDS = Object.keys(MODES);
+
+// Leaderboard windows, see /api/scores/top?period=
+const PERIODS = ['today', 'week', 'month', 'all'];
+
 class App extends Component {
   state = {
     username: '',
+    userId: null,
     hasUsername: false,
+    mode: DEFAULT_MODE,
+    powerups: loadPowerupsSetting(DEFAULT_MODE),
+    challenge: 'classic',
+    daily: null,
+    dailyBoard: 'today',
+    period: 'all',
+    ghostSource: 'best',
+    ghostRun: null,
     scores: [],
+    highlightId: null,
+    pendingScores: 0,
+    profile: profileFromHash(window.location.hash),
+    customizing: false,
+    editingControls: false,
+    controls: loadControls(),
+    editingAccessibility: false,
+    accessibility: loadAccessibility(),
+    language: getLanguage(),
+    skin: loadSkinChoice(),
+    theme: loadThemeChoice(),
+    unlockedSkins: [],
+    unlockNotice: null,
+    // Ids of the player's achievements and the games that count towards them
+    achievements: [],
+    gamesPlayed: 0,
     loading: true,
     error: null,
     gameActive: false,
     gameOver: false
   };
 
-  componentDidMount() {
+  async componentDidMount() {
+    applyConsent(loadConsent());
+    applyAccessibility(this.state.accessibility);
+    window.addEventListener('hashchange', this.onHashChange);
     this.getScores();
+    this.unsubscribe = subscribeToLeaderboard({
+      onScore: this.onLiveScore,
+      onReconnect: () => this.getScores({ silent: true })
+    });
+    this.unsubscribeQueue = subscribeToQueue({
+      onChange: pendingScores => this.setState({ pendingScores }),
+      onSynced: this.onScoreSubmitted
+    });
+    const user = await restoreSession();
+    if (user) {
+      this.onAuthenticated(user);
+    }
   }
 
-  getUsername = (e) => {
-    e.preventDefault();
-    const username = e.target.username.value.trim();
-    if (username) {
-      this.setState({
-        username,
-        hasUsername: true
-      });
+  componentWillUnmount() {
+    window.removeEventListener('hashchange', this.onHashChange);
+    this.unsubscribe();
+    this.unsubscribeQueue();
+    clearTimeout(this.highlightTimer);
+  }
+
+  onAuthenticated = (user) => {
+    this.setState({
+      username: user.username,
+      userId: user.id,
+      hasUsername: true
+    }, () => {
+      setQueueUser(user.username);
+      this.loadGhost();
+      this.loadDaily();
+      this.loadUnlocks();
+      this.loadAchievements();
+    });
+  };
+
+  onLogout = async () => {
+    setQueueUser(null);
+    await logout();
+    this.setState({
+      username: '',
+      userId: null,
+      hasUsername: false,
+      ghostRun: null,
+      unlockedSkins: [],
+      unlockNotice: null,
+      achievements: [],
+      gamesPlayed: 0
+    }, this.loadDaily);
+  };
+
+  onAccountDeleted = () => {
+    clearLocalBests(this.state.username);
+    clearSpareRuns(this.state.username);
+    setQueueUser(null);
+    forgetSession();
+    this.setState({
+      username: '',
+      userId: null,
+      hasUsername: false,
+      ghostRun: null,
+      unlockedSkins: [],
+      unlockNotice: null,
+      achievements: [],
+      gamesPlayed: 0
+    }, () => {
+      this.loadDaily();
+      this.getScores();
+    });
+  };
+
+  loadUnlocks = async () => {
+    try {
+      const unlockedSkins = await fetchUnlockedSkins();
+      this.setState({ unlockedSkins });
+    } catch (error) {
+      console.error('Failed to load unlocked skins:', error);
+    }
+  };
+
+  loadAchievements = async () => {
+    const { username } = this.state;
+    try {
+      const data = await fetchPlayerAchievements(username);
+      // Logged out (or in as someone else) meanwhile
+      if (username === this.state.username) {
+        this.setState({
+          achievements: data.achievements.map(entry => entry.achievement),
+          gamesPlayed: data.games
+        });
+      }
+    } catch (error) {
+      console.error('Failed to load achievements:', error);
     }
   };
 
-  getScores = async () => {
+  loadDaily = async () => {
+    if (this.state.challenge !== 'daily') {
+      return;
+    }
     try {
-      this.setState({ loading: true, error: null });
-      const apiUrl = process.env.NODE_ENV === 'production' 
-        ? '/api/scores/top/10' 
-        : 'http://localhost:3001/api/scores/top/10';
-        
-      const response = await axios.get(apiUrl);
+      const daily = await fetchDailyChallenge();
+      this.setState({ daily }, this.getScores);
+    } catch (error) {
+      console.error('Failed to load daily challenge:', error);
+      this.setState({ error: t('error.daily'), loading: false });
+    }
+  };
+
+  // The leaderboard to show: the daily board for a day, or the mode's board
+  getBoard = () => {
+    const { challenge, daily, dailyBoard, mode, powerups, period } = this.state;
+    if (challenge === 'daily') {
+      if (!daily) {
+        return null;
+      }
+      const date = dailyBoard === 'yesterday' ? previousDate(daily.date) : daily.date;
+      return {
+        key: `daily:${date}`,
+        path: `/daily/scores/${date}`,
+        params: {},
+        live: { daily: date },
+        title: t('leaderboard.daily', { date: formatDay(date) })
+      };
+    }
+    const title = [t(`mode.${mode}`)]
+      .concat(powerups ? [t('picker.powerups')] : [])
+      .concat([t(`period.${period}`)]);
+    return {
+      key: `mode:${mode}:${powerups}:${period}`,
+      path: '/scores/top/10',
+      params: { mode, powerups, period },
+      live: { mode, powerups, period },
+      title: title.join(' · ')
+    };
+  };
+
+  loadGhost = async () => {
+    const { ghostSource, username, mode, powerups } = this.state;
+    const ghostRun = await loadGhostRun(ghostSource, username, mode, powerups);
+    // Ignore the result if the player changed the selection meanwhile
+    if (ghostSource === this.state.ghostSource && mode === this.state.mode && powerups === this.state.powerups) {
+      this.setState({ ghostRun });
+    }
+  };
+
+  // `silent` keeps the current rows on screen while reloading
+  getScores = async ({ silent = false, highlightId = null } = {}) => {
+    const board = this.getBoard();
+    if (!board) {
+      return;
+    }
+    try {
+      if (!silent) {
+        this.setState({ loading: true, error: null });
+      }
+      const response = await axios.get(apiUrl(board.path), { params: board.params });
+      
+      // The player switched leaderboards while this request was in flight
+      const current = this.getBoard();
+      if (!current || current.key !== board.key) {
+        return;
+      }
       
       // Data is already sorted by the backend
       const scores = response.data.map(data => ({ 
+        id: data.id,
         username: data.username, 
-        score: data.score 
+        userId: data.user_id,
+        score: data.score,
+        createdAt: data.created_at
       }));
 
-      this.setState({ scores, loading: false });
+      this.setState({ scores, loading: false, error: null });
+      if (highlightId) {
+        this.highlight(highlightId);
+      }
     } catch (error) {
       console.error('Failed to fetch scores:', error);
       this.setState({ 
-        error: 'Failed to load leaderboard. Please try again later.', 
+        error: t('error.leaderboard'), 
         loading: false 
       });
     }
   };
 
-  onScoreSubmitted = () => {
+  // Another player's score just made the top of a board
+  onLiveScore = (event) => {
+    const board = this.getBoard();
+    if (board && affectsBoard(event, board.live)) {
+      this.getScores({ silent: true, highlightId: event.id });
+    }
+  };
+
+  // Flash a leaderboard row (see .live-update)
+  highlight = (id) => {
+    clearTimeout(this.highlightTimer);
+    this.setState({ highlightId: id });
+    this.highlightTimer = setTimeout(() => this.setState({ highlightId: null }), 2000);
+  };
+
+  // Player profiles live at "#/player/<name>"
+  onHashChange = () => {
+    const profile = profileFromHash(window.location.hash);
+    this.setState({ profile });
+    // The leaderboard wasn't kept up to date while it was hidden
+    if (!profile) {
+      this.getScores({ silent: true });
+    }
+  };
+
+  closeProfile = () => {
+    window.location.hash = '';
+  };
+
+  // Each difficulty remembers whether power-ups were on
+  onModeChange = (mode) => {
+    this.setState({ mode, powerups: loadPowerupsSetting(mode), ghostRun: null }, () => {
+      this.loadGhost();
+      this.getScores();
+    });
+  };
+
+  onPowerupsChange = (id) => {
+    const powerups = id === 'on';
+    savePowerupsSetting(this.state.mode, powerups);
+    this.setState({ powerups, ghostRun: null }, () => {
+      this.loadGhost();
+      this.getScores();
+    });
+  };
+
+  onPeriodChange = (period) => {
+    this.setState({ period }, this.getScores);
+  };
+
+  onChallengeChange = (challenge) => {
+    this.setState({ challenge, dailyBoard: 'today' }, () => {
+      if (challenge === 'daily') {
+        this.loadDaily();
+      } else {
+        this.getScores();
+      }
+    });
+  };
+
+  onDailyBoardChange = (dailyBoard) => {
+    this.setState({ dailyBoard }, this.getScores);
+  };
+
+  onGhostSourceChange = (ghostSource) => {
+    this.setState({ ghostSource, ghostRun: null }, this.loadGhost);
+  };
+
+  onScoreSubmitted = (entry, result) => {
     this.getScores(); // Refresh leaderboard after score submission
+    this.loadGhost(); // The new run may be the one to race now
+    this.loadDaily(); // Update the attempts left today
+    this.loadAchievements(); // Games played, and any achievements the run earned
+    
+    // The server hands out skins for score milestones
+    const unlocked = (result && result.unlocked) || [];
+    if (unlocked.length > 0) {
+      this.setState(prevState => ({
+        unlockedSkins: prevState.unlockedSkins.concat(unlocked),
+        unlockNotice: t('app.unlocked', { count: unlocked.length, skins: formatList(unlocked.map(id => t(`skin.${id}`))) })
+      }));
+    }
+  };
+
+  openCustomize = () => {
+    this.setState({ customizing: true, unlockNotice: null });
+  };
+
+  closeCustomize = () => {
+    this.setState({ customizing: false });
+  };
+
+  openControls = () => {
+    this.setState({ editingControls: true });
+  };
+
+  closeControls = () => {
+    this.setState({ editingControls: false });
+  };
+
+  onControlsChange = (controls) => {
+    saveControls(controls);
+    this.setState({ controls });
+  };
+
+  openAccessibility = () => {
+    this.setState({ editingAccessibility: true });
+  };
+
+  closeAccessibility = () => {
+    this.setState({ editingAccessibility: false });
+  };
+
+  onAccessibilityChange = (accessibility) => {
+    saveAccessibility(accessibility);
+    applyAccessibility(accessibility);
+    this.setState({ accessibility });
+  };
+
+  // Messages already on screen (like the leaderboard error) stay in the old language
+  onLanguageChange = (language) => {
+    setLanguage(language);
+    saveLanguage(language);
+    this.setState({ language });
+  };
+
+  onSkinChange = (skin) => {
+    saveSkinChoice(skin);
+    this.setState({ skin });
+  };
+
+  onThemeChange = (theme) => {
+    saveThemeChoice(theme);
+    this.setState({ theme });
   };
 
   onGameStateChange = (gameState) => {
@@ -510,9 +1561,69 @@ class App extends Component {
       gameActive: gameState.gameActive,
       gameOver: gameState.gameOver || false
     });
+    // Pick up a new local best even if the score submission fails
+    if (gameState.gameOver) {
+      this.loadGhost();
+    }
   };
+
+  // The chosen skin, or the default while this player hasn't unlocked it
+  playedSkin = () => (
+    isSkinUnlocked(this.state.skin, this.state.unlockedSkins) ? this.state.skin : DEFAULT_SKIN
+  );
+
+  // `race` comes from the RaceRoom once its countdown starts. Races and the
+  // daily challenge are played without power-ups, assist or a ghost.
+  renderGame = (race = null) => {
+    const { challenge, daily, accessibility } = this.state;
+    const isDaily = challenge === 'daily';
+    const isVersus = challenge === 'versus';
+    const plain = isDaily || Boolean(race);
+    return (
+      <Game 
+        key={race ? race.seed : 'game'}
+        username={this.state.username} 
+        mode={race ? race.mode : isDaily ? daily.mode : this.state.mode}
+        seed={isDaily ? daily.seed : undefined}
+        daily={isDaily ? daily.date : undefined}
+        versus={isVersus}
+        race={race}
+        powerups={!plain && !isVersus && this.state.powerups}
+        skin={this.playedSkin()}
+        theme={this.state.theme}
+        controls={this.state.controls}
+        assist={plain ? null : getAssist(accessibility)}
+        highContrast={accessibility.highContrast}
+        reducedMotion={accessibility.reducedMotion}
+        oneSwitch={accessibility.oneSwitch && !isVersus}
+        language={this.state.language}
+        ghostRun={plain || isVersus ? null : this.state.ghostRun}
+        achievements={this.state.achievements}
+        gamesPlayed={this.state.gamesPlayed}
+        onGameStateChange={this.onGameStateChange}
+      />
+    );
+  };
+
   render() {
-    const { hasUsername, username, scores, loading, error } = this.state;
+    const {
+      hasUsername,
+      username,
+      userId,
+      mode,
+      powerups,
+      challenge,
+      daily,
+      scores,
+      loading,
+      error,
+      profile,
+      accessibility
+    } = this.state;
+    const isDaily = challenge === 'daily';
+    const isVersus = challenge === 'versus';
+    const isRace = challenge === 'race';
+    const board = this.getBoard();
 
     return (
       <div className="app">
@@ -522,90 +1633,237 @@ class App extends Component {
         </header>
 
         <main className="app-main">
-          {!hasUsername ? (
-            <div className="username-form-container">
-              <form className="username-form" onSubmit={this.getUsername}>
-                <h3>Ready to Play?</h3>
-                <p>Enter your username to start the game and compete on the leaderboard!</p>
-                <div className="form-group">
-                  <label htmlFor="username">Username:</label>
-                  <input 
-                    type="text" 
-                    id="username" 
-                    name="username"
-                    maxLength="20"
-                    required
-                    placeholder="Enter your username"
-                  />
-                </div>
-                <button type="submit" className="submit-btn">
-                  Start Game
-                </button>
-              </form>
-            </div>
+          {profile ? (
+            <PlayerProfile
+              key={profile}
+              username={profile}
+              mode={mode}
+              powerups={powerups}
+              onClose={this.closeProfile}
+            />
+          ) : this.state.customizing ? (
+            <Customize
+              skin={this.state.skin}
+              theme={this.state.theme}
+              unlockedSkins={this.state.unlockedSkins}
+              reducedMotion={accessibility.reducedMotion}
+              onSkinChange={this.onSkinChange}
+              onThemeChange={this.onThemeChange}
+              onClose={this.closeCustomize}
+            />
+          ) : this.state.editingControls ? (
+            <ControlsSettings
+              controls={this.state.controls}
+              onChange={this.onControlsChange}
+              onClose={this.closeControls}
+            />
+          ) : this.state.editingAccessibility ? (
+            <AccessibilitySettings
+              settings={this.state.accessibility}
+              onChange={this.onAccessibilityChange}
+              onClose={this.closeAccessibility}
+            />
           ) : (
             <>
-              <div className="welcome-message">
-                <h2>Good luck, {username}!</h2>
-              </div>
+              {!this.state.gameActive && (
+                <OptionPicker
+                  label={t('picker.play')}
+                  options={pickerOptions('challenge', CHALLENGES)}
+                  value={challenge}
+                  onChange={this.onChallengeChange}
+                />
+              )}
+
+              {!isDaily && !this.state.gameActive && (
+                <OptionPicker
+                  label={t('picker.difficulty')}
+                  options={pickerOptions('mode', MODE_IDS)}
+                  value={mode}
+                  onChange={this.onModeChange}
+                />
+              )}
+
+              {!isDaily && !isVersus && !isRace && !this.state.gameActive && (
+                <OptionPicker
+                  label={t('picker.powerups')}
+                  options={pickerOptions('powerups', POWERUP_SETTINGS)}
+                  value={powerups ? 'on' : 'off'}
+                  onChange={this.onPowerupsChange}
+                />
+              )}
+
+              {!isDaily && !isRace && !this.state.gameActive && getAssist(accessibility) && (
+                <p className="assist-notice" role="status">
+                  {t('app.assistOn')}{' '}
+                  <button type="button" className="link-btn" onClick={this.openAccessibility}>
+                    {t('app.change')}
+                  </button>
+                </p>
+              )}
+
+              {hasUsername && !isDaily && !isVersus && !isRace && !this.state.gameActive && (
+                <OptionPicker
+                  label={t('picker.ghost')}
+                  options={pickerOptions('ghost', GHOST_SOURCES)}
+                  value={this.state.ghostSource}
+                  onChange={this.onGhostSourceChange}
+                />
+              )}
+
+              {!hasUsername ? (
+                <AuthForm onAuthenticated={this.onAuthenticated} />
+              ) : (
+                <>
+                  <div className="welcome-message">
+                    <h2>{t('app.goodLuck', { name: username })}</h2>
+                    {!this.state.gameActive && (
+                      <div className="account-links">
+                        <a href={profileLink(username)} className="link-btn">{t('app.myStats')}</a>
+                        <button type="button" className="link-btn" onClick={this.openCustomize}>
+                          {t('app.customize')}
+                        </button>
+                        <button type="button" className="link-btn" onClick={this.openControls}>
+                          {t('app.controls')}
+                        </button>
+                        <button type="button" className="link-btn" onClick={this.openAccessibility}>
+                          {t('app.accessibility')}
+                        </button>
+                        <button type="button" className="link-btn" onClick={this.onLogout}>
+                          {t('app.logout')}
+                        </button>
+                      </div>
+                    )}
+                    {this.state.pendingScores > 0 && (
+                      <p className="sync-status" role="status">
+                        {t('app.pendingScores', { count: this.state.pendingScores })}
+                      </p>
+                    )}
+                    {this.state.unlockNotice && (
+                      <p className="unlock-notice" role="status">
+                        {this.state.unlockNotice}{' '}
+                        <button type="button" className="link-btn" onClick={this.openCustomize}>
+                          {t('app.tryItOn')}
+                        </button>
+                      </p>
+                    )}
+                    {isDaily && daily && (
+                      <p className="daily-info">
+                        {t('app.dailyInfo', { date: formatDay(daily.date), left: attemptsLeft(daily), count: daily.attempts })}
+                      </p>
+                    )}
+                  </div>
               
-              <Game 
-                username={username} 
-                onScoreSubmitted={this.onScoreSubmitted}
-                onGameStateChange={this.onGameStateChange}
-              />
-            </>
-          )}
+                  {isRace ? (
+                    <RaceRoom
+                      mode={mode}
+                      skin={this.playedSkin()}
+                      renderGame={this.renderGame}
+                    />
+                  ) : isDaily && !daily ? (
+                    <div className="loading">{t('app.loadingDaily')}</div>
+                  ) : isDaily && attemptsLeft(daily) === 0 && !this.state.gameOver ? (
+                    <div className="daily-done">
+                      {t('app.dailyDone')}
+                    </div>
+                  ) : (
+                    this.renderGame()
+                  )}
+                </>
+              )}
 
-          {/* Show leaderboard when game is not active or after game over */}
-          {(!this.state.gameActive || this.state.gameOver || !hasUsername) && (
-            <div className="leaderboard-container">
-            <h3 className="leaderboard-title">
-              <span role="img" aria-label="trophy">🏆</span> Leaderboard
-            </h3>
+              {/* Show leaderboard when game is not active or after game over */}
+              {(!this.state.gameActive || this.state.gameOver || !hasUsername) && (
+                <div className="leaderboard-container">
+                <h3 className="leaderboard-title">
+                  <span role="img" aria-label={t('leaderboard.trophy')}>🏆</span> {t('leaderboard.title')}
+                  {board && <span className="leaderboard-mode">{board.title}</span>}
+                </h3>
+            
+                {isDaily ? (
+                  <OptionPicker
+                    label={t('picker.day')}
+                    options={pickerOptions('dailyBoard', DAILY_BOARDS)}
+                    value={this.state.dailyBoard}
+                    onChange={this.onDailyBoardChange}
+                  />
+                ) : (
+                  <OptionPicker
+                    label={t('picker.period')}
+                    options={pickerOptions('period', PERIODS)}
+                    value={this.state.period}
+                    onChange={this.onPeriodChange}
+                  />
+                )}
             
-            {loading ? (
-              <div className="loading">Loading scores...</div>
-            ) : error ? (
-              <div className="error">{error}</div>
-            ) : scores.length > 0 ? (
-              <div className="leaderboard">
-                <table className="scores-table">
-                  <thead>
-                    <tr>
-                      <th>Rank</th>
-                      <th>Player</th>
-                      <th>Score</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {scores.map((score, index) => (
-                      <tr 
-                        key={index} 
-                        className={score.username === username ? 'current-player' : ''}
-                      >
-                        <td className="rank">
-                          {index === 0 ? <span role="img" aria-label="first place">🥇</span> : 
-                           index === 1 ? <span role="img" aria-label="second place">🥈</span> : 
-                           index === 2 ? <span role="img" aria-label="third place">🥉</span> : 
-                           `#${index + 1}`}
-                        </td>
-                        <td className="username">{score.username}</td>
-                        <td className="score">{score.score}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+                {loading ? (
+                  <div className="loading">{t('leaderboard.loading')}</div>
+                ) : error ? (
+                  <div className="error">{error}</div>
+                ) : scores.length > 0 ? (
+                  <div className="leaderboard">
+                    <table className="scores-table">
+                      <thead>
+                        <tr>
+                          <th>{t('leaderboard.rank')}</th>
+                          <th>{t('leaderboard.player')}</th>
+                          <th>{t('leaderboard.score')}</th>
+                          <th>{t('leaderboard.setOn')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {scores.map((score, index) => (
+                          <tr 
+                            key={score.id} 
+                            className={[
+                              userId && score.userId === userId ? 'current-player' : '',
+                              score.id === this.state.highlightId ? 'live-update' : ''
+                            ].filter(Boolean).join(' ')}
+                          >
+                            <td className="rank">
+                              {index === 0 ? <span role="img" aria-label={t('leaderboard.first')}>🥇</span> : 
+                               index === 1 ? <span role="img" aria-label={t('leaderboard.second')}>🥈</span> : 
+                               index === 2 ? <span role="img" aria-label={t('leaderboard.third')}>🥉</span> : 
+                               t('leaderboard.position', { rank: index + 1 })}
+                            </td>
+                            <td className="username">
+                              <a href={profileLink(score.username)} className="player-link">{score.username}</a>
+                            </td>
+                            <td className="score">{formatNumber(score.score)}</td>
+                            <td className="date">{formatScoreDate(score.createdAt)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <div className="no-scores">
+                    {isDaily || this.state.period === 'all' ? t('leaderboard.empty') : t('leaderboard.emptyPeriod')}
+                  </div>
+                )}
               </div>
-            ) : (
-              <div className="no-scores">No scores yet. Be the first to play!</div>
-            )}
-          </div>
+              )}
+            </>
           )}
         </main>
 
         <footer className="app-footer">
-          <p>Created by <strong>Oleed</strong> <span role="img" aria-label="heart">❤️</span></p>
+          <p>{t('footer.createdBy')} <strong>Oleed</strong> <span role="img" aria-label={t('footer.heart')}>❤️</span></p>
+          {!this.state.gameActive && (
+            <OptionPicker
+              label={t('picker.language')}
+              options={LANGUAGES}
+              value={this.state.language}
+              onChange={this.onLanguageChange}
+            />
+          )}
+          {!this.state.gameActive && (
+            <PrivacySettings
+              loggedIn={hasUsername}
+              username={username}
+              onAccountDeleted={this.onAccountDeleted}
+              onScoresClaimed={this.getScores}
+            />
+          )}
         </footer>
       </div>
     );
@@ -0,0 +1,84 @@
+import React, { Component } from 'react';
+import { login, register } from './auth';
+import { errorMessage, t } from './i18n';
+
+// Log in / register form shown before the first game
+class AuthForm extends Component {
+  state = {
+    action: 'login',
+    error: null,
+    submitting: false
+  };
+
+  toggleAction = () => {
+    this.setState({
+      action: this.state.action === 'login' ? 'register' : 'login',
+      error: null
+    });
+  };
+
+  onSubmit = async (e) => {
+    e.preventDefault();
+    const username = e.target.username.value.trim();
+    const password = e.target.password.value;
+    const authenticate = this.state.action === 'login' ? login : register;
+
+    this.setState({ submitting: true, error: null });
+    try {
+      const user = await authenticate(username, password);
+      this.props.onAuthenticated(user);
+    } catch (error) {
+      this.setState({
+        error: errorMessage(error, 'error.network'),
+        submitting: false
+      });
+    }
+  };
+
+  render() {
+    const { action, error, submitting } = this.state;
+    const isLogin = action === 'login';
+
+    return (
+      <div className="username-form-container">
+        <form className="username-form" onSubmit={this.onSubmit}>
+          <h3>{t('auth.title')}</h3>
+          <p>{t(isLogin ? 'auth.loginIntro' : 'auth.registerIntro')}</p>
+          <div className="form-group">
+            <label htmlFor="username">{t('auth.username')}</label>
+            <input
+              type="text"
+              id="username"
+              name="username"
+              maxLength="20"
+              autoComplete="username"
+              required
+              placeholder={t('auth.usernamePlaceholder')}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="password">{t('auth.password')}</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              minLength={isLogin ? undefined : 8}
+              autoComplete={isLogin ? 'current-password' : 'new-password'}
+              required
+              placeholder={t('auth.passwordPlaceholder')}
+            />
+          </div>
+          {error && <div className="form-error">{error}</div>}
+          <button type="submit" className="submit-btn" disabled={submitting}>
+            {t(isLogin ? 'auth.login' : 'auth.register')}
+          </button>
+          <button type="button" className="link-btn" onClick={this.toggleAction}>
+            {t(isLogin ? 'auth.toRegister' : 'auth.toLogin')}
+          </button>
+        </form>
+      </div>
+    );
+  }
+}
+
+export default AuthForm;
@@ -0,0 +1,115 @@
+import React, { Component } from 'react';
+import {
+  ACTIONS,
+  DEFAULT_CONTROLS,
+  RESERVED_KEYS,
+  bindButton,
+  bindKey,
+  buttonName,
+  keyName
+} from './controls';
+import { watchGamepads } from './gamepad';
+import { t } from './i18n';
+
+// Rebinding of the game's keys and controller buttons. Click a binding, then
+// press the new key or button; Escape cancels.
+class ControlsSettings extends Component {
+  // The binding waiting for a key or button press: { action, device }
+  state = { listening: null };
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onKeyDown);
+    this.stopGamepads = watchGamepads(this.onGamepadButton);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.stopGamepads();
+  }
+
+  listen = (action, device) => {
+    this.setState({ listening: { action, device } });
+  };
+
+  onKeyDown = (e) => {
+    const { listening } = this.state;
+    if (!listening) {
+      return;
+    }
+    if (e.code === 'Escape') {
+      this.setState({ listening: null });
+      return;
+    }
+    if (listening.device !== 'key' || RESERVED_KEYS.indexOf(e.code) !== -1) {
+      return;
+    }
+    // Don't also press the focused button or scroll the page
+    e.preventDefault();
+    this.setState({ listening: null });
+    this.props.onChange(bindKey(this.props.controls, listening.action, e.code));
+  };
+
+  onGamepadButton = (button) => {
+    const { listening } = this.state;
+    if (!listening || listening.device !== 'button') {
+      return;
+    }
+    this.setState({ listening: null });
+    this.props.onChange(bindButton(this.props.controls, listening.action, button));
+  };
+
+  renderBinding(action, device, label) {
+    const { listening } = this.state;
+    const active = listening && listening.action === action && listening.device === device;
+    return (
+      <button
+        type="button"
+        className={`control-btn binding-btn ${active ? 'listening' : ''}`}
+        aria-label={t(`controls.${device}Label`, { action: t(`action.${action}`), binding: label })}
+        onClick={() => this.listen(action, device)}
+      >
+        {active ? t(`controls.${device}Listening`) : label}
+      </button>
+    );
+  }
+
+  render() {
+    const { controls, onChange, onClose } = this.props;
+    return (
+      <div className="leaderboard-container controls-settings">
+        <button type="button" className="link-btn profile-back" onClick={onClose}>
+          {t('common.back')}
+        </button>
+        <h3 className="leaderboard-title">{t('controls.title')}</h3>
+
+        <table className="scores-table">
+          <thead>
+            <tr>
+              <th>{t('controls.action')}</th>
+              <th>{t('controls.keyboard')}</th>
+              <th>{t('controls.controller')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ACTIONS.map(action => (
+              <tr key={action}>
+                <td>{t(`action.${action}`)}</td>
+                <td>{this.renderBinding(action, 'key', keyName(controls.keys[action]))}</td>
+                <td>{this.renderBinding(action, 'button', buttonName(controls.buttons[action]))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <p className="controls-hint">
+          {t('controls.hint')}
+        </p>
+        <button type="button" className="link-btn" onClick={() => onChange(DEFAULT_CONTROLS)}>
+          {t('controls.reset')}
+        </button>
+      </div>
+    );
+  }
+}
+
+export default ControlsSettings;
@@ -0,0 +1,95 @@
+import React, { Component } from 'react';
+import { SKINS, THEMES, drawBird, getSkin, isSkinUnlocked, loadSprite, unlockScore } from './skins';
+import OptionPicker from './OptionPicker';
+import { fitCanvas } from './canvasSize';
+import { pickerOptions, t } from './i18n';
+
+const THEME_IDS = Object.keys(THEMES);
+const PREVIEW_SIZE = 64;
+// Flaps per second of the preview birds
+const PREVIEW_FPS = 15;
+
+// Small animated bird flapping in place (holding still with reduced motion)
+class SkinPreview extends Component {
+  canvasRef = React.createRef();
+  tick = 0;
+
+  componentDidMount() {
+    const skin = getSkin(this.props.skin);
+    if (skin.sprite) {
+      loadSprite(skin.sprite).then(this.draw).catch(() => {});
+    }
+    this.draw();
+    if (this.props.still) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.tick += 1;
+      this.draw();
+    }, 1000 / PREVIEW_FPS);
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.timer);
+  }
+
+  draw = () => {
+    const canvas = this.canvasRef.current;
+    if (!canvas) {
+      return;
+    }
+    const scale = fitCanvas(canvas, PREVIEW_SIZE, PREVIEW_SIZE);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, PREVIEW_SIZE, PREVIEW_SIZE);
+    // Rising, so sprite birds beat their wings
+    const bird = { x: PREVIEW_SIZE / 2, y: PREVIEW_SIZE / 2, radius: PREVIEW_SIZE / 4, velocity: -1 };
+    drawBird(ctx, bird, getSkin(this.props.skin), this.tick);
+  };
+
+  render() {
+    return <canvas ref={this.canvasRef} width={PREVIEW_SIZE} height={PREVIEW_SIZE} className="skin-preview" />;
+  }
+}
+
+// Skin and theme selection. Locked skins show the score that unlocks them.
+const Customize = ({ skin, theme, unlockedSkins, reducedMotion, onSkinChange, onThemeChange, onClose }) => (
+  <div className="leaderboard-container customize">
+    <button type="button" className="link-btn profile-back" onClick={onClose}>
+      {t('common.back')}
+    </button>
+    <h3 className="leaderboard-title">{t('customize.title')}</h3>
+
+    <h4>{t('customize.bird')}</h4>
+    <div className="skin-grid" role="radiogroup" aria-label={t('customize.bird')}>
+      {Object.values(SKINS).map(option => {
+        const unlocked = isSkinUnlocked(option.id, unlockedSkins);
+        return (
+          <button
+            key={option.id}
+            type="button"
+            role="radio"
+            aria-checked={option.id === skin}
+            disabled={!unlocked}
+            className={`skin-card ${option.id === skin ? 'active' : ''} ${unlocked ? '' : 'locked'}`}
+            onClick={() => onSkinChange(option.id)}
+          >
+            <SkinPreview skin={option.id} still={reducedMotion} />
+            <span className="skin-name">{t(`skin.${option.id}`)}</span>
+            {!unlocked && <span className="skin-lock">{t('customize.locked', { score: unlockScore(option.id) })}</span>}
+          </button>
+        );
+      })}
+    </div>
+
+    <h4>{t('customize.world')}</h4>
+    <OptionPicker
+      label={t('customize.theme')}
+      options={pickerOptions('theme', THEME_IDS)}
+      value={theme}
+      onChange={onThemeChange}
+    />
+  </div>
+);
+
+export default Customize;
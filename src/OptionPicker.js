@@ -0,0 +1,23 @@
+import React from 'react';
+
+// Row of toggle buttons (difficulty, ghost, leaderboard period...)
+const OptionPicker = ({ label, options, value, onChange }) => (
+  <div className="mode-picker" role="radiogroup" aria-label={label}>
+    <span className="mode-picker-label">{label}:</span>
+    {options.map(option => (
+      <button
+        key={option.id}
+        type="button"
+        role="radio"
+        aria-checked={option.id === value}
+        className={`mode-btn ${option.id === value ? 'active' : ''}`}
+        title={option.description}
+        onClick={() => onChange(option.id)}
+      >
+        {option.name}
+      </button>
+    ))}
+  </div>
+);
+
+export default OptionPicker;
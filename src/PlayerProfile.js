@@ -0,0 +1,255 @@
+import React, { Component } from 'react';
+import { ACHIEVEMENTS, MODES } from './engine';
+import { fetchAchievementStats, fetchPlayerAchievements } from './achievements';
+import { fetchPlayerScores, fetchPlayerStats } from './players';
+import { formatScoreDate, formatStat } from './format';
+import { formatNumber, pickerOptions, t } from './i18n';
+import OptionPicker from './OptionPicker';
+import { POWERUP_SETTINGS } from './powerups';
+import ScoreChart from './ScoreChart';
+
+const MODE_IDS = Object.keys(MODES);
+const RUNS_PER_PAGE = 10;
+// Runs drawn on the chart
+const CHART_RUNS = 100;
+
+// Stats, progress chart and run history of one player
+class PlayerProfile extends Component {
+  state = {
+    mode: this.props.mode,
+    powerups: this.props.powerups,
+    stats: null,
+    chartScores: [],
+    runs: [],
+    totalRuns: 0,
+    offset: 0,
+    // The player's unlocked achievements by id, and the share of all players
+    // who have each one; null until loaded
+    achievements: null,
+    achievementStats: null,
+    loading: true,
+    error: null
+  };
+
+  componentDidMount() {
+    this.loadProfile();
+    this.loadAchievements();
+  }
+
+  // Whether the board picked while a request was in flight is still shown
+  isCurrent = (mode, powerups) => mode === this.state.mode && powerups === this.state.powerups;
+
+  loadProfile = async () => {
+    const { username } = this.props;
+    const { mode, powerups } = this.state;
+    this.setState({ loading: true, error: null });
+    try {
+      const [stats, history] = await Promise.all([
+        fetchPlayerStats(username, { mode, powerups }),
+        fetchPlayerScores(username, { mode, powerups, limit: CHART_RUNS })
+      ]);
+      // The player picked another board while this was loading
+      if (!this.isCurrent(mode, powerups)) {
+        return;
+      }
+      this.setState({
+        stats,
+        chartScores: history.scores.slice().reverse(),
+        runs: history.scores.slice(0, RUNS_PER_PAGE),
+        totalRuns: history.total,
+        offset: 0,
+        loading: false
+      });
+    } catch (error) {
+      const notFound = error.response && error.response.status === 404;
+      this.setState({
+        error: notFound ? t('profile.notFound', { name: username }) : t('error.profile'),
+        loading: false
+      });
+    }
+  };
+
+  loadRuns = async (offset) => {
+    const { username } = this.props;
+    const { mode, powerups } = this.state;
+    try {
+      const history = await fetchPlayerScores(username, { mode, powerups, limit: RUNS_PER_PAGE, offset });
+      if (this.isCurrent(mode, powerups)) {
+        this.setState({ runs: history.scores, totalRuns: history.total, offset });
+      }
+    } catch (error) {
+      console.error('Failed to load runs:', error);
+    }
+  };
+
+  // Achievements aren't per mode, so they load once
+  loadAchievements = async () => {
+    try {
+      const [player, stats] = await Promise.all([
+        fetchPlayerAchievements(this.props.username),
+        fetchAchievementStats()
+      ]);
+      const achievements = {};
+      player.achievements.forEach(entry => {
+        achievements[entry.achievement] = entry.unlocked_at;
+      });
+      this.setState({ achievements, achievementStats: stats.achievements });
+    } catch (error) {
+      console.error('Failed to load achievements:', error);
+    }
+  };
+
+  onModeChange = (mode) => {
+    this.setState({ mode }, this.loadProfile);
+  };
+
+  onPowerupsChange = (id) => {
+    this.setState({ powerups: id === 'on' }, this.loadProfile);
+  };
+
+  renderStats() {
+    const { stats } = this.state;
+    const items = [
+      { id: 'best', value: stats.best ? formatNumber(stats.best.score) : '-', detail: stats.best && formatScoreDate(stats.best.created_at) },
+      { id: 'rank', value: stats.rank ? t('leaderboard.position', { rank: stats.rank }) : '-' },
+      { id: 'games', value: formatNumber(stats.games) },
+      { id: 'average', value: formatStat(stats.average) },
+      { id: 'median', value: formatStat(stats.median) }
+    ];
+
+    return (
+      <div className="profile-stats">
+        {items.map(item => (
+          <div key={item.id} className="profile-stat">
+            <span className="profile-stat-value">{item.value}</span>
+            <span className="profile-stat-label">{t(`profile.${item.id}`)}</span>
+            {item.detail && <span className="profile-stat-detail">{item.detail}</span>}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  renderAchievements() {
+    const { achievements, achievementStats } = this.state;
+    return (
+      <ul className="achievement-list">
+        {ACHIEVEMENTS.map(({ id }) => {
+          const unlockedAt = achievements[id];
+          const stats = achievementStats.find(entry => entry.id === id);
+          return (
+            <li key={id} className={`achievement ${unlockedAt ? 'unlocked' : 'locked'}`}>
+              <span className="achievement-name">{t(`achievement.${id}`)}</span>
+              <span className="achievement-description">{t(`achievement.${id}.description`)}</span>
+              <span className="achievement-detail">
+                {unlockedAt ? t('achievement.unlockedOn', { date: formatScoreDate(unlockedAt) }) : t('achievement.locked')}
+                {' · '}
+                {t('achievement.players', {
+                  percent: formatNumber(stats ? stats.percent / 100 : 0, { style: 'percent', maximumFractionDigits: 1 })
+                })}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    );
+  }
+
+  renderRuns() {
+    const { runs, totalRuns, offset } = this.state;
+    if (runs.length === 0) {
+      return <div className="no-scores">{t('profile.noGames')}</div>;
+    }
+
+    return (
+      <>
+        <table className="scores-table">
+          <thead>
+            <tr>
+              <th>{t('profile.played')}</th>
+              <th>{t('leaderboard.score')}</th>
+              <th>{t('profile.verified')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => (
+              <tr key={run.id}>
+                <td className="date">{formatScoreDate(run.created_at)}</td>
+                <td className="score">{formatNumber(run.score)}</td>
+                <td>{run.verified ? <span role="img" aria-label={t('profile.verifiedRun')}>✔️</span> : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="pager">
+          <button
+            type="button"
+            className="mode-btn"
+            disabled={offset === 0}
+            onClick={() => this.loadRuns(Math.max(offset - RUNS_PER_PAGE, 0))}
+          >
+            {t('profile.newer')}
+          </button>
+          <span>{t('profile.page', { from: offset + 1, to: offset + runs.length, total: totalRuns })}</span>
+          <button
+            type="button"
+            className="mode-btn"
+            disabled={offset + RUNS_PER_PAGE >= totalRuns}
+            onClick={() => this.loadRuns(offset + RUNS_PER_PAGE)}
+          >
+            {t('profile.older')}
+          </button>
+        </div>
+      </>
+    );
+  }
+
+  render() {
+    const { username, onClose } = this.props;
+    const { mode, powerups, stats, chartScores, achievements, loading, error } = this.state;
+
+    return (
+      <div className="leaderboard-container player-profile">
+        <button type="button" className="link-btn profile-back" onClick={onClose}>
+          {t('common.back')}
+        </button>
+        <h3 className="leaderboard-title">{stats ? stats.username : username}</h3>
+
+        <OptionPicker
+          label={t('picker.difficulty')}
+          options={pickerOptions('mode', MODE_IDS)}
+          value={mode}
+          onChange={this.onModeChange}
+        />
+        <OptionPicker
+          label={t('picker.powerups')}
+          options={pickerOptions('powerups', POWERUP_SETTINGS)}
+          value={powerups ? 'on' : 'off'}
+          onChange={this.onPowerupsChange}
+        />
+
+        {loading ? (
+          <div className="loading">{t('profile.loading')}</div>
+        ) : error ? (
+          <div className="error">{error}</div>
+        ) : (
+          <>
+            {this.renderStats()}
+            {achievements && (
+              <>
+                <h4>{t('profile.achievements')}</h4>
+                {this.renderAchievements()}
+              </>
+            )}
+            <h4>{t('profile.progress')}</h4>
+            <ScoreChart scores={chartScores} />
+            <h4>{t('profile.recentRuns')}</h4>
+            {this.renderRuns()}
+          </>
+        )}
+      </div>
+    );
+  }
+}
+
+export default PlayerProfile;
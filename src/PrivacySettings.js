@@ -0,0 +1,112 @@
+import React, { Component } from 'react';
+import { claimLegacyScores, countLegacyScores } from './auth';
+import { deleteMyData, loadConsent, saveConsent } from './privacy';
+import { errorMessage, t } from './i18n';
+
+// Analytics opt-out, claiming scores posted before accounts existed and
+// "delete my data", shown in the footer
+class PrivacySettings extends Component {
+  state = {
+    consent: loadConsent(),
+    deleting: false,
+    legacyScores: 0,
+    claiming: false,
+    message: null
+  };
+
+  componentDidMount() {
+    this.loadLegacyScores();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.username !== this.props.username || prevProps.loggedIn !== this.props.loggedIn) {
+      this.loadLegacyScores();
+    }
+  }
+
+  loadLegacyScores = async () => {
+    if (!this.props.loggedIn) {
+      this.setState({ legacyScores: 0 });
+      return;
+    }
+    try {
+      this.setState({ legacyScores: await countLegacyScores() });
+    } catch (error) {
+      // Offered again next time
+      this.setState({ legacyScores: 0 });
+    }
+  };
+
+  onClaim = async () => {
+    const { legacyScores } = this.state;
+    if (!window.confirm(t('privacy.confirmClaim', { name: this.props.username, count: legacyScores }))) {
+      return;
+    }
+
+    this.setState({ claiming: true, message: null });
+    try {
+      const claimed = await claimLegacyScores();
+      this.setState({ claiming: false, legacyScores: 0, message: t('privacy.scoresClaimed', { count: claimed }) });
+      this.props.onScoresClaimed();
+    } catch (error) {
+      this.setState({
+        claiming: false,
+        message: errorMessage(error, 'error.network')
+      });
+    }
+  };
+
+  onConsentChange = (e) => {
+    saveConsent(e.target.checked);
+    this.setState({ consent: e.target.checked });
+  };
+
+  onDelete = async () => {
+    const { loggedIn, username } = this.props;
+    const question = loggedIn
+      ? t('privacy.confirmAccount', { name: username })
+      : t('privacy.confirmSession');
+    if (!window.confirm(question)) {
+      return;
+    }
+
+    this.setState({ deleting: true, message: null });
+    try {
+      await deleteMyData(loggedIn);
+      this.setState({ deleting: false, message: t(loggedIn ? 'privacy.accountDeleted' : 'privacy.sessionDeleted') });
+      if (loggedIn) {
+        this.props.onAccountDeleted();
+      }
+    } catch (error) {
+      this.setState({
+        deleting: false,
+        message: errorMessage(error, 'error.network')
+      });
+    }
+  };
+
+  render() {
+    const { loggedIn } = this.props;
+    const { consent, deleting, legacyScores, claiming, message } = this.state;
+
+    return (
+      <div className="privacy-settings">
+        <label>
+          <input type="checkbox" checked={consent} onChange={this.onConsentChange} />
+          {' '}{t('privacy.consent')}
+        </label>
+        {loggedIn && legacyScores > 0 && (
+          <button type="button" className="link-btn" onClick={this.onClaim} disabled={claiming}>
+            {t('privacy.claimScores', { count: legacyScores })}
+          </button>
+        )}
+        <button type="button" className="link-btn" onClick={this.onDelete} disabled={deleting}>
+          {t(loggedIn ? 'privacy.deleteAccount' : 'privacy.deleteSession')}
+        </button>
+        {message && <p className="privacy-message">{message}</p>}
+      </div>
+    );
+  }
+}
+
+export default PrivacySettings;
@@ -0,0 +1,308 @@
+// Online race: create a room or join one by code, wait in the lobby for the
+// host to start, race everyone on the same pipes and see who flew furthest.
+// The game itself is drawn by the App (`renderGame`), with the race passed in.
+import React, { Component } from 'react';
+import { constants } from './engine';
+import { CODE_LENGTH, MIN_PLAYERS, connectToRace } from './race';
+import { formatNumber, hasMessage, t } from './i18n';
+
+const { FPS } = constants;
+
+// Server errors have a code, translated where the catalogs know it
+const roomError = (message) => (
+  hasMessage(`error.${message.code}`) ? t(`error.${message.code}`) : message.error
+);
+
+class RaceRoom extends Component {
+  state = {
+    code: '',
+    connecting: false,
+    error: null,
+    playerId: null,
+    room: null,
+    results: null
+  };
+
+  connection = null;
+  // Set up when the countdown starts, see createRace
+  race = null;
+
+  componentWillUnmount() {
+    this.disconnect();
+  }
+
+  connect = (hello) => {
+    this.disconnect();
+    this.setState({ connecting: true, error: null, room: null, results: null });
+    this.connection = connectToRace(hello, { onMessage: this.onMessage, onClose: this.onClose });
+  };
+
+  disconnect = () => {
+    if (this.connection) {
+      this.connection.send({ type: 'leave' });
+      this.connection.close();
+      this.connection = null;
+    }
+    this.race = null;
+  };
+
+  send = (message) => {
+    if (this.connection) {
+      this.connection.send(message);
+    }
+  };
+
+  createRoom = () => {
+    this.connect({ type: 'create', mode: this.props.mode, skin: this.props.skin });
+  };
+
+  joinRoom = (e) => {
+    e.preventDefault();
+    this.connect({ type: 'join', code: this.state.code, skin: this.props.skin });
+  };
+
+  onCodeChange = (e) => {
+    this.setState({ code: e.target.value.toUpperCase() });
+  };
+
+  startRace = () => {
+    this.send({ type: 'start' });
+  };
+
+  leave = () => {
+    this.disconnect();
+    this.setState({ connecting: false, error: null, room: null, results: null });
+  };
+
+  // What the game needs to race: the room's run, where the other birds are
+  // and how to report its own
+  createRace = (room) => {
+    const opponents = {};
+    room.players.forEach(player => {
+      if (player.id !== this.state.playerId) {
+        opponents[player.id] = { username: player.username, skin: player.skin, position: null, out: false };
+      }
+    });
+    return {
+      seed: room.seed,
+      mode: room.mode,
+      version: room.version,
+      startsAt: Date.now() + room.startsIn,
+      opponents,
+      sendPosition: (state) => this.send({
+        type: 'position',
+        frame: state.frame,
+        y: state.bird.y,
+        velocity: state.bird.velocity,
+        score: state.score
+      }),
+      finish: (inputs, score) => this.send({ type: 'finish', inputs, score })
+    };
+  };
+
+  onMessage = (message) => {
+    const opponent = this.race && this.race.opponents[message.id];
+    switch (message.type) {
+      case 'welcome':
+        this.setState({ playerId: message.playerId });
+        break;
+      case 'room':
+        if (message.room.state === 'countdown' && !this.race) {
+          this.race = this.createRace(message.room);
+        }
+        this.setState({ room: message.room, connecting: false });
+        break;
+      // Positions come in many times a second, so they skip React and are
+      // read by the game as it draws
+      case 'position':
+        if (opponent) {
+          opponent.position = { y: message.y, velocity: message.velocity, frame: message.frame };
+        }
+        break;
+      case 'finished':
+        if (opponent) {
+          opponent.out = true;
+        }
+        break;
+      case 'results':
+        this.setState({ results: message.results });
+        break;
+      case 'error':
+        // Someone took over our seat from another tab
+        if (message.code === 'REPLACED') {
+          this.disconnect();
+          this.setState({ room: null });
+        }
+        this.setState({ error: roomError(message), connecting: false });
+        break;
+      default:
+        break;
+    }
+  };
+
+  // The connection dropped; a race can't be picked up again
+  onClose = () => {
+    this.connection = null;
+    this.race = null;
+    if (!this.state.results) {
+      this.setState({ connecting: false, room: null, error: t('error.raceConnection') });
+    }
+  };
+
+  renderEntry() {
+    const { code, connecting, error } = this.state;
+    return (
+      <div className="username-form-container race-entry">
+        <h3>{t('race.title')}</h3>
+        <p>{t('race.intro')}</p>
+        <button type="button" className="submit-btn" onClick={this.createRoom} disabled={connecting}>
+          {t('race.create')}
+        </button>
+        <form className="race-join" onSubmit={this.joinRoom}>
+          <div className="form-group">
+            <label htmlFor="race-code">{t('race.code')}</label>
+            <input
+              type="text"
+              id="race-code"
+              value={code}
+              onChange={this.onCodeChange}
+              maxLength={CODE_LENGTH}
+              minLength={CODE_LENGTH}
+              autoComplete="off"
+              spellCheck="false"
+              required
+              placeholder={t('race.codePlaceholder')}
+            />
+          </div>
+          <button type="submit" className="submit-btn" disabled={connecting}>
+            {t('race.join')}
+          </button>
+        </form>
+        {error && <div className="form-error" role="alert">{error}</div>}
+      </div>
+    );
+  }
+
+  // Everyone in the room; once the race is on, how each of them is doing
+  renderPlayers() {
+    const { room, playerId } = this.state;
+    const racing = room.state !== 'lobby';
+    return (
+      <ul className="race-players">
+        {room.players.map(player => {
+          const notes = [];
+          if (player.id === playerId) {
+            notes.push(t('race.you'));
+          }
+          if (player.id === room.host) {
+            notes.push(t('race.host'));
+          }
+          let status = null;
+          if (racing) {
+            status = player.finished ? t('race.crashed') : !player.connected ? t('race.left') : t('race.flying');
+          }
+          return (
+            <li key={player.id} className={player.id === playerId ? 'current-player' : ''}>
+              <span className="username">{player.username}</span>
+              {notes.length > 0 && <span className="race-note"> ({notes.join(', ')})</span>}
+              {status && <span className="race-status">{status}</span>}
+            </li>
+          );
+        })}
+      </ul>
+    );
+  }
+
+  renderLobby() {
+    const { room, playerId, error } = this.state;
+    const isHost = room.host === playerId;
+    const ready = room.players.length >= MIN_PLAYERS;
+    return (
+      <div className="leaderboard-container race-room">
+        <h3 className="leaderboard-title">
+          {t('race.room')} <span className="race-code">{room.code}</span>
+          <span className="leaderboard-mode">{t(`mode.${room.mode}`)}</span>
+        </h3>
+        <p className="settings-hint">{t('race.share')}</p>
+        {this.renderPlayers()}
+        {error && <div className="form-error" role="alert">{error}</div>}
+        {isHost ? (
+          <button type="button" className="submit-btn" onClick={this.startRace} disabled={!ready}>
+            {t('race.start')}
+          </button>
+        ) : (
+          <p className="settings-hint">{t('race.waitingForHost')}</p>
+        )}
+        {isHost && !ready && (
+          <p className="settings-hint">{t('race.needPlayers', { count: MIN_PLAYERS })}</p>
+        )}
+        <button type="button" className="link-btn" onClick={this.leave}>
+          {t('race.leave')}
+        </button>
+      </div>
+    );
+  }
+
+  renderResults() {
+    const { results, playerId } = this.state;
+    return (
+      <div className="leaderboard-container race-room">
+        <h3 className="leaderboard-title">{t('race.results')}</h3>
+        <table className="scores-table">
+          <thead>
+            <tr>
+              <th>{t('leaderboard.rank')}</th>
+              <th>{t('leaderboard.player')}</th>
+              <th>{t('leaderboard.score')}</th>
+              <th>{t('race.time')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => (
+              <tr key={result.id} className={result.id === playerId ? 'current-player' : ''}>
+                <td className="rank">{t('leaderboard.position', { rank: result.rank })}</td>
+                <td className="username">
+                  {result.username}
+                  {result.status !== 'finished' && (
+                    <span className="race-note"> ({t(`race.status.${result.status}`)})</span>
+                  )}
+                </td>
+                <td className="score">{formatNumber(result.score)}</td>
+                <td>{t('race.seconds', { seconds: formatNumber(result.frames / FPS, { maximumFractionDigits: 1 }) })}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button type="button" className="submit-btn race-again" onClick={this.leave}>
+          {t('race.again')}
+        </button>
+      </div>
+    );
+  }
+
+  render() {
+    const { room, results } = this.state;
+    if (results) {
+      return this.renderResults();
+    }
+    if (!room) {
+      return this.renderEntry();
+    }
+    if (room.state === 'lobby') {
+      return this.renderLobby();
+    }
+    return (
+      <>
+        {this.props.renderGame(this.race)}
+        <div className="leaderboard-container race-room">
+          <h3 className="leaderboard-title">
+            {t('race.room')} <span className="race-code">{room.code}</span>
+          </h3>
+          {this.renderPlayers()}
+        </div>
+      </>
+    );
+  }
+}
+
+export default RaceRoom;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { formatScoreDate } from './format';
+import { formatNumber, t } from './i18n';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const PADDING = 24;
+
+// Line chart of scores in the order they were played (oldest first)
+const ScoreChart = ({ scores }) => {
+  if (scores.length < 2) {
+    return <p className="chart-empty">{t('chart.empty')}</p>;
+  }
+
+  const maxScore = Math.max(1, ...scores.map(run => run.score));
+  const x = (index) => PADDING + (index / (scores.length - 1)) * (CHART_WIDTH - PADDING * 2);
+  const y = (score) => CHART_HEIGHT - PADDING - (score / maxScore) * (CHART_HEIGHT - PADDING * 2);
+  const points = scores.map((run, index) => `${x(index)},${y(run.score)}`).join(' ');
+
+  const first = scores[0];
+  const last = scores[scores.length - 1];
+
+  return (
+    <svg
+      className="score-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={t('chart.label', { count: scores.length, max: maxScore })}
+    >
+      <line className="chart-axis" x1={PADDING} y1={y(0)} x2={CHART_WIDTH - PADDING} y2={y(0)} />
+      <text className="chart-label" x={PADDING - 4} y={y(maxScore) + 4} textAnchor="end">{formatNumber(maxScore)}</text>
+      <text className="chart-label" x={PADDING - 4} y={y(0) + 4} textAnchor="end">0</text>
+      <polyline className="chart-line" points={points} />
+      {scores.map((run, index) => (
+        <circle key={run.id} className="chart-point" cx={x(index)} cy={y(run.score)} r="3">
+          <title>{`${formatNumber(run.score)} · ${formatScoreDate(run.created_at)}`}</title>
+        </circle>
+      ))}
+      <text className="chart-label" x={PADDING} y={CHART_HEIGHT - 4}>{formatScoreDate(first.created_at)}</text>
+      <text className="chart-label" x={CHART_WIDTH - PADDING} y={CHART_HEIGHT - 4} textAnchor="end">
+        {formatScoreDate(last.created_at)}
+      </text>
+    </svg>
+  );
+};
+
+export default ScoreChart;
@@ -0,0 +1,39 @@
+// Accessibility settings, remembered on this device
+// - highContrast: stark colours in the game (see HIGH_CONTRAST_THEME) and on the page
+// - reducedMotion: no flashing, wing flapping or page animations. Follows the
+//   system setting until the player picks one.
+// - oneSwitch: every key, controller button and tap is the same switch
+// - assist: a slower game and lighter gravity (see src/engine/assist.js).
+//   Assisted runs are kept off the leaderboards.
+import { normalizeAssist } from './engine';
+import { loadJson, saveJson } from './storage';
+
+const STORAGE_KEY = 'flappybird.accessibility';
+
+const prefersReducedMotion = () => Boolean(
+  window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+);
+
+const defaultSettings = () => ({
+  highContrast: false,
+  reducedMotion: prefersReducedMotion(),
+  oneSwitch: false,
+  assist: false,
+  assistSpeed: 1,
+  assistGravity: 1
+});
+
+export const loadAccessibility = () => Object.assign(defaultSettings(), loadJson(STORAGE_KEY));
+
+export const saveAccessibility = (settings) => saveJson(STORAGE_KEY, settings);
+
+// Page-wide styles for the settings, see App.css
+export const applyAccessibility = (settings) => {
+  document.body.classList.toggle('high-contrast', settings.highContrast);
+  document.body.classList.toggle('reduced-motion', settings.reducedMotion);
+};
+
+// The engine's assist options, or null when assist mode is off
+export const getAssist = (settings) => (
+  settings.assist ? normalizeAssist({ speed: settings.assistSpeed, gravity: settings.assistGravity }) : null
+);
@@ -0,0 +1,16 @@
+// Achievements - the goals are defined in src/engine/achievements.js; the
+// backend keeps the ones each player has reached
+import axios from 'axios';
+import { apiUrl } from './api';
+
+// Resolves to { achievements: [{ achievement, unlocked_at }], games }
+export const fetchPlayerAchievements = async (username) => {
+  const response = await axios.get(apiUrl(`/players/${encodeURIComponent(username)}/achievements`));
+  return response.data;
+};
+
+// Resolves to { players, achievements: [{ id, unlocked, percent }] }
+export const fetchAchievementStats = async () => {
+  const response = await axios.get(apiUrl('/achievements'));
+  return response.data;
+};
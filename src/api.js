@@ -0,0 +1,23 @@
+import axios from 'axios';
+
+// Backend API location - same origin in production, the local dev server otherwise
+const API_BASE = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : 'http://localhost:3001/api';
+
+export const apiUrl = (path) => `${API_BASE}${path}`;
+
+let authToken = null;
+
+// Send the session token with every request once the player has logged in
+export const setAuthToken = (token) => {
+  authToken = token;
+  if (token) {
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+};
+
+// For connections that can't carry the header, like the race room WebSocket
+export const getAuthToken = () => authToken;
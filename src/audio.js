@@ -0,0 +1,207 @@
+// Sound effects and background music, synthesized with WebAudio
+// Browsers only let a page start audio from a user gesture, so the audio
+// context is created (or resumed) by unlockAudio() from the game's key and
+// click handlers; until then every sound is silently skipped. Volume, mute and
+// music choices are remembered on this device.
+import { loadJson, saveJson } from './storage';
+
+const SETTINGS_KEY = 'flappybird.audio';
+const DEFAULT_SETTINGS = { volume: 0.7, muted: false, music: false };
+
+// How far ahead music notes are scheduled, and how often the scheduler runs
+const MUSIC_LOOKAHEAD = 0.2;
+const MUSIC_TICK_MS = 50;
+// Seconds per eighth note
+const MUSIC_STEP = 0.18;
+// Looping tune as MIDI note numbers, one per eighth note (null is a rest)
+const MELODY = [
+  72, null, 76, 79, 76, null, 72, null,
+  74, null, 77, 81, 77, null, 74, null,
+  76, null, 79, 84, 79, 76, 72, null,
+  74, 76, 74, 71, 67, null, null, null
+];
+// One bass note per bar of eight steps
+const BASS = [48, 50, 52, 43];
+
+let settings = loadSettings();
+let context = null;
+let master = null;
+let musicTimer = null;
+let nextNoteTime = 0;
+let musicStep = 0;
+
+function loadSettings() {
+  return Object.assign({}, DEFAULT_SETTINGS, loadJson(SETTINGS_KEY));
+}
+
+const saveSettings = () => saveJson(SETTINGS_KEY, settings);
+
+const applyVolume = () => {
+  if (master) {
+    master.gain.setValueAtTime(settings.muted ? 0 : settings.volume, context.currentTime);
+  }
+};
+
+const midiToFrequency = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+// Call from a user gesture (key press, click, tap)
+export const unlockAudio = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) {
+    return;
+  }
+  if (!context) {
+    context = new AudioContext();
+    master = context.createGain();
+    master.connect(context.destination);
+    applyVolume();
+  }
+  if (context.state === 'suspended') {
+    context.resume();
+  }
+};
+
+const isPlaying = () => context && context.state === 'running' && !settings.muted;
+
+// One note with a quick attack and an exponential fade, optionally gliding
+// to `slideTo` Hz
+const tone = ({ type = 'square', frequency, slideTo, start = 0, duration, gain = 0.2 }) => {
+  const at = context.currentTime + start;
+  const oscillator = context.createOscillator();
+  const envelope = context.createGain();
+
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, at);
+  if (slideTo) {
+    oscillator.frequency.exponentialRampToValueAtTime(slideTo, at + duration);
+  }
+  envelope.gain.setValueAtTime(0.0001, at);
+  envelope.gain.exponentialRampToValueAtTime(gain, at + 0.01);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+
+  oscillator.connect(envelope);
+  envelope.connect(master);
+  oscillator.start(at);
+  oscillator.stop(at + duration + 0.02);
+};
+
+// Short burst of white noise, for crashes
+const noise = ({ duration, gain = 0.3 }) => {
+  const at = context.currentTime;
+  const buffer = context.createBuffer(1, Math.floor(context.sampleRate * duration), context.sampleRate);
+  const samples = buffer.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.random() * 2 - 1;
+  }
+  const source = context.createBufferSource();
+  const envelope = context.createGain();
+  source.buffer = buffer;
+  envelope.gain.setValueAtTime(gain, at);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+  source.connect(envelope);
+  envelope.connect(master);
+  source.start(at);
+};
+
+const SOUNDS = {
+  flap: () => tone({ type: 'triangle', frequency: 380, slideTo: 720, duration: 0.09, gain: 0.25 }),
+  score: () => {
+    tone({ frequency: 988, duration: 0.08, gain: 0.12 });
+    tone({ frequency: 1319, start: 0.07, duration: 0.16, gain: 0.12 });
+  },
+  hit: () => {
+    noise({ duration: 0.25 });
+    tone({ type: 'sine', frequency: 160, slideTo: 50, duration: 0.3, gain: 0.5 });
+  },
+  newBest: () => {
+    [72, 76, 79, 84].forEach((note, index) => {
+      tone({ type: 'square', frequency: midiToFrequency(note), start: index * 0.09, duration: 0.18, gain: 0.12 });
+    });
+  },
+  achievement: () => {
+    [79, 84, 88].forEach((note, index) => {
+      tone({ type: 'triangle', frequency: midiToFrequency(note), start: index * 0.07, duration: 0.3, gain: 0.15 });
+    });
+  }
+};
+
+export const playSound = (name) => {
+  if (isPlaying()) {
+    SOUNDS[name]();
+  }
+};
+
+// Queue the notes that start within the lookahead window. While the context
+// is suspended its clock stands still, so nothing piles up during a pause.
+const scheduleMusic = () => {
+  while (nextNoteTime < context.currentTime + MUSIC_LOOKAHEAD) {
+    const start = nextNoteTime - context.currentTime;
+    const note = MELODY[musicStep % MELODY.length];
+    if (note !== null) {
+      tone({ type: 'triangle', frequency: midiToFrequency(note), start, duration: MUSIC_STEP * 0.9, gain: 0.06 });
+    }
+    if (musicStep % 8 === 0) {
+      const bass = BASS[Math.floor(musicStep / 8) % BASS.length];
+      tone({ type: 'sine', frequency: midiToFrequency(bass), start, duration: MUSIC_STEP * 7, gain: 0.08 });
+    }
+    nextNoteTime += MUSIC_STEP;
+    musicStep += 1;
+  }
+};
+
+// Background music, if the player turned it on
+export const startMusic = () => {
+  if (!context || !settings.music || musicTimer) {
+    return;
+  }
+  musicStep = 0;
+  nextNoteTime = context.currentTime + 0.05;
+  scheduleMusic();
+  musicTimer = setInterval(scheduleMusic, MUSIC_TICK_MS);
+};
+
+export const stopMusic = () => {
+  clearInterval(musicTimer);
+  musicTimer = null;
+};
+
+// Pausing the game pauses everything that is playing, music included
+export const suspendAudio = () => {
+  if (context && context.state === 'running') {
+    context.suspend();
+  }
+};
+
+export const resumeAudio = () => {
+  if (context && context.state === 'suspended') {
+    context.resume();
+  }
+};
+
+export const getAudioSettings = () => Object.assign({}, settings);
+
+// `volume` from 0 to 1
+export const setVolume = (volume) => {
+  settings = Object.assign({}, settings, { volume, muted: volume === 0 ? settings.muted : false });
+  applyVolume();
+  saveSettings();
+  return getAudioSettings();
+};
+
+export const toggleMute = () => {
+  settings = Object.assign({}, settings, { muted: !settings.muted });
+  applyVolume();
+  saveSettings();
+  return getAudioSettings();
+};
+
+// Turning music off stops it; turning it on leaves starting it to the caller,
+// which does so straight away when a run is under way
+export const setMusicEnabled = (music) => {
+  settings = Object.assign({}, settings, { music });
+  if (!music) {
+    stopMusic();
+  }
+  saveSettings();
+  return getAudioSettings();
+};
@@ -0,0 +1,77 @@
+// Player accounts - the session token is kept in localStorage so players stay logged in
+import axios from 'axios';
+import { apiUrl, setAuthToken } from './api';
+import { loadJson, loadValue, removeValue, saveJson, saveValue } from './storage';
+
+const TOKEN_KEY = 'flappybird.session';
+// The player, so a saved session can be resumed while offline
+const USER_KEY = 'flappybird.user';
+
+// Without storage the session just won't survive a reload
+const startSession = ({ token, user }) => {
+  saveValue(TOKEN_KEY, token);
+  saveJson(USER_KEY, user);
+  setAuthToken(token);
+  return user;
+};
+
+export const register = async (username, password) => {
+  const response = await axios.post(apiUrl('/auth/register'), { username, password });
+  return startSession(response.data);
+};
+
+export const login = async (username, password) => {
+  const response = await axios.post(apiUrl('/auth/login'), { username, password });
+  return startSession(response.data);
+};
+
+export const logout = async () => {
+  try {
+    await axios.post(apiUrl('/auth/logout'));
+  } catch (error) {
+    console.error('Failed to end session:', error);
+  }
+  forgetSession();
+};
+
+// Drop the saved token without telling the server (e.g. the account is gone)
+export const forgetSession = () => {
+  removeValue(TOKEN_KEY);
+  removeValue(USER_KEY);
+  setAuthToken(null);
+};
+
+// Scores posted under the player's name before accounts existed, which only
+// become theirs once claimed
+export const countLegacyScores = async () => {
+  const response = await axios.get(apiUrl('/auth/legacy-scores'));
+  return response.data.count;
+};
+
+export const claimLegacyScores = async () => {
+  const response = await axios.post(apiUrl('/auth/legacy-scores'));
+  return response.data.claimed;
+};
+
+// Resume a saved session; resolves to the player or null
+export const restoreSession = async () => {
+  const token = loadValue(TOKEN_KEY);
+  if (!token) {
+    return null;
+  }
+  setAuthToken(token);
+  try {
+    const response = await axios.get(apiUrl('/auth/me'));
+    return response.data.user;
+  } catch (error) {
+    if (error.response && error.response.status === 401) {
+      forgetSession();
+      return null;
+    }
+    // Offline - carry on as the saved player until the server is back
+    if (!error.response) {
+      return loadJson(USER_KEY);
+    }
+    return null;
+  }
+};
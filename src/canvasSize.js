@@ -0,0 +1,19 @@
+// HiDPI canvas sizing
+// Sizes a canvas's backing store to its size on screen times the device pixel
+// ratio, so it stays sharp on retina screens at any zoom. Drawing code keeps
+// using the logical `width` x `height` coordinates: apply the returned scale
+// with ctx.setTransform(scale, 0, 0, scale, 0, 0) before drawing.
+export const fitCanvas = (canvas, width, height) => {
+  const ratio = window.devicePixelRatio || 1;
+  const displayWidth = canvas.clientWidth || width;
+  const scale = (displayWidth * ratio) / width;
+  const pixelWidth = Math.round(width * scale);
+  const pixelHeight = Math.round(height * scale);
+
+  // Setting the size clears the canvas, so only do it when it changed
+  if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+  }
+  return scale;
+};
@@ -0,0 +1,30 @@
+// Canvas text that fits
+// Translations can be a lot longer than the English text, so text is
+// measured and its font shrunk until it fits the width it has.
+import { constants } from './engine';
+
+const { WIDTH } = constants;
+
+// Never shrink below this, however long the text
+const MIN_FONT_SIZE = 10;
+// Room left at each side of the canvas
+const MARGIN = 20;
+
+const font = (size, weight) => `${weight ? `${weight} ` : ''}${size}px Arial`;
+
+// Sets ctx.font to the largest size up to `size` at which `text` is at most
+// `maxWidth` wide
+export const fitFont = (ctx, text, { size, weight, maxWidth = WIDTH - MARGIN * 2 }) => {
+  ctx.font = font(size, weight);
+  const width = ctx.measureText(text).width;
+  if (width > maxWidth) {
+    ctx.font = font(Math.max(Math.floor((size * maxWidth) / width), MIN_FONT_SIZE), weight);
+  }
+};
+
+// fillText with fitFont; `maxWidth` also squeezes text that is still too
+// wide at the smallest size
+export const fillFittedText = (ctx, text, x, y, options) => {
+  fitFont(ctx, text, options);
+  ctx.fillText(text, x, y, options.maxWidth || WIDTH - MARGIN * 2);
+};
@@ -0,0 +1,82 @@
+// Key and controller bindings
+// Every action has one keyboard key (a KeyboardEvent.code, so it stays on the
+// same physical key whatever the layout) and one controller button (its index
+// in the standard gamepad layout). Players can rebind both; the choice is
+// remembered on this device.
+import { hasMessage, t } from './i18n';
+import { loadJson, saveJson } from './storage';
+
+const STORAGE_KEY = 'flappybird.controls';
+
+// Named by action.* in the message catalogs. flap2 is the second bird's flap
+// in a versus game.
+export const ACTIONS = ['flap', 'flap2', 'pause', 'restart', 'mute'];
+
+export const DEFAULT_CONTROLS = {
+  keys: { flap: 'Space', flap2: 'ArrowUp', pause: 'KeyP', restart: 'KeyR', mute: 'KeyM' },
+  buttons: { flap: 0, flap2: 1, pause: 9, restart: 8, mute: 3 }
+};
+
+// Keys that keep their usual job: moving the focus and cancelling a rebind
+export const RESERVED_KEYS = ['Tab', 'Escape'];
+
+const KEY_SYMBOLS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+// Short label of a key code, e.g. "P" for KeyP. Keys with words on them
+// (Space, Enter, ...) are named by key.* in the message catalogs.
+export const keyName = (code) => {
+  if (KEY_SYMBOLS[code]) {
+    return KEY_SYMBOLS[code];
+  }
+  if (hasMessage(`key.${code}`)) {
+    return t(`key.${code}`);
+  }
+  return code.replace(/^(Key|Digit)/, '');
+};
+
+// Standard gamepad layout with Xbox style names, button.0 to button.16 in the
+// message catalogs
+export const buttonName = (index) => (
+  hasMessage(`button.${index}`) ? t(`button.${index}`) : t('button.other', { number: index + 1 })
+);
+
+export const loadControls = () => {
+  const saved = loadJson(STORAGE_KEY) || {};
+  return {
+    keys: Object.assign({}, DEFAULT_CONTROLS.keys, saved.keys),
+    buttons: Object.assign({}, DEFAULT_CONTROLS.buttons, saved.buttons)
+  };
+};
+
+export const saveControls = (controls) => saveJson(STORAGE_KEY, controls);
+
+const findAction = (bindings, value) => {
+  const action = ACTIONS.find(id => bindings[id] === value);
+  return action || null;
+};
+
+// The action a key or button is bound to, or null
+export const actionForKey = (controls, code) => findAction(controls.keys, code);
+
+export const actionForButton = (controls, index) => findAction(controls.buttons, index);
+
+// Bind `value` to `action` in one of the binding sets. An action that already
+// had it swaps to the old binding, so no key ends up doing two things.
+const rebind = (controls, set, action, value) => {
+  const bindings = Object.assign({}, controls[set]);
+  const previousOwner = findAction(bindings, value);
+  if (previousOwner) {
+    bindings[previousOwner] = bindings[action];
+  }
+  bindings[action] = value;
+  return Object.assign({}, controls, { [set]: bindings });
+};
+
+export const bindKey = (controls, action, code) => rebind(controls, 'keys', action, code);
+
+export const bindButton = (controls, action, index) => rebind(controls, 'buttons', action, index);
@@ -0,0 +1,25 @@
+// Daily challenge - one seed per UTC day, handed out by the backend
+import axios from 'axios';
+import { apiUrl } from './api';
+
+// Names and descriptions are in the message catalogs (challenge.*, dailyBoard.*).
+// Versus is two players on one screen and is never ranked; a race is played
+// online against the players in a room (see race.js).
+export const CHALLENGES = ['classic', 'daily', 'versus', 'race'];
+
+export const DAILY_BOARDS = ['today', 'yesterday'];
+
+// Includes the attempts used when the player is logged in
+export const fetchDailyChallenge = async () => {
+  const response = await axios.get(apiUrl('/daily'));
+  return response.data;
+};
+
+// YYYY-MM-DD of the day before `date` (both UTC)
+export const previousDate = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+};
+
+export const attemptsLeft = (daily) => Math.max(daily.attempts - (daily.attemptsUsed || 0), 0);
@@ -0,0 +1,24 @@
+// Achievements - goals for a single run or for all of a player's games
+// Each one is reached when a stat hits its goal. Run stats come from the
+// engine state (see getRunStats), `games` counts the player's saved games.
+// The game checks them as it runs to show a toast; the backend awards them
+// from the verified replay, so they are kept with the player's account.
+const ACHIEVEMENTS = [
+  { id: 'pipes10', stat: 'pipes', goal: 10 },
+  { id: 'speed5', stat: 'speedLevel', goal: 5 },
+  { id: 'closeCall', stat: 'closeCalls', goal: 1 },
+  { id: 'games50', stat: 'games', goal: 50 }
+];
+
+// A pipe passed with less room than this (in px, after the mode's collision
+// margin) to the nearest edge of its gap is a close call
+const CLOSE_CALL_DISTANCE = 4;
+
+// Ids of the achievements `stats` reach. Stats that aren't given count as 0.
+function getReachedAchievements(stats) {
+  return ACHIEVEMENTS
+    .filter(achievement => (stats[achievement.stat] || 0) >= achievement.goal)
+    .map(achievement => achievement.id);
+}
+
+module.exports = { ACHIEVEMENTS, CLOSE_CALL_DISTANCE, getReachedAchievements };
@@ -0,0 +1,41 @@
+// Assist mode - a slower game and lighter gravity for players who need them
+// `speed` scales world time (like slow motion, but for the whole run) and
+// `gravity` the mode's gravity. Only these steps are allowed, so every client
+// and the server replay an assisted run the same way. Assisted runs are
+// verified like any other but are kept off the competitive leaderboards.
+const ASSIST_SPEEDS = [1, 0.85, 0.7, 0.55];
+const ASSIST_GRAVITIES = [1, 0.8, 0.6];
+
+function isValidAssist(assist) {
+  if (assist === null || assist === undefined) {
+    return true;
+  }
+  return typeof assist === 'object' &&
+    ASSIST_SPEEDS.indexOf(assist.speed) !== -1 &&
+    ASSIST_GRAVITIES.indexOf(assist.gravity) !== -1;
+}
+
+// null for the regular game, otherwise `{ speed, gravity }`
+function normalizeAssist(assist) {
+  if (!assist || (assist.speed === 1 && assist.gravity === 1)) {
+    return null;
+  }
+  return { speed: assist.speed, gravity: assist.gravity };
+}
+
+function getAssistSpeed(assist) {
+  return assist ? assist.speed : 1;
+}
+
+function getAssistGravity(assist) {
+  return assist ? assist.gravity : 1;
+}
+
+module.exports = {
+  ASSIST_SPEEDS,
+  ASSIST_GRAVITIES,
+  isValidAssist,
+  normalizeAssist,
+  getAssistSpeed,
+  getAssistGravity
+};
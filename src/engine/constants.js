@@ -0,0 +1,18 @@
+// Game constants common to every difficulty mode (see modes.js)
+// Shared by the React renderer and the backend, so keep this file CommonJS.
+module.exports = {
+  HEIGHT: 500,
+  WIDTH: 800,
+  PIPE_WIDTH: 60,
+  MIN_PIPE_HEIGHT: 30,
+  FPS: 60,
+  EARLY_GAME_SCORE: 3,
+  BIRD_X: 150,
+  BIRD_RADIUS: 12, // Smaller bird for easier passage
+  JUMP_VELOCITY: -8, // Gentler jump for better control
+  BOUNDS_MARGIN: 5,
+  // Bumped whenever the same seed and inputs would play out differently, so
+  // runs recorded under older rules still replay the way they were played.
+  // 1: plain pipes only, 2: obstacle variants (see obstacles.js)
+  RULES_VERSION: 2
+};
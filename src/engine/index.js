@@ -0,0 +1,532 @@
+// Headless game engine
+// All game rules live here: physics, pipe generation, scoring and collisions.
+// `step` is pure - it never mutates the state it is given - and all randomness
+// comes from the seeded generator, so the same seed and inputs always produce
+// the same run. No canvas, DOM or React in here; the backend requires it too.
+const constants = require('./constants');
+const { nextRandom, createSeed, hashSeed } = require('./rng');
+const { MODES, DEFAULT_MODE, isValidMode, getMode } = require('./modes');
+const {
+  POWERUPS,
+  POWERUP_RADIUS,
+  SHIELD_GRACE_FRAMES,
+  isActive,
+  tickEffects,
+  applyPowerup,
+  getTimeScale,
+  getBirdRadius,
+  getPipeValue
+} = require('./powerups');
+const { pickObstacle, createObstacle, moveObstacle, getObstacleBounds } = require('./obstacles');
+const { SKIN_UNLOCKS, getUnlockedSkins } = require('./unlocks');
+const { ACHIEVEMENTS, CLOSE_CALL_DISTANCE, getReachedAchievements } = require('./achievements');
+const {
+  ASSIST_SPEEDS,
+  ASSIST_GRAVITIES,
+  isValidAssist,
+  normalizeAssist,
+  getAssistSpeed,
+  getAssistGravity
+} = require('./assist');
+
+const {
+  HEIGHT,
+  WIDTH,
+  PIPE_WIDTH,
+  EARLY_GAME_SCORE,
+  BIRD_X,
+  BIRD_RADIUS,
+  JUMP_VELOCITY,
+  BOUNDS_MARGIN,
+  RULES_VERSION
+} = constants;
+
+// Speed increases every 10 points, up to level 5
+function getSpeedLevel(score) {
+  return Math.min(Math.floor(score / 10), 4) + 1;
+}
+
+function getPipeSpeed(score) {
+  return 1.5 + (getSpeedLevel(score) - 1) * 0.5;
+}
+
+// `options.powerups` turns on power-up items (see powerups.js).
+// `options.version` picks the rules to play by (defaults to the current ones).
+// `options.assist` slows the game down (see assist.js).
+function createState(options = {}) {
+  const seed = options.seed === undefined ? createSeed() : options.seed >>> 0;
+  return {
+    seed,
+    mode: getMode(options.mode).id,
+    powerups: Boolean(options.powerups),
+    version: options.version === undefined ? RULES_VERSION : options.version,
+    assist: normalizeAssist(options.assist),
+    rng: seed,
+    frame: 0,
+    // World time - runs slower than `frame` during slow motion
+    clock: 0,
+    score: 0,
+    // Pipes passed (the score can run ahead with double score) and pipes
+    // passed by a hair, for achievements
+    pipesPassed: 0,
+    closeCalls: 0,
+    over: false,
+    bird: {
+      x: BIRD_X,
+      y: HEIGHT / 2,
+      velocity: 0,
+      radius: BIRD_RADIUS
+    },
+    pipes: [],
+    items: [],
+    // Active power-ups: frames left, or true for the shield
+    effects: {},
+    // Frames the bird can't be hit after its shield broke
+    invulnerable: 0
+  };
+}
+
+// Rules version 1 only has plain pipes; later versions mix in the other
+// obstacle kinds depending on the score
+function spawnPipe(mode, rng, score, frame, version) {
+  // Make the first few pipes easier with larger gaps
+  const gap = score < EARLY_GAME_SCORE ? mode.pipeGap + mode.earlyGapBonus : mode.pipeGap;
+  let kind = 'static';
+  if (version >= 2) {
+    const pick = nextRandom(rng);
+    rng = pick.state;
+    kind = pickObstacle(score, pick.value);
+  }
+  const random = nextRandom(rng);
+
+  return {
+    rng: random.state,
+    pipe: createObstacle(kind, {
+      id: frame,
+      x: WIDTH,
+      gap,
+      position: random.value,
+      speed: getPipeSpeed(score)
+    })
+  };
+}
+
+// Maybe put a power-up somewhere in the gap of a freshly spawned pipe
+function spawnPowerup(mode, rng, pipe) {
+  const roll = nextRandom(rng);
+  if (roll.value >= mode.powerupChance) {
+    return { rng: roll.state, item: null };
+  }
+
+  const kind = nextRandom(roll.state);
+  const position = nextRandom(kind.state);
+  const gapTop = pipe.topHeight + POWERUP_RADIUS * 2;
+  const gapRoom = HEIGHT - pipe.bottomHeight - pipe.topHeight - POWERUP_RADIUS * 4;
+
+  return {
+    rng: position.state,
+    item: {
+      id: pipe.id,
+      type: mode.powerupTypes[Math.floor(kind.value * mode.powerupTypes.length)],
+      x: pipe.x + PIPE_WIDTH / 2,
+      y: gapTop + position.value * gapRoom,
+      radius: POWERUP_RADIUS,
+      speed: pipe.speed
+    }
+  };
+}
+
+function getBirdBounds(bird) {
+  return {
+    left: bird.x - bird.radius,
+    right: bird.x + bird.radius,
+    top: bird.y - bird.radius,
+    bottom: bird.y + bird.radius
+  };
+}
+
+// Rectangles of a pipe pair (or whatever obstacle kind it is)
+function getPipeBounds(pipe) {
+  return getObstacleBounds(pipe);
+}
+
+// More forgiving bounds collision - leave some margin
+function hitsBounds(state) {
+  const birdBounds = getBirdBounds(state.bird);
+  return birdBounds.top <= -BOUNDS_MARGIN || birdBounds.bottom >= HEIGHT + BOUNDS_MARGIN;
+}
+
+// More forgiving pipe collision - shrink both boxes by the mode's margin on each side
+function hitsPipe(state) {
+  const birdBounds = getBirdBounds(state.bird);
+  const margin = getMode(state.mode).collisionMargin;
+  return state.pipes.some(pipe => getPipeBounds(pipe).some(pipeBounds => (
+    birdBounds.right - margin > pipeBounds.left + margin &&
+    birdBounds.left + margin < pipeBounds.right - margin &&
+    birdBounds.bottom - margin > pipeBounds.top + margin &&
+    birdBounds.top + margin < pipeBounds.bottom - margin
+  )));
+}
+
+function checkCollisions(state) {
+  return hitsBounds(state) || hitsPipe(state);
+}
+
+// Vertical room between the bird and the closest part of a pipe it is
+// alongside, measured like hitsPipe (negative when they overlap), or null
+// when the bird isn't alongside the pipe
+function getClearance(bird, pipe, margin) {
+  const birdBounds = getBirdBounds(bird);
+  let clearance = null;
+  getPipeBounds(pipe).forEach(pipeBounds => {
+    if (birdBounds.right - margin <= pipeBounds.left + margin || birdBounds.left + margin >= pipeBounds.right - margin) {
+      return;
+    }
+    const room = Math.max(
+      pipeBounds.top + margin - (birdBounds.bottom - margin),
+      birdBounds.top + margin - (pipeBounds.bottom - margin)
+    );
+    if (clearance === null || room < clearance) {
+      clearance = room;
+    }
+  });
+  return clearance;
+}
+
+// Stats of a run so far, see achievements.js
+function getRunStats(state) {
+  return {
+    pipes: state.pipesPassed,
+    speedLevel: getSpeedLevel(state.score),
+    closeCalls: state.closeCalls
+  };
+}
+
+function touchesItem(bird, item) {
+  const dx = bird.x - item.x;
+  const dy = bird.y - item.y;
+  const reach = bird.radius + item.radius;
+  return dx * dx + dy * dy < reach * reach;
+}
+
+// Advance the game by one frame. `input.flap` makes the bird jump this frame.
+function step(state, input = {}) {
+  if (state.over) {
+    return state;
+  }
+
+  const mode = getMode(state.mode);
+  const frame = state.frame + 1;
+  let effects = tickEffects(state.effects);
+  const timeScale = getTimeScale(effects) * getAssistSpeed(state.assist);
+  const clock = state.clock + timeScale;
+  let rng = state.rng;
+  let score = state.score;
+  let pipesPassed = state.pipesPassed;
+  let closeCalls = state.closeCalls;
+  let pipes = state.pipes;
+  let items = state.items;
+
+  // A pipe every pipeInterval frames of world time
+  if (Math.floor(clock / mode.pipeInterval) > Math.floor(state.clock / mode.pipeInterval)) {
+    const spawned = spawnPipe(mode, rng, score, frame, state.version);
+    rng = spawned.rng;
+    pipes = pipes.concat([spawned.pipe]);
+
+    if (state.powerups) {
+      const powerup = spawnPowerup(mode, rng, spawned.pipe);
+      rng = powerup.rng;
+      if (powerup.item) {
+        items = items.concat([powerup.item]);
+      }
+    }
+  }
+
+  // Move pipes and count each pair once the bird has passed it
+  const pipeValue = getPipeValue(effects);
+  pipes = pipes.map(pipe => {
+    const moved = moveObstacle(pipe, timeScale);
+    if (!moved.scored && moved.x + moved.width < state.bird.x) {
+      moved.scored = true;
+      score += pipeValue;
+      pipesPassed += 1;
+      // A hit the shield took doesn't count
+      if (moved.clearance !== null && moved.clearance >= 0 && moved.clearance < CLOSE_CALL_DISTANCE) {
+        closeCalls += 1;
+      }
+    }
+    return moved;
+  }).filter(pipe => pipe.x + pipe.width >= 0);
+
+  items = items
+    .map(item => Object.assign({}, item, { x: item.x - item.speed * timeScale }))
+    .filter(item => item.x + item.radius >= 0);
+
+  const gravity = mode.gravity * getAssistGravity(state.assist);
+  const velocity = (input.flap ? JUMP_VELOCITY : state.bird.velocity) + gravity * timeScale;
+  const bird = Object.assign({}, state.bird, {
+    velocity,
+    y: state.bird.y + velocity * timeScale,
+    radius: getBirdRadius(BIRD_RADIUS, effects)
+  });
+
+  // Fly through an item to pick it up
+  const collected = items.filter(item => touchesItem(bird, item));
+  if (collected.length > 0) {
+    collected.forEach(item => {
+      effects = applyPowerup(effects, item.type);
+    });
+    items = items.filter(item => collected.indexOf(item) === -1);
+  }
+
+  // Remember how close the bird came to each pipe it hasn't passed yet
+  const margin = mode.collisionMargin;
+  pipes = pipes.map(pipe => {
+    const clearance = pipe.scored ? null : getClearance(bird, pipe, margin);
+    if (clearance === null || (pipe.clearance !== null && pipe.clearance <= clearance)) {
+      return pipe;
+    }
+    return Object.assign({}, pipe, { clearance });
+  });
+
+  const next = {
+    seed: state.seed,
+    mode: state.mode,
+    powerups: state.powerups,
+    version: state.version,
+    assist: state.assist,
+    rng,
+    frame,
+    clock,
+    score,
+    pipesPassed,
+    closeCalls,
+    over: false,
+    bird,
+    pipes,
+    items,
+    effects,
+    invulnerable: Math.max(state.invulnerable - 1, 0)
+  };
+
+  if (hitsBounds(next)) {
+    next.over = true;
+  } else if (next.invulnerable === 0 && hitsPipe(next)) {
+    // The shield takes the hit instead of the bird
+    if (isActive(effects, 'shield')) {
+      next.effects = Object.assign({}, effects);
+      delete next.effects.shield;
+      next.invulnerable = SHIELD_GRACE_FRAMES;
+    } else {
+      next.over = true;
+    }
+  }
+  return next;
+}
+
+// Local versus: several birds in one world, so they all fly through the same
+// pipes. Each player flaps their own bird and scores the pipes it passes; a
+// bird that crashes is out, and the game ends once at most one is left -
+// the last bird flying wins. There are no power-ups in versus.
+function createVersusState(options = {}) {
+  const count = options.players === undefined ? 2 : options.players;
+  const state = createState({ seed: options.seed, mode: options.mode, assist: options.assist });
+  const players = [];
+  // Spread the birds out so they don't start on top of each other
+  for (let i = 0; i < count; i++) {
+    players.push({
+      bird: Object.assign({}, state.bird, { y: HEIGHT / 2 + (i - (count - 1) / 2) * 60 }),
+      score: 0,
+      out: false
+    });
+  }
+  delete state.bird;
+  return Object.assign(state, { players, winner: null });
+}
+
+// Advance a versus game by one frame. `input.flaps[i]` makes player i's bird
+// jump this frame. `winner` is the index of the last bird left, or null if
+// the last ones crashed together.
+function stepVersus(state, input = {}) {
+  if (state.over) {
+    return state;
+  }
+
+  const flaps = input.flaps || [];
+  const mode = getMode(state.mode);
+  const frame = state.frame + 1;
+  const timeScale = getAssistSpeed(state.assist);
+  const clock = state.clock + timeScale;
+  let rng = state.rng;
+  let pipes = state.pipes;
+
+  // Pipes get harder with the pipes passed by the birds still flying
+  if (Math.floor(clock / mode.pipeInterval) > Math.floor(state.clock / mode.pipeInterval)) {
+    const spawned = spawnPipe(mode, rng, state.score, frame, state.version);
+    rng = spawned.rng;
+    pipes = pipes.concat([spawned.pipe]);
+  }
+
+  // All birds fly at the same x, so they pass each pipe together
+  let passed = 0;
+  pipes = pipes.map(pipe => {
+    const moved = moveObstacle(pipe, timeScale);
+    if (!moved.scored && moved.x + moved.width < BIRD_X) {
+      moved.scored = true;
+      passed += 1;
+    }
+    return moved;
+  }).filter(pipe => pipe.x + pipe.width >= 0);
+
+  const gravity = mode.gravity * getAssistGravity(state.assist);
+  const players = state.players.map((player, index) => {
+    // Birds that are out stay where they crashed
+    if (player.out) {
+      return player;
+    }
+    const velocity = (flaps[index] ? JUMP_VELOCITY : player.bird.velocity) + gravity * timeScale;
+    const bird = Object.assign({}, player.bird, {
+      velocity,
+      y: player.bird.y + velocity * timeScale
+    });
+    const world = { mode: state.mode, bird, pipes };
+    return {
+      bird,
+      score: player.score + passed,
+      out: hitsBounds(world) || hitsPipe(world)
+    };
+  });
+
+  const flying = [];
+  players.forEach((player, index) => {
+    if (!player.out) {
+      flying.push(index);
+    }
+  });
+  const over = flying.length <= 1;
+
+  return {
+    seed: state.seed,
+    mode: state.mode,
+    powerups: false,
+    version: state.version,
+    assist: state.assist,
+    rng,
+    frame,
+    clock,
+    score: state.score + passed,
+    pipesPassed: state.pipesPassed + passed,
+    closeCalls: 0,
+    over,
+    players,
+    winner: over && flying.length === 1 ? flying[0] : null,
+    pipes,
+    items: [],
+    effects: {},
+    invulnerable: 0
+  };
+}
+
+// Blend two consecutive states for drawing between simulation steps.
+// alpha 0 is the previous state, alpha 1 the current one.
+function interpolate(previous, current, alpha) {
+  if (!previous || previous === current) {
+    return current;
+  }
+
+  const lerp = (from, to) => from + (to - from) * alpha;
+  const moveBird = (before, bird) => Object.assign({}, bird, { y: lerp(before.y, bird.y) });
+  const pipes = current.pipes.map(pipe => {
+    const before = previous.pipes.find(p => p.id === pipe.id);
+    return before ? Object.assign({}, pipe, {
+      x: lerp(before.x, pipe.x),
+      topHeight: lerp(before.topHeight, pipe.topHeight),
+      bottomHeight: lerp(before.bottomHeight, pipe.bottomHeight)
+    }) : pipe;
+  });
+  const items = current.items.map(item => {
+    const before = previous.items.find(i => i.id === item.id);
+    return before ? Object.assign({}, item, { x: lerp(before.x, item.x) }) : item;
+  });
+
+  // Versus games have a bird per player instead of one
+  if (current.players) {
+    const players = current.players.map((player, index) => Object.assign({}, player, {
+      bird: moveBird(previous.players[index].bird, player.bird)
+    }));
+    return Object.assign({}, current, { players, pipes, items });
+  }
+  return Object.assign({}, current, { bird: moveBird(previous.bird, current.bird), pipes, items });
+}
+
+// A recorded run is its seed, mode, rules version, whether power-ups were on,
+// its assist settings if any and the frames on which the player flapped
+// (strictly increasing). A cursor walks through it one frame at a time. Runs
+// recorded before rules were versioned have no version and were played by
+// version 1.
+function createReplay(run) {
+  return {
+    inputs: run.inputs,
+    state: createState({
+      seed: run.seed,
+      mode: run.mode,
+      powerups: run.powerups,
+      version: run.version === undefined ? 1 : run.version,
+      assist: run.assist
+    }),
+    nextInput: 0
+  };
+}
+
+function stepReplay(cursor) {
+  const flap = cursor.inputs[cursor.nextInput] === cursor.state.frame + 1;
+  return {
+    inputs: cursor.inputs,
+    state: step(cursor.state, { flap }),
+    nextInput: flap ? cursor.nextInput + 1 : cursor.nextInput
+  };
+}
+
+// Re-run a recorded game to the end. Stops at game over or after maxFrames.
+function replay(run, maxFrames = Infinity) {
+  let cursor = createReplay(run);
+
+  while (!cursor.state.over && cursor.state.frame < maxFrames) {
+    cursor = stepReplay(cursor);
+  }
+
+  return cursor.state;
+}
+
+module.exports = {
+  constants,
+  MODES,
+  DEFAULT_MODE,
+  isValidMode,
+  getMode,
+  POWERUPS,
+  SKIN_UNLOCKS,
+  ACHIEVEMENTS,
+  ASSIST_SPEEDS,
+  ASSIST_GRAVITIES,
+  isValidAssist,
+  normalizeAssist,
+  getUnlockedSkins,
+  getReachedAchievements,
+  getRunStats,
+  createSeed,
+  hashSeed,
+  createState,
+  step,
+  createVersusState,
+  stepVersus,
+  replay,
+  createReplay,
+  stepReplay,
+  interpolate,
+  checkCollisions,
+  getBirdBounds,
+  getPipeBounds,
+  getSpeedLevel,
+  getPipeSpeed
+};
@@ -0,0 +1,265 @@
+const {
+  constants,
+  getMode,
+  createState,
+  step,
+  createVersusState,
+  stepVersus,
+  replay,
+  checkCollisions
+} = require('./index');
+const { createObstacle } = require('./obstacles');
+
+const { HEIGHT, BIRD_X, JUMP_VELOCITY, PIPE_WIDTH } = constants;
+
+// Flap whenever the bird sinks below the middle of the next gap
+function wantsToFlap(state) {
+  const pipe = state.pipes.find(p => !p.scored);
+  const target = pipe ? pipe.topHeight + (HEIGHT - pipe.bottomHeight - pipe.topHeight) / 2 : HEIGHT / 2;
+  return state.bird.y > target + 10 && state.bird.velocity > 0;
+}
+
+// Play a game live, recording the frames flapped on like the Game does
+function playLive(options, maxFrames) {
+  let state = createState(options);
+  const inputs = [];
+  while (!state.over && state.frame < maxFrames) {
+    const flap = wantsToFlap(state);
+    if (flap) {
+      inputs.push(state.frame + 1);
+    }
+    state = step(state, { flap });
+  }
+  return { state, inputs };
+}
+
+function stepMany(state, frames, flap = false) {
+  for (let i = 0; i < frames; i++) {
+    state = step(state, { flap });
+  }
+  return state;
+}
+
+// A plain pipe pair at `x` with its gap centred on `gapCentre`
+function pipeAt(x, gapCentre, gap = 150) {
+  const pipe = createObstacle('static', { id: x, x, gap, position: 0, speed: 0 });
+  return Object.assign(pipe, { topHeight: gapCentre - gap / 2, bottomHeight: HEIGHT - gapCentre - gap / 2 });
+}
+
+describe('physics', () => {
+  it('pulls the bird down by the mode gravity every frame', () => {
+    const state = createState({ seed: 1, mode: 'normal' });
+    const next = step(state);
+    const { gravity } = getMode('normal');
+
+    expect(next.bird.velocity).toBe(gravity);
+    expect(next.bird.y).toBe(state.bird.y + gravity);
+    expect(step(next).bird.velocity).toBe(gravity * 2);
+  });
+
+  it('makes the bird jump on a flap', () => {
+    const state = stepMany(createState({ seed: 1, mode: 'easy' }), 10);
+    const next = step(state, { flap: true });
+    const { gravity } = getMode('easy');
+
+    expect(next.bird.velocity).toBe(JUMP_VELOCITY + gravity);
+    expect(next.bird.y).toBeLessThan(state.bird.y);
+  });
+
+  it('never changes the state it is given', () => {
+    const state = createState({ seed: 7 });
+    const copy = JSON.parse(JSON.stringify(state));
+    step(state, { flap: true });
+
+    expect(state).toEqual(copy);
+  });
+});
+
+describe('scoring', () => {
+  it('scores a pipe once the bird is past it', () => {
+    const state = Object.assign(createState({ seed: 1 }), {
+      pipes: [Object.assign(pipeAt(BIRD_X - PIPE_WIDTH + 1, HEIGHT / 2), { speed: 2 })]
+    });
+    const next = step(state);
+
+    expect(next.score).toBe(1);
+    expect(next.pipesPassed).toBe(1);
+    expect(next.pipes[0].scored).toBe(true);
+    // Only once
+    expect(step(next).score).toBe(1);
+  });
+
+  it('scores pipes in a live game', () => {
+    const { state } = playLive({ seed: 42, mode: 'easy' }, 60 * 60);
+
+    expect(state.score).toBeGreaterThan(0);
+  });
+});
+
+describe('collisions', () => {
+  it('ends the game when the bird falls to the ground', () => {
+    let state = createState({ seed: 1 });
+    while (!state.over) {
+      state = step(state);
+    }
+
+    expect(state.bird.y + state.bird.radius).toBeGreaterThanOrEqual(HEIGHT);
+    expect(state.pipes).toHaveLength(0);
+  });
+
+  it('ends the game when the bird flies off the top', () => {
+    let state = createState({ seed: 1 });
+    while (!state.over) {
+      state = step(state, { flap: true });
+    }
+
+    expect(state.bird.y - state.bird.radius).toBeLessThanOrEqual(0);
+  });
+
+  it('ends the game when the bird hits a pipe', () => {
+    const state = Object.assign(createState({ seed: 1 }), {
+      pipes: [pipeAt(BIRD_X - PIPE_WIDTH / 2, 100)]
+    });
+
+    expect(checkCollisions(state)).toBe(true);
+    expect(step(state).over).toBe(true);
+  });
+
+  it('lets the bird fly through the gap', () => {
+    const state = Object.assign(createState({ seed: 1 }), {
+      pipes: [pipeAt(BIRD_X - PIPE_WIDTH / 2, HEIGHT / 2)]
+    });
+
+    expect(checkCollisions(state)).toBe(false);
+    expect(step(state).over).toBe(false);
+  });
+
+  it('does not step a finished game', () => {
+    const state = Object.assign(createState({ seed: 1 }), { over: true });
+
+    expect(step(state, { flap: true })).toBe(state);
+  });
+});
+
+describe('seeds', () => {
+  it('plays the same seed and inputs out identically', () => {
+    const first = playLive({ seed: 1234, mode: 'normal' }, 60 * 30);
+    const second = playLive({ seed: 1234, mode: 'normal' }, 60 * 30);
+
+    expect(second.state).toEqual(first.state);
+    expect(second.inputs).toEqual(first.inputs);
+  });
+
+  it('spawns different pipes for different seeds', () => {
+    const firstPipe = (seed) => {
+      let state = createState({ seed, mode: 'normal' });
+      while (state.pipes.length === 0) {
+        state = step(state, { flap: wantsToFlap(state) });
+      }
+      return state.pipes[0];
+    };
+
+    expect(firstPipe(1).topHeight).not.toBe(firstPipe(2).topHeight);
+  });
+});
+
+describe('replay', () => {
+  it('reproduces a live game from its seed and inputs', () => {
+    ['easy', 'normal', 'hard'].forEach(mode => {
+      const live = playLive({ seed: 99, mode }, Infinity);
+      const replayed = replay({ seed: 99, mode, version: live.state.version, inputs: live.inputs });
+
+      expect(replayed).toEqual(live.state);
+    });
+  });
+
+  it('reproduces a game with power-ups', () => {
+    const live = playLive({ seed: 5, mode: 'easy', powerups: true }, Infinity);
+    const replayed = replay({ seed: 5, mode: 'easy', powerups: true, version: live.state.version, inputs: live.inputs });
+
+    expect(replayed).toEqual(live.state);
+  });
+
+  it('stops after maxFrames', () => {
+    const live = playLive({ seed: 3, mode: 'easy' }, Infinity);
+    const replayed = replay({ seed: 3, mode: 'easy', version: live.state.version, inputs: live.inputs }, 30);
+
+    expect(replayed.frame).toBe(30);
+    expect(replayed.over).toBe(false);
+  });
+});
+
+describe('versus', () => {
+  // Keep a bird around the middle of the screen, clear of pipes for a while
+  const hover = (player) => player.bird.velocity > 0 && player.bird.y > HEIGHT / 2;
+
+  it('spreads the birds out around the middle', () => {
+    const ys = (players) => createVersusState({ seed: 1, players }).players.map(player => player.bird.y);
+
+    expect(ys(2)).toEqual([HEIGHT / 2 - 30, HEIGHT / 2 + 30]);
+    expect(ys(3)).toEqual([HEIGHT / 2 - 60, HEIGHT / 2, HEIGHT / 2 + 60]);
+    expect(createVersusState({ seed: 1 }).players.every(player => player.score === 0 && !player.out)).toBe(true);
+  });
+
+  it('flies every bird through the same pipes', () => {
+    let state = createVersusState({ seed: 8, mode: 'easy', players: 2 });
+    let solo = createState({ seed: 8, mode: 'easy' });
+    while (state.pipes.length < 2) {
+      state = stepVersus(state, { flaps: state.players.map(hover) });
+      solo = step(solo, { flap: hover(solo) });
+    }
+
+    expect(state.over).toBe(false);
+    expect(state.pipes).toEqual(solo.pipes);
+  });
+
+  it('scores a passed pipe for each bird still flying', () => {
+    const state = Object.assign(createVersusState({ seed: 1, players: 3 }), {
+      pipes: [Object.assign(pipeAt(BIRD_X - PIPE_WIDTH + 1, HEIGHT / 2), { speed: 2 })]
+    });
+    state.players[2] = Object.assign({}, state.players[2], { out: true });
+    const next = stepVersus(state);
+
+    expect(next.score).toBe(1);
+    expect(next.players.map(player => player.score)).toEqual([1, 1, 0]);
+  });
+
+  it('leaves a crashed bird where it crashed while the others fly on', () => {
+    let state = createVersusState({ seed: 1, players: 3 });
+    // Player 1 flaps until it flies off the top
+    while (!state.players[1].out) {
+      state = stepVersus(state, { flaps: [hover(state.players[0]), true, hover(state.players[2])] });
+    }
+    const crashed = state.players[1];
+    for (let i = 0; i < 10; i++) {
+      state = stepVersus(state, { flaps: [hover(state.players[0]), true, hover(state.players[2])] });
+    }
+
+    expect(state.over).toBe(false);
+    expect(state.winner).toBe(null);
+    expect(state.players[1]).toBe(crashed);
+  });
+
+  it('ends with the last bird flying as the winner', () => {
+    let state = createVersusState({ seed: 1, players: 2 });
+    while (!state.over) {
+      state = stepVersus(state, { flaps: [true, hover(state.players[1])] });
+    }
+
+    expect(state.players[0].out).toBe(true);
+    expect(state.players[1].out).toBe(false);
+    expect(state.winner).toBe(1);
+    expect(stepVersus(state, { flaps: [false, true] })).toBe(state);
+  });
+
+  it('has no winner when the last birds crash together', () => {
+    let state = createVersusState({ seed: 1, players: 2 });
+    state.players = [state.players[0], Object.assign({}, state.players[1], { bird: state.players[0].bird })];
+    while (!state.over) {
+      state = stepVersus(state);
+    }
+
+    expect(state.players.every(player => player.out)).toBe(true);
+    expect(state.winner).toBe(null);
+  });
+});
@@ -0,0 +1,54 @@
+// Difficulty presets
+// Every rule that differs between modes lives here; scores are only ever
+// ranked against other scores from the same mode.
+const MODES = {
+  easy: {
+    id: 'easy',
+    name: 'Easy',
+    description: 'Larger gaps, slower pipes, forgiving collisions!',
+    pipeGap: 200, // Much larger gap for easier gameplay
+    earlyGapBonus: 50, // Extra room for the first few pipes
+    gravity: 0.4, // Reduced gravity for easier control
+    collisionMargin: 3, // Shrink hitboxes by 3px on each side
+    pipeInterval: 240,
+    powerupChance: 0.35, // Share of pipes with a power-up in the gap
+    powerupTypes: ['shield', 'slowmo', 'double', 'shrink']
+  },
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    description: 'The classic feel - tighter gaps and exact hitboxes.',
+    pipeGap: 160,
+    earlyGapBonus: 0,
+    gravity: 0.5,
+    collisionMargin: 1,
+    pipeInterval: 210,
+    powerupChance: 0.25,
+    powerupTypes: ['shield', 'slowmo', 'double', 'shrink']
+  },
+  hard: {
+    id: 'hard',
+    name: 'Hard',
+    description: 'Narrow gaps, heavy bird, pipes close together.',
+    pipeGap: 135,
+    earlyGapBonus: 0,
+    gravity: 0.55,
+    collisionMargin: 0,
+    pipeInterval: 180,
+    powerupChance: 0.2,
+    powerupTypes: ['slowmo', 'double', 'shrink'] // No second chances on Hard
+  }
+};
+
+// Scores saved before modes existed were all played on Easy
+const DEFAULT_MODE = 'easy';
+
+function isValidMode(mode) {
+  return Object.prototype.hasOwnProperty.call(MODES, mode);
+}
+
+function getMode(mode) {
+  return isValidMode(mode) ? MODES[mode] : MODES[DEFAULT_MODE];
+}
+
+module.exports = { MODES, DEFAULT_MODE, isValidMode, getMode };
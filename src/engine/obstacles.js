@@ -0,0 +1,179 @@
+// Obstacle variants - mixed in with the plain pipes as the score climbs
+// Every obstacle is one object that scrolls left like a pipe pair and scores
+// once the bird is past its right edge; the kind decides its shape.
+// Gaps move along triangle waves rather than Math.sin, whose last digits may
+// differ between JavaScript engines - replays have to play out the same in
+// every browser and on the server.
+const { HEIGHT, PIPE_WIDTH, MIN_PIPE_HEIGHT, FPS } = require('./constants');
+
+// Gap of a moving pipe drifts this far up and down from its centre
+const MOVING_AMPLITUDE = 60;
+const MOVING_PERIOD = FPS * 3;
+// A closing gap narrows by up to this share of its height and opens again
+const CLOSING_SHARE = 0.35;
+const CLOSING_PERIOD = FPS * 4;
+// Staggered double pipes: room between the two and how far their gaps are apart
+const DOUBLE_SPACING = 100;
+const DOUBLE_STAGGER = 70;
+const CEILING_WIDTH = PIPE_WIDTH * 2;
+
+// Weights of each kind from a score on; the first tier reached applies
+const OBSTACLE_MIX = [
+  {
+    minScore: 30,
+    weights: [
+      { kind: 'static', weight: 3 },
+      { kind: 'moving', weight: 3 },
+      { kind: 'closing', weight: 2 },
+      { kind: 'double', weight: 2 },
+      { kind: 'ceiling', weight: 1 }
+    ]
+  },
+  {
+    minScore: 20,
+    weights: [
+      { kind: 'static', weight: 4 },
+      { kind: 'moving', weight: 3 },
+      { kind: 'closing', weight: 2 },
+      { kind: 'ceiling', weight: 1 }
+    ]
+  },
+  {
+    minScore: 10,
+    weights: [
+      { kind: 'static', weight: 6 },
+      { kind: 'moving', weight: 3 },
+      { kind: 'ceiling', weight: 1 }
+    ]
+  },
+  {
+    minScore: 0,
+    weights: [{ kind: 'static', weight: 1 }]
+  }
+];
+
+// -1..1 and back over `period`, starting at 0 and rising
+function triangleWave(time, period) {
+  const phase = (time / period) % 1;
+  if (phase < 0.25) {
+    return phase * 4;
+  }
+  if (phase < 0.75) {
+    return 2 - phase * 4;
+  }
+  return phase * 4 - 4;
+}
+
+// `value` is a random number in [0, 1)
+function pickObstacle(score, value) {
+  const tier = OBSTACLE_MIX.find(entry => score >= entry.minScore);
+  const total = tier.weights.reduce((sum, entry) => sum + entry.weight, 0);
+  let target = value * total;
+  for (let i = 0; i < tier.weights.length; i++) {
+    target -= tier.weights[i].weight;
+    if (target < 0) {
+      return tier.weights[i].kind;
+    }
+  }
+  return tier.weights[tier.weights.length - 1].kind;
+}
+
+// `position` (0..1) places the gap between the lowest and highest spot the
+// kind allows
+function createObstacle(kind, { id, x, gap, position, speed }) {
+  const maxHeight = HEIGHT - gap - MIN_PIPE_HEIGHT;
+  const obstacle = {
+    id,
+    kind,
+    x,
+    width: PIPE_WIDTH,
+    topHeight: MIN_PIPE_HEIGHT + position * (maxHeight - MIN_PIPE_HEIGHT),
+    bottomHeight: 0,
+    gap,
+    age: 0,
+    speed,
+    scored: false,
+    // Least room the bird has had to the obstacle while alongside it, or null
+    // before it got there (see step() in index.js)
+    clearance: null
+  };
+
+  if (kind === 'moving') {
+    // Leave room to drift without running into the screen edges
+    const low = MIN_PIPE_HEIGHT + MOVING_AMPLITUDE;
+    const high = Math.max(low, maxHeight - MOVING_AMPLITUDE);
+    obstacle.topHeight = low + position * (high - low);
+  } else if (kind === 'double') {
+    // The second gap sits towards the middle of the screen from the first
+    const middle = (MIN_PIPE_HEIGHT + maxHeight) / 2;
+    const offset = obstacle.topHeight < middle ? DOUBLE_STAGGER : -DOUBLE_STAGGER;
+    obstacle.width = PIPE_WIDTH * 2 + DOUBLE_SPACING;
+    obstacle.secondTopHeight = Math.min(Math.max(obstacle.topHeight + offset, MIN_PIPE_HEIGHT), maxHeight);
+    obstacle.secondBottomHeight = HEIGHT - obstacle.secondTopHeight - gap;
+  } else if (kind === 'ceiling') {
+    // Hangs from the top down to somewhere below the middle, open underneath
+    obstacle.width = CEILING_WIDTH;
+    obstacle.topHeight = HEIGHT / 2 + position * Math.max(HEIGHT / 2 - gap - MIN_PIPE_HEIGHT, 0);
+    obstacle.gap = HEIGHT - obstacle.topHeight;
+  }
+
+  obstacle.baseTopHeight = obstacle.topHeight;
+  return Object.assign(obstacle, getGap(obstacle));
+}
+
+// Current top and bottom heights of a kind whose gap changes over time
+function getGap(obstacle) {
+  if (obstacle.kind === 'moving') {
+    const topHeight = obstacle.baseTopHeight + MOVING_AMPLITUDE * triangleWave(obstacle.age, MOVING_PERIOD);
+    return { topHeight, bottomHeight: HEIGHT - topHeight - obstacle.gap };
+  }
+  if (obstacle.kind === 'closing') {
+    const narrowing = Math.abs(triangleWave(obstacle.age, CLOSING_PERIOD)) * obstacle.gap * CLOSING_SHARE;
+    return {
+      topHeight: obstacle.baseTopHeight + narrowing / 2,
+      bottomHeight: HEIGHT - obstacle.baseTopHeight - obstacle.gap + narrowing / 2
+    };
+  }
+  if (obstacle.kind === 'ceiling') {
+    return { topHeight: obstacle.topHeight, bottomHeight: 0 };
+  }
+  return { topHeight: obstacle.topHeight, bottomHeight: HEIGHT - obstacle.topHeight - obstacle.gap };
+}
+
+// Scroll an obstacle by one frame (`timeScale` of one during slow motion)
+function moveObstacle(obstacle, timeScale) {
+  const moved = Object.assign({}, obstacle, {
+    x: obstacle.x - obstacle.speed * timeScale,
+    age: obstacle.age + timeScale
+  });
+  return Object.assign(moved, getGap(moved));
+}
+
+// Rectangles the bird must not touch
+function getObstacleBounds(obstacle) {
+  const { x, topHeight, bottomHeight } = obstacle;
+
+  if (obstacle.kind === 'ceiling') {
+    return [{ left: x, right: x + obstacle.width, top: 0, bottom: topHeight }];
+  }
+
+  const bounds = [
+    { left: x, right: x + PIPE_WIDTH, top: 0, bottom: topHeight },
+    { left: x, right: x + PIPE_WIDTH, top: HEIGHT - bottomHeight, bottom: HEIGHT }
+  ];
+  if (obstacle.kind === 'double') {
+    const secondX = x + PIPE_WIDTH + DOUBLE_SPACING;
+    bounds.push(
+      { left: secondX, right: secondX + PIPE_WIDTH, top: 0, bottom: obstacle.secondTopHeight },
+      { left: secondX, right: secondX + PIPE_WIDTH, top: HEIGHT - obstacle.secondBottomHeight, bottom: HEIGHT }
+    );
+  }
+  return bounds;
+}
+
+module.exports = {
+  pickObstacle,
+  createObstacle,
+  moveObstacle,
+  getObstacleBounds
+};
@@ -0,0 +1,86 @@
+const { constants, createState, step, replay } = require('./index');
+const { pickObstacle } = require('./obstacles');
+
+const { HEIGHT, FPS } = constants;
+
+function wantsToFlap(state) {
+  const pipe = state.pipes.find(p => !p.scored);
+  const target = pipe ? pipe.topHeight + (HEIGHT - pipe.bottomHeight - pipe.topHeight) / 2 : HEIGHT / 2;
+  return state.bird.y > target + 10 && state.bird.velocity > 0;
+}
+
+// Fly with the autopilot, noting every obstacle kind that spawned
+function fly(options, maxFrames) {
+  let state = createState(options);
+  const inputs = [];
+  const kinds = new Set();
+  while (!state.over && state.frame < maxFrames) {
+    const flap = wantsToFlap(state);
+    if (flap) {
+      inputs.push(state.frame + 1);
+    }
+    state = step(state, { flap });
+    state.pipes.forEach(pipe => kinds.add(pipe.kind));
+  }
+  return { state, inputs, kinds };
+}
+
+// The same flights on the engine from before the obstacle variants existed
+// (rules version 1). Recorded runs depend on these never changing.
+const VERSION_1_RUNS = [
+  { seed: 1, mode: 'easy', powerups: false, score: 44, frame: 10800, rng: 816082962, flaps: 282 },
+  { seed: 2024, mode: 'easy', powerups: false, score: 44, frame: 10800, rng: 816084985, flaps: 281 },
+  { seed: 77, mode: 'normal', powerups: false, score: 3, frame: 1108, rng: 567894550, flaps: 37 },
+  { seed: 5, mode: 'easy', powerups: true, score: 49, frame: 10800, rng: 1248518745, flaps: 276 },
+  { seed: 9, mode: 'hard', powerups: false, score: 2, frame: 836, rng: 3031295965, flaps: 31 }
+];
+
+describe('pickObstacle', () => {
+  it('only picks plain pipes below a score of 10', () => {
+    [0, 0.3, 0.6, 0.99].forEach(value => {
+      expect(pickObstacle(0, value)).toBe('static');
+      expect(pickObstacle(9, value)).toBe('static');
+    });
+  });
+
+  it('mixes in the other kinds as the score climbs', () => {
+    const kinds = (score) => new Set([0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.99].map(value => pickObstacle(score, value)));
+
+    expect(Array.from(kinds(10)).sort()).toEqual(['ceiling', 'moving', 'static']);
+    expect(kinds(20).has('closing')).toBe(true);
+    expect(kinds(30).has('double')).toBe(true);
+  });
+});
+
+describe('rules versions', () => {
+  it('spawns obstacle variants under the current rules', () => {
+    const { state, kinds } = fly({ seed: 1, mode: 'easy' }, FPS * 60 * 3);
+
+    expect(state.score).toBeGreaterThanOrEqual(10);
+    expect(kinds.size).toBeGreaterThan(1);
+  });
+
+  it('only spawns plain pipes under rules version 1', () => {
+    const { state, kinds } = fly({ seed: 1, mode: 'easy', version: 1 }, FPS * 60 * 3);
+
+    expect(state.score).toBeGreaterThanOrEqual(30);
+    expect(Array.from(kinds)).toEqual(['static']);
+  });
+
+  it('plays version 1 runs exactly as before the obstacle variants', () => {
+    VERSION_1_RUNS.forEach(run => {
+      const { state, inputs } = fly({ seed: run.seed, mode: run.mode, powerups: run.powerups, version: 1 }, FPS * 60 * 3);
+
+      expect({ score: state.score, frame: state.frame, rng: state.rng, flaps: inputs.length })
+        .toEqual({ score: run.score, frame: run.frame, rng: run.rng, flaps: run.flaps });
+    });
+  });
+
+  it('replays runs recorded without a version by the version 1 rules', () => {
+    const { state, inputs } = fly({ seed: 77, mode: 'normal', version: 1 }, Infinity);
+    const replayed = replay({ seed: 77, mode: 'normal', inputs });
+
+    expect(replayed.version).toBe(1);
+    expect(replayed).toEqual(state);
+  });
+});
@@ -0,0 +1,89 @@
+// Power-ups - items that float in pipe gaps and change the rules for a while
+// Only spawned in runs started with power-ups on; those runs are ranked
+// separately. Durations are in frames.
+const { FPS } = require('./constants');
+
+const POWERUPS = {
+  shield: {
+    id: 'shield',
+    name: 'Shield',
+    description: 'Survive one pipe hit',
+    color: '#42A5F5',
+    duration: null // Lasts until it's used up
+  },
+  slowmo: {
+    id: 'slowmo',
+    name: 'Slow Motion',
+    description: 'Everything moves at half speed',
+    color: '#AB47BC',
+    duration: FPS * 4
+  },
+  double: {
+    id: 'double',
+    name: 'Double Score',
+    description: 'Pipes count twice',
+    color: '#FFB300',
+    duration: FPS * 8
+  },
+  shrink: {
+    id: 'shrink',
+    name: 'Shrink',
+    description: 'A smaller bird',
+    color: '#66BB6A',
+    duration: FPS * 8
+  }
+};
+
+const POWERUP_RADIUS = 10;
+// After the shield breaks the bird can't be hit until it's out of the pipe
+const SHIELD_GRACE_FRAMES = FPS;
+const SLOWMO_TIME_SCALE = 0.5;
+const SHRINK_SCALE = 0.6;
+
+function isActive(effects, id) {
+  return Boolean(effects[id]);
+}
+
+// Count down the timed effects; expired ones are dropped
+function tickEffects(effects) {
+  const next = {};
+  Object.keys(effects).forEach(id => {
+    if (POWERUPS[id].duration === null) {
+      next[id] = effects[id];
+    } else if (effects[id] > 1) {
+      next[id] = effects[id] - 1;
+    }
+  });
+  return next;
+}
+
+function applyPowerup(effects, id) {
+  const next = Object.assign({}, effects);
+  next[id] = POWERUPS[id].duration === null ? true : POWERUPS[id].duration;
+  return next;
+}
+
+// How fast the world runs this frame (1 is normal speed)
+function getTimeScale(effects) {
+  return isActive(effects, 'slowmo') ? SLOWMO_TIME_SCALE : 1;
+}
+
+function getBirdRadius(baseRadius, effects) {
+  return isActive(effects, 'shrink') ? baseRadius * SHRINK_SCALE : baseRadius;
+}
+
+function getPipeValue(effects) {
+  return isActive(effects, 'double') ? 2 : 1;
+}
+
+module.exports = {
+  POWERUPS,
+  POWERUP_RADIUS,
+  SHIELD_GRACE_FRAMES,
+  isActive,
+  tickEffects,
+  applyPowerup,
+  getTimeScale,
+  getBirdRadius,
+  getPipeValue
+};
@@ -0,0 +1,29 @@
+// Seedable random number generator (mulberry32).
+// The whole generator state is a single 32-bit integer, so it can live inside
+// the engine state and a run can be replayed exactly from its seed.
+
+function nextRandom(rngState) {
+  const state = (rngState + 0x6D2B79F5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  return { value, state };
+}
+
+// Fresh seed for a new run
+function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Deterministic seed from a string (FNV-1a), e.g. the date of a daily challenge
+function hashSeed(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+module.exports = { nextRandom, createSeed, hashSeed };
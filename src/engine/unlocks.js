@@ -0,0 +1,15 @@
+// Bird skins that unlock at score milestones
+// The backend awards them when it saves a verified score of at least the
+// milestone (in any mode), so they are kept with the player's account.
+const SKIN_UNLOCKS = {
+  bluejay: 10,
+  cardinal: 25,
+  phoenix: 50
+};
+
+// Skins a score unlocks
+function getUnlockedSkins(score) {
+  return Object.keys(SKIN_UNLOCKS).filter(id => score >= SKIN_UNLOCKS[id]);
+}
+
+module.exports = { SKIN_UNLOCKS, getUnlockedSkins };
@@ -0,0 +1,19 @@
+// Display formatting shared by the leaderboard and player profiles
+import { formatNumber, getLanguage } from './i18n';
+
+// Scores are timestamped by SQLite in UTC ("YYYY-MM-DD HH:MM:SS")
+export const parseScoreDate = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`);
+
+export const formatScoreDate = (timestamp) => (
+  timestamp ? parseScoreDate(timestamp).toLocaleDateString(getLanguage()) : ''
+);
+
+// A daily challenge day (YYYY-MM-DD, UTC) written out for the language
+export const formatDay = (date) => (
+  new Date(`${date}T00:00:00Z`).toLocaleDateString(getLanguage(), { timeZone: 'UTC', dateStyle: 'medium' })
+);
+
+// Averages and medians can have fractions; scores never do
+export const formatStat = (value) => (
+  value === null || value === undefined ? '-' : formatNumber(value, { maximumFractionDigits: 1 })
+);
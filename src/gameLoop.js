@@ -0,0 +1,67 @@
+// Fixed-timestep game loop driven by requestAnimationFrame.
+// The simulation always advances in steps of `stepMs`, no matter how often the
+// browser paints; `render` gets the fraction of a step left over so it can
+// interpolate between the last two simulation states.
+
+// Longest gap between two frames we try to catch up on (e.g. after a long GC pause)
+const MAX_FRAME_TIME = 250;
+
+class GameLoop {
+  constructor({ update, render, stepMs, maxSteps = 5 }) {
+    this.update = update;
+    this.render = render;
+    this.stepMs = stepMs;
+    this.maxSteps = maxSteps;
+    this.rafId = null;
+    this.lastTime = null;
+    this.accumulator = 0;
+  }
+
+  get running() {
+    return this.rafId !== null;
+  }
+
+  start = () => {
+    if (this.running) {
+      return;
+    }
+    // Time spent stopped is never simulated
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.rafId = requestAnimationFrame(this.frame);
+  };
+
+  stop = () => {
+    if (this.running) {
+      cancelAnimationFrame(this.rafId);
+      this.rafId = null;
+    }
+  };
+
+  frame = (time) => {
+    if (this.lastTime === null) {
+      this.lastTime = time;
+    }
+    this.accumulator += Math.min(time - this.lastTime, MAX_FRAME_TIME);
+    this.lastTime = time;
+
+    // Schedule first so update/render can stop the loop
+    this.rafId = requestAnimationFrame(this.frame);
+
+    let steps = 0;
+    while (this.accumulator >= this.stepMs && steps < this.maxSteps && this.running) {
+      this.update();
+      this.accumulator -= this.stepMs;
+      steps++;
+    }
+
+    // Too far behind - drop the backlog instead of spiralling
+    if (steps === this.maxSteps) {
+      this.accumulator = Math.min(this.accumulator, this.stepMs);
+    }
+
+    this.render(Math.min(this.accumulator / this.stepMs, 1));
+  };
+}
+
+export default GameLoop;
@@ -0,0 +1,52 @@
+// Controller input with the Gamepad API
+// Browsers don't send events for controller buttons, so while a controller is
+// connected its buttons are polled once per animation frame. `onPress` is
+// called with the index of every button that went down since the last poll,
+// and `onRelease` (if given) with every one that came back up. Both also get
+// the index of the controller the button is on.
+// Returns a function that stops watching.
+export const watchGamepads = (onPress, onRelease) => {
+  let frame = null;
+  // Buttons held down at the last poll, by controller
+  const held = {};
+
+  const poll = () => {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    let connected = false;
+    for (let i = 0; i < gamepads.length; i++) {
+      const gamepad = gamepads[i];
+      if (!gamepad) {
+        continue;
+      }
+      connected = true;
+      const was = held[gamepad.index] || [];
+      const pressed = gamepad.buttons.map(button => button.pressed);
+      pressed.forEach((down, button) => {
+        if (down && !was[button]) {
+          onPress(button, gamepad.index);
+        } else if (!down && was[button] && onRelease) {
+          onRelease(button, gamepad.index);
+        }
+      });
+      held[gamepad.index] = pressed;
+    }
+    // Stop polling until the next controller connects
+    frame = connected ? requestAnimationFrame(poll) : null;
+  };
+
+  const start = () => {
+    if (frame === null) {
+      frame = requestAnimationFrame(poll);
+    }
+  };
+
+  window.addEventListener('gamepadconnected', start);
+  // A controller may have connected before we started listening
+  start();
+
+  return () => {
+    window.removeEventListener('gamepadconnected', start);
+    cancelAnimationFrame(frame);
+    frame = null;
+  };
+};
@@ -0,0 +1,74 @@
+// Ghost runs - replays of a personal best or the current #1 run that are
+// drawn next to the live bird as a target to race.
+import axios from 'axios';
+import { apiUrl } from './api';
+import { MODES } from './engine';
+import { loadJson, removeValue, saveJson } from './storage';
+
+export const GHOST_SOURCES = ['best', 'top', 'off'];
+
+// Runs with power-ups are kept apart from the plain ones
+const storageKey = (username, mode, powerups) => (
+  `flappybird.bestRun.${mode}${powerups ? '.powerups' : ''}.${username}`
+);
+
+export const loadLocalBest = (username, mode, powerups = false) => loadJson(storageKey(username, mode, powerups));
+
+// Keep the run if it beats the saved one
+export const saveLocalBest = (username, run) => {
+  const best = loadLocalBest(username, run.mode, run.powerups);
+  if (best && best.score >= run.score) {
+    return;
+  }
+  saveJson(storageKey(username, run.mode, run.powerups), run);
+};
+
+// Forget the player's saved runs on this device
+export const clearLocalBests = (username) => {
+  Object.keys(MODES).forEach(mode => {
+    removeValue(storageKey(username, mode, false));
+    removeValue(storageKey(username, mode, true));
+  });
+};
+
+const fetchReplay = async (path, params) => {
+  try {
+    const response = await axios.get(apiUrl(path), { params });
+    return response.data;
+  } catch (error) {
+    // 404 just means there's no replay yet
+    if (!error.response || error.response.status !== 404) {
+      console.error('Failed to fetch ghost run:', error);
+    }
+    return null;
+  }
+};
+
+// Personal best: whichever of the local and the server copy scored higher.
+// The server copy is looked up by the logged in account, not the name.
+const loadPersonalBest = async (username, mode, powerups) => {
+  const local = loadLocalBest(username, mode, powerups);
+  const remote = await fetchReplay('/replays/me', { mode, powerups });
+  if (!remote) {
+    return local;
+  }
+  return local && local.score > remote.score ? local : remote;
+};
+
+const loadTopRun = async (mode, powerups) => {
+  const top = await fetchReplay('/scores/top/1', { mode, powerups, verified: true });
+  if (!top || top.length === 0) {
+    return null;
+  }
+  return fetchReplay(`/replays/${top[0].id}`);
+};
+
+export const loadGhostRun = (source, username, mode, powerups = false) => {
+  if (source === 'best' && username) {
+    return loadPersonalBest(username, mode, powerups);
+  }
+  if (source === 'top') {
+    return loadTopRun(mode, powerups);
+  }
+  return Promise.resolve(null);
+};
@@ -0,0 +1,108 @@
+// Translations
+// Every text the player sees comes from a message catalog in src/locales:
+// `t(key, values)` looks the key up in the current language, falling back to
+// English. Placeholders look like {score}; numbers put into them are
+// formatted for the language. Messages that depend on a count are objects
+// keyed by plural category ("one", "other", ... see Intl.PluralRules), picked
+// by the `count` value. The language is detected from the browser until the
+// player picks one, which is remembered on this device.
+import en from './locales/en';
+import es from './locales/es';
+import de from './locales/de';
+import { loadValue, saveValue } from './storage';
+
+export const LANGUAGES = [
+  { id: 'en', name: 'English' },
+  { id: 'es', name: 'Español' },
+  { id: 'de', name: 'Deutsch' }
+];
+
+const CATALOGS = { en, es, de };
+const DEFAULT_LANGUAGE = 'en';
+const STORAGE_KEY = 'flappybird.language';
+
+const isSupported = (id) => Object.prototype.hasOwnProperty.call(CATALOGS, id);
+
+// First of the browser's preferred languages we have a catalog for
+export const detectLanguage = () => {
+  const preferred = navigator.languages && navigator.languages.length > 0
+    ? navigator.languages
+    : [navigator.language];
+  const match = preferred
+    .map(tag => (tag || '').toLowerCase().split('-')[0])
+    .find(isSupported);
+  return match || DEFAULT_LANGUAGE;
+};
+
+// Detected again on every visit until the player picks one
+const loadLanguage = () => {
+  const saved = loadValue(STORAGE_KEY);
+  return isSupported(saved) ? saved : detectLanguage();
+};
+
+export const saveLanguage = (id) => saveValue(STORAGE_KEY, id);
+
+let language = loadLanguage();
+document.documentElement.lang = language;
+
+export const getLanguage = () => language;
+
+// Takes effect for everything rendered from now on
+export const setLanguage = (id) => {
+  language = isSupported(id) ? id : DEFAULT_LANGUAGE;
+  document.documentElement.lang = language;
+};
+
+export const formatNumber = (value, options) => new Intl.NumberFormat(language, options).format(value);
+
+// "a, b and c" in the current language
+export const formatList = (items) => (
+  Intl.ListFormat ? new Intl.ListFormat(language).format(items) : items.join(', ')
+);
+
+const lookup = (key) => {
+  const catalog = CATALOGS[language];
+  return catalog[key] === undefined ? en[key] : catalog[key];
+};
+
+export const hasMessage = (key) => lookup(key) !== undefined;
+
+export const t = (key, values = {}) => {
+  let message = lookup(key);
+  if (message === undefined) {
+    console.warn(`Missing message ${key}`);
+    return key;
+  }
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(language).select(values.count);
+    message = message[category] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined) {
+      return placeholder;
+    }
+    return typeof value === 'number' ? formatNumber(value) : value;
+  });
+};
+
+// OptionPicker options for ids named `${prefix}.${id}` in the catalogs, with
+// the description from `${prefix}.${id}.description` if there is one
+export const pickerOptions = (prefix, ids) => ids.map(id => {
+  const description = `${prefix}.${id}.description`;
+  return {
+    id,
+    name: t(`${prefix}.${id}`),
+    description: hasMessage(description) ? t(description) : undefined
+  };
+});
+
+// Message for a failed API request: ours for the error codes we know, else
+// the server's own (English) message, else `fallbackKey`
+export const errorMessage = (error, fallbackKey) => {
+  const data = error.response && error.response.data;
+  if (data && data.code && hasMessage(`error.${data.code}`)) {
+    return t(`error.${data.code}`);
+  }
+  return (data && data.error) || t(fallbackKey);
+};
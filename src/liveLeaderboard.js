@@ -0,0 +1,63 @@
+// Live leaderboard - new top scores pushed by the backend over Server-Sent Events
+import { apiUrl } from './api';
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Calls onScore for every new top score and onReconnect after the connection
+// came back (updates may have been missed meanwhile). Returns an unsubscribe
+// function.
+export const subscribeToLeaderboard = ({ onScore, onReconnect }) => {
+  if (typeof EventSource === 'undefined') {
+    return () => {};
+  }
+
+  let source = null;
+  let retryTimer = null;
+  let retryDelay = MIN_RETRY_MS;
+  let connectedBefore = false;
+
+  const connect = () => {
+    source = new EventSource(apiUrl('/leaderboard/stream'));
+
+    source.onopen = () => {
+      retryDelay = MIN_RETRY_MS;
+      if (connectedBefore) {
+        onReconnect();
+      }
+      connectedBefore = true;
+    };
+
+    source.addEventListener('score', (event) => {
+      onScore(JSON.parse(event.data));
+    });
+
+    // The browser retries dropped streams by itself, but gives up on errors
+    // like a 503 - take over with a growing delay then
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        source.close();
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+      }
+    };
+  };
+
+  connect();
+
+  return () => {
+    clearTimeout(retryTimer);
+    source.close();
+  };
+};
+
+// Whether a pushed score changes the leaderboard being shown
+export const affectsBoard = (event, { daily, mode, powerups, period }) => {
+  if (daily) {
+    return event.boards.some(board => board.daily === daily);
+  }
+  return !event.daily &&
+    event.mode === mode &&
+    Boolean(event.powerups) === Boolean(powerups) &&
+    event.boards.some(board => board.period === period);
+};
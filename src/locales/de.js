@@ -0,0 +1,312 @@
+// German messages (controller button letters fall back to English)
+export default {
+  // Game screen
+  'game.label': 'Flappy-Bird-Spiel. Punkte und Spielereignisse werden angesagt.',
+  'game.score': 'Punkte: {score}',
+  'game.speedLevel': 'Tempostufe: {level}',
+  'game.starting': 'Startet...',
+  'game.clickToStart': 'Klicke oder drücke {key} zum Starten!',
+  'game.switchToStart': 'Beliebige Taste drücken oder tippen zum Starten!',
+  'game.modeInfo': 'MODUS {mode}: {description}',
+  'game.controls': 'Steuerung: {flap}/Klick - Springen, {pause} - Pause, {restart} - Neustart, {mute} - Stumm',
+  'game.oneSwitchControls': 'Ein-Tasten-Modus: Taste, Knopf oder Tippen zum Flattern, gedrückt halten für Pause',
+  'game.powerupsOn': 'Power-ups an: fliege durch sie hindurch, um sie einzusammeln',
+  'game.paused': 'PAUSE',
+  'game.resumeKey': 'Drücke {key} zum Fortsetzen',
+  'game.resumeSwitch': 'Beliebige Taste drücken zum Fortsetzen',
+  'game.gameOver': 'Spiel vorbei!',
+  'game.finalScore': 'Endstand: {score}',
+  'game.restartKey': 'Drücke {key} für einen Neustart',
+  'game.restartSwitch': 'Beliebige Taste drücken für einen Neustart',
+  'game.offline': 'Offline gespielt - diese Runde wird nicht gewertet',
+  'game.effectTime': '{name} {seconds} s',
+  'game.assist': 'Hilfe: {speed} Tempo, {gravity} Schwerkraft',
+  'game.notRanked': 'Nicht gewertet',
+  'game.ghost': '{name} ({score})',
+  'game.restart': 'Neustart ({key})',
+  'game.pause': 'Pause ({key})',
+  'game.resume': 'Weiter ({key})',
+  'game.mute': 'Stumm ({key})',
+  'game.unmute': 'Ton an ({key})',
+  'game.musicOn': 'Musik: An',
+  'game.musicOff': 'Musik: Aus',
+  'game.volume': 'Lautstärke',
+
+  // Local versus
+  'versus.score': 'S{player}: {score}',
+  'versus.wins': 'Spieler {player} gewinnt!',
+  'versus.draw': 'Unentschieden!',
+  'versus.controls': 'Spieler 1: {flap} oder linke Hälfte tippen · Spieler 2: {flap2} oder rechte Hälfte tippen',
+
+  // Online race
+  'race.title': 'Online-Rennen',
+  'race.intro': 'Erstelle einen Raum und teile seinen Code oder tritt dem Raum eines Freundes bei. Alle fliegen gleichzeitig durch dieselben Rohre.',
+  'race.create': 'Raum erstellen',
+  'race.code': 'Raumcode:',
+  'race.codePlaceholder': 'z. B. K7QX2',
+  'race.join': 'Beitreten',
+  'race.room': 'Raum',
+  'race.share': 'Teile den Code mit den anderen. Der Gastgeber startet das Rennen, sobald alle da sind.',
+  'race.you': 'du',
+  'race.host': 'Gastgeber',
+  'race.flying': 'Fliegt',
+  'race.crashed': 'Abgestürzt',
+  'race.left': 'Gegangen',
+  'race.start': 'Rennen starten',
+  'race.waitingForHost': 'Warten, bis der Gastgeber das Rennen startet...',
+  'race.needPlayers': {
+    one: 'Ein Rennen braucht mindestens {count} Spieler',
+    other: 'Ein Rennen braucht mindestens {count} Spieler'
+  },
+  'race.leave': 'Raum verlassen',
+  'race.startsIn': 'Das Rennen beginnt in {seconds}...',
+  'race.waiting': 'Warten, bis die anderen Vögel landen...',
+  'race.results': 'Rennergebnis',
+  'race.time': 'Zeit',
+  'race.seconds': '{seconds} s',
+  'race.status.timeout': 'Zeit abgelaufen',
+  'race.status.left': 'gegangen',
+  'race.status.rejected': 'Lauf abgelehnt',
+  'race.again': 'Neues Rennen',
+
+  // Screen reader announcements
+  'announce.started': 'Spiel gestartet',
+  'announce.paused': 'Pausiert. {hint}',
+  'announce.resumed': 'Fortgesetzt',
+  'announce.score': '{score} Punkte',
+  'announce.newBest': 'Neue persönliche Bestleistung! {score} Punkte',
+  'announce.gameOver': 'Spiel vorbei. Endstand {score}. {hint}',
+  'announce.playerOut': 'Spieler {player} ist raus',
+  'announce.versusOver': '{result} {hint}',
+  'announce.raceOver': 'Abgestürzt mit {score} Punkten. Warten auf das Ergebnis.',
+
+  // Difficulties, power-ups and other choices
+  'mode.easy': 'Leicht',
+  'mode.easy.description': 'Größere Lücken, langsamere Rohre, nachsichtige Kollisionen!',
+  'mode.normal': 'Normal',
+  'mode.normal.description': 'Das klassische Gefühl - engere Lücken und genaue Hitboxen.',
+  'mode.hard': 'Schwer',
+  'mode.hard.description': 'Schmale Lücken, schwerer Vogel, dicht stehende Rohre.',
+  'powerup.shield': 'Schild',
+  'powerup.slowmo': 'Zeitlupe',
+  'powerup.double': 'Doppelte Punkte',
+  'powerup.shrink': 'Schrumpfen',
+  'powerups.off': 'Aus',
+  'powerups.off.description': 'Klassische Regeln - Wertung in den normalen Bestenlisten',
+  'powerups.on': 'An',
+  'powerups.on.description': 'Schilde, Zeitlupe, doppelte Punkte und Schrumpfen - eigene Wertung',
+  'challenge.classic': 'Klassisch',
+  'challenge.daily': 'Tagesherausforderung',
+  'challenge.daily.description': 'Heute für alle dieselben Rohre - dein bester Versuch zählt',
+  'challenge.versus': 'Duell',
+  'challenge.versus.description': 'Zwei Spieler an einem Bildschirm - der letzte Vogel in der Luft gewinnt. Nicht gewertet.',
+  'challenge.race': 'Online-Rennen',
+  'challenge.race.description': 'Fliege live gegen andere durch dieselben Rohre - erstelle einen Raum oder tritt per Code bei',
+  'ghost.best': 'Meine Bestleistung',
+  'ghost.top': 'Platz 1',
+  'ghost.off': 'Aus',
+  'period.today': 'Heute',
+  'period.week': 'Diese Woche',
+  'period.month': 'Dieser Monat',
+  'period.all': 'Gesamt',
+  'dailyBoard.today': 'Heute',
+  'dailyBoard.yesterday': 'Gestern',
+  'option.off': 'Aus',
+  'option.on': 'An',
+  'picker.play': 'Spielen',
+  'picker.difficulty': 'Schwierigkeit',
+  'picker.powerups': 'Power-ups',
+  'picker.ghost': 'Geist',
+  'picker.day': 'Tag',
+  'picker.period': 'Zeitraum',
+  'picker.language': 'Sprache',
+
+  // Main page
+  'app.goodLuck': 'Viel Glück, {name}!',
+  'app.myStats': 'Meine Statistik',
+  'app.customize': 'Anpassen',
+  'app.controls': 'Steuerung',
+  'app.accessibility': 'Barrierefreiheit',
+  'app.logout': 'Abmelden',
+  'app.pendingScores': {
+    one: '{count} Ergebnis wartet auf die Synchronisierung',
+    other: '{count} Ergebnisse warten auf die Synchronisierung'
+  },
+  'app.unlocked': {
+    one: 'Neuer Vogel freigeschaltet: {skins}!',
+    other: 'Neue Vögel freigeschaltet: {skins}!'
+  },
+  'app.tryItOn': 'Ausprobieren',
+  'app.assistOn': 'Der Hilfemodus ist an - deine Runden werden nicht gewertet.',
+  'app.change': 'Ändern',
+  'app.dailyInfo': {
+    one: 'Tagesherausforderung {date} · {left} von {count} Versuch übrig',
+    other: 'Tagesherausforderung {date} · {left} von {count} Versuchen übrig'
+  },
+  'app.loadingDaily': 'Tagesherausforderung wird geladen...',
+  'app.dailyDone': 'Du hast alle Versuche für heute verbraucht. Komm morgen für eine neue Herausforderung wieder!',
+  'common.back': '← Zurück zum Spiel',
+
+  // Leaderboard
+  'leaderboard.title': 'Bestenliste',
+  'leaderboard.trophy': 'Pokal',
+  'leaderboard.daily': 'Tagesherausforderung · {date}',
+  'leaderboard.loading': 'Ergebnisse werden geladen...',
+  'leaderboard.rank': 'Platz',
+  'leaderboard.player': 'Spieler',
+  'leaderboard.score': 'Punkte',
+  'leaderboard.setOn': 'Erreicht am',
+  'leaderboard.first': 'erster Platz',
+  'leaderboard.second': 'zweiter Platz',
+  'leaderboard.third': 'dritter Platz',
+  'leaderboard.position': '#{rank}',
+  'leaderboard.empty': 'Noch keine Ergebnisse. Spiel als Erstes!',
+  'leaderboard.emptyPeriod': 'In diesem Zeitraum gibt es noch keine Ergebnisse. Spiel als Erstes!',
+  'footer.createdBy': 'Erstellt von',
+  'footer.heart': 'Herz',
+
+  // Log in / register
+  'auth.title': 'Bereit zum Spielen?',
+  'auth.loginIntro': 'Melde dich an, um zu spielen und in der Bestenliste mitzumachen!',
+  'auth.registerIntro': 'Erstelle ein Konto, damit niemand sonst Ergebnisse unter deinem Namen einträgt.',
+  'auth.username': 'Benutzername:',
+  'auth.usernamePlaceholder': 'Benutzernamen eingeben',
+  'auth.password': 'Passwort:',
+  'auth.passwordPlaceholder': 'Passwort eingeben',
+  'auth.login': 'Anmelden',
+  'auth.register': 'Konto erstellen',
+  'auth.toRegister': 'Neu hier? Konto erstellen',
+  'auth.toLogin': 'Schon ein Konto? Anmelden',
+
+  // Privacy
+  'privacy.consent': 'Anonyme Nutzungsstatistiken teilen',
+  'privacy.deleteAccount': 'Mein Konto und meine Daten löschen',
+  'privacy.deleteSession': 'Meine Nutzungsdaten löschen',
+  'privacy.confirmAccount': 'Das Konto „{name}“ mit allen Ergebnissen löschen? Das lässt sich nicht rückgängig machen.',
+  'privacy.confirmSession': 'Die bei diesem Besuch erfassten Nutzungsdaten löschen?',
+  'privacy.accountDeleted': 'Dein Konto und deine Daten wurden gelöscht',
+  'privacy.sessionDeleted': 'Sitzungsdaten gelöscht',
+  'privacy.claimScores': {
+    one: '{count} Punktestand, der vor den Konten unter meinem Namen gespeichert wurde, zu meinem Konto hinzufügen',
+    other: '{count} Punktestände, die vor den Konten unter meinem Namen gespeichert wurden, zu meinem Konto hinzufügen'
+  },
+  'privacy.confirmClaim': 'Füge diese Punktestände nur zu "{name}" hinzu, wenn du sie gespielt hast - sie wurden unter dem Namen gespeichert, bevor es Konten gab.',
+  'privacy.scoresClaimed': {
+    one: '{count} Punktestand zu deinem Konto hinzugefügt',
+    other: '{count} Punktestände zu deinem Konto hinzugefügt'
+  },
+
+  // Player profile
+  'profile.loading': 'Profil wird geladen...',
+  'profile.notFound': 'Es gibt keinen Spieler namens „{name}“.',
+  'profile.best': 'Bestwert',
+  'profile.rank': 'Platz',
+  'profile.games': 'Spiele',
+  'profile.average': 'Durchschnitt',
+  'profile.median': 'Median',
+  'profile.progress': 'Fortschritt',
+  'profile.recentRuns': 'Letzte Runden',
+  'profile.noGames': 'Noch keine Spiele in dieser Wertung.',
+  'profile.played': 'Gespielt',
+  'profile.verified': 'Geprüft',
+  'profile.verifiedRun': 'geprüft',
+  'profile.newer': 'Neuer',
+  'profile.older': 'Älter',
+  'profile.page': '{from}-{to} von {total}',
+  'chart.empty': 'Spiel noch ein paar Runden, um hier deinen Fortschritt zu sehen.',
+  'chart.label': {
+    one: 'Ergebnis des letzten Spiels, {max}',
+    other: 'Ergebnisse der letzten {count} Spiele, bis zu {max}'
+  },
+
+  // Customize
+  'customize.title': 'Anpassen',
+  'customize.bird': 'Vogel',
+  'customize.locked': 'Schalte ihn mit {score} Punkten frei',
+  'customize.world': 'Welt',
+  'customize.theme': 'Thema',
+  'skin.classic': 'Klassisch',
+  'skin.bluejay': 'Blauhäher',
+  'skin.cardinal': 'Kardinal',
+  'skin.phoenix': 'Phönix',
+  'theme.day': 'Tag',
+  'theme.sunset': 'Sonnenuntergang',
+  'theme.night': 'Nacht',
+
+  // Achievements
+  'achievement.pipes10': 'Zehn geschafft',
+  'achievement.pipes10.description': 'Passiere 10 Rohre in einem Spiel',
+  'achievement.speed5': 'Höchstgeschwindigkeit',
+  'achievement.speed5.description': 'Erreiche Tempostufe 5',
+  'achievement.closeCall': 'Haarscharf',
+  'achievement.closeCall.description': 'Zwänge dich haarscharf durch eine Lücke',
+  'achievement.games50': 'Vielflieger',
+  'achievement.games50.description': 'Spiele 50 Spiele',
+  'achievement.toast': 'Erfolg freigeschaltet: {name}',
+  'achievement.unlockedOn': 'Freigeschaltet am {date}',
+  'achievement.locked': 'Gesperrt',
+  'achievement.players': '{percent} der Spieler',
+  'profile.achievements': 'Erfolge',
+
+  // Controls
+  'controls.title': 'Steuerung',
+  'controls.action': 'Aktion',
+  'controls.keyboard': 'Tastatur',
+  'controls.controller': 'Controller',
+  'controls.keyLabel': 'Taste für {action}: {binding}',
+  'controls.buttonLabel': 'Controller-Knopf für {action}: {binding}',
+  'controls.keyListening': 'Taste drücken...',
+  'controls.buttonListening': 'Knopf drücken...',
+  'controls.hint': 'Klicken oder Tippen auf das Spiel lässt den Vogel immer flattern. Schließe einen Controller an und drücke einen Knopf, um ihn zu benutzen.',
+  'controls.reset': 'Zurücksetzen',
+  'action.flap': 'Flattern / Start',
+  'action.flap2': 'Flattern (Spieler 2)',
+  'action.pause': 'Pause / Weiter',
+  'action.restart': 'Neustart',
+  'action.mute': 'Stumm / Ton an',
+  'key.Space': 'Leertaste',
+  'key.Enter': 'Eingabe',
+  'key.ShiftLeft': 'Umschalt links',
+  'key.ShiftRight': 'Umschalt rechts',
+  'button.8': 'Zurück',
+  'button.9': 'Start',
+  'button.10': 'Linker Stick',
+  'button.11': 'Rechter Stick',
+  'button.12': 'Steuerkreuz oben',
+  'button.13': 'Steuerkreuz unten',
+  'button.14': 'Steuerkreuz links',
+  'button.15': 'Steuerkreuz rechts',
+  'button.16': 'Home',
+  'button.other': 'Knopf {number}',
+
+  // Accessibility
+  'a11y.title': 'Barrierefreiheit',
+  'a11y.display': 'Anzeige',
+  'a11y.highContrast': 'Hoher Kontrast',
+  'a11y.reducedMotion': 'Weniger Bewegung',
+  'a11y.displayHint': 'Weniger Bewegung schaltet Blinken, Flügelschlag und Seitenanimationen ab. Punkte, Pausen und das Spielende werden außerdem für Screenreader angesagt.',
+  'a11y.input': 'Eingabe',
+  'a11y.oneSwitch': 'Ein-Tasten-Modus',
+  'a11y.oneSwitchHint': 'Jede Taste, jeder Controller-Knopf und jedes Tippen auf das Spiel wirkt wie derselbe Schalter: drücken zum Starten und Flattern, eine Sekunde halten für Pause und erneut drücken zum Fortsetzen oder für ein neues Spiel.',
+  'a11y.assistMode': 'Hilfemodus',
+  'a11y.assist': 'Hilfe',
+  'a11y.speed': 'Spieltempo',
+  'a11y.gravity': 'Schwerkraft',
+  'a11y.assistHint': 'Runden mit Hilfe erscheinen nicht in Bestenlisten und Spielerstatistiken und schalten weder Vögel noch Erfolge frei. Die Tagesherausforderung wird immer ohne Hilfe gespielt.',
+
+  // Errors, by the backend's error codes where there is one
+  'error.network': 'Der Server ist nicht erreichbar. Bitte versuche es später noch einmal.',
+  'error.daily': 'Die Tagesherausforderung konnte nicht geladen werden. Bitte versuche es später noch einmal.',
+  'error.leaderboard': 'Die Bestenliste konnte nicht geladen werden. Bitte versuche es später noch einmal.',
+  'error.profile': 'Dieses Profil konnte nicht geladen werden. Bitte versuche es später noch einmal.',
+  'error.INVALID_CREDENTIALS': 'Benutzernamen haben 3-20 Buchstaben, Ziffern, Leerzeichen, Binde- oder Unterstriche, Passwörter mindestens 8 Zeichen.',
+  'error.INVALID_LOGIN': 'Benutzername oder Passwort falsch',
+  'error.USERNAME_TAKEN': 'Der Benutzername ist schon vergeben',
+  'error.RATE_LIMITED': 'Zu viele Anfragen, bitte etwas langsamer',
+  'error.raceConnection': 'Die Verbindung zum Rennraum ist abgebrochen.',
+  'error.AUTH_REQUIRED': 'Bitte melde dich zuerst an.',
+  'error.ROOM_NOT_FOUND': 'Es gibt keinen Raum mit diesem Code.',
+  'error.ROOM_STARTED': 'Dieses Rennen hat schon begonnen.',
+  'error.ROOM_FULL': 'Dieser Raum ist voll.',
+  'error.REPLACED': 'Du bist diesem Raum in einem anderen Fenster beigetreten.'
+};
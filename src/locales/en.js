@@ -0,0 +1,321 @@
+// English messages - the reference catalog. Keys missing from the other
+// languages fall back to these; see src/i18n.js for placeholders and plurals.
+export default {
+  // Game screen
+  'game.label': 'Flappy Bird game. Scores and game events are announced.',
+  'game.score': 'Score: {score}',
+  'game.speedLevel': 'Speed Level: {level}',
+  'game.starting': 'Starting...',
+  'game.clickToStart': 'Click or Press {key} to Start!',
+  'game.switchToStart': 'Press Any Key or Tap to Start!',
+  'game.modeInfo': '{mode} MODE: {description}',
+  'game.controls': 'Controls: {flap}/Click - Jump, {pause} - Pause, {restart} - Restart, {mute} - Mute',
+  'game.oneSwitchControls': 'One-switch: press any key, button or tap to flap, hold it to pause',
+  'game.powerupsOn': 'Power-ups on: fly through them to collect them',
+  'game.paused': 'PAUSED',
+  'game.resumeKey': 'Press {key} to Resume',
+  'game.resumeSwitch': 'Press any key to resume',
+  'game.gameOver': 'Game Over!',
+  'game.finalScore': 'Final Score: {score}',
+  'game.restartKey': 'Press {key} to Restart',
+  'game.restartSwitch': 'Press any key to restart',
+  'game.offline': 'Played offline - this run is not ranked',
+  'game.effectTime': '{name} {seconds}s',
+  'game.assist': 'Assist: {speed} speed, {gravity} gravity',
+  'game.notRanked': 'Not ranked',
+  'game.ghost': '{name} ({score})',
+  'game.restart': 'Restart ({key})',
+  'game.pause': 'Pause ({key})',
+  'game.resume': 'Resume ({key})',
+  'game.mute': 'Mute ({key})',
+  'game.unmute': 'Unmute ({key})',
+  'game.musicOn': 'Music: On',
+  'game.musicOff': 'Music: Off',
+  'game.volume': 'Volume',
+
+  // Local versus
+  'versus.score': 'P{player}: {score}',
+  'versus.wins': 'Player {player} wins!',
+  'versus.draw': 'It\'s a draw!',
+  'versus.controls': 'Player 1: {flap} or tap the left half · Player 2: {flap2} or tap the right half',
+
+  // Online race
+  'race.title': 'Online Race',
+  'race.intro': 'Create a room and share its code, or join a friend\'s room. Everyone flies through the same pipes at the same time.',
+  'race.create': 'Create Room',
+  'race.code': 'Room code:',
+  'race.codePlaceholder': 'e.g. K7QX2',
+  'race.join': 'Join Room',
+  'race.room': 'Room',
+  'race.share': 'Share the code with the other players. The host starts the race once everyone is in.',
+  'race.you': 'you',
+  'race.host': 'host',
+  'race.flying': 'Flying',
+  'race.crashed': 'Crashed',
+  'race.left': 'Left',
+  'race.start': 'Start Race',
+  'race.waitingForHost': 'Waiting for the host to start the race...',
+  'race.needPlayers': {
+    one: 'A race needs at least {count} player',
+    other: 'A race needs at least {count} players'
+  },
+  'race.leave': 'Leave room',
+  'race.startsIn': 'Race starts in {seconds}...',
+  'race.waiting': 'Waiting for the other birds to land...',
+  'race.results': 'Race Results',
+  'race.time': 'Time',
+  'race.seconds': '{seconds}s',
+  'race.status.timeout': 'out of time',
+  'race.status.left': 'left',
+  'race.status.rejected': 'run rejected',
+  'race.again': 'New Race',
+
+  // Screen reader announcements
+  'announce.started': 'Game started',
+  'announce.paused': 'Paused. {hint}',
+  'announce.resumed': 'Resumed',
+  'announce.score': 'Score {score}',
+  'announce.newBest': 'New personal best! Score {score}',
+  'announce.gameOver': 'Game over. Final score {score}. {hint}',
+  'announce.playerOut': 'Player {player} is out',
+  'announce.versusOver': '{result} {hint}',
+  'announce.raceOver': 'You crashed with a score of {score}. Waiting for the results.',
+
+  // Difficulties, power-ups and other choices
+  'mode.easy': 'Easy',
+  'mode.easy.description': 'Larger gaps, slower pipes, forgiving collisions!',
+  'mode.normal': 'Normal',
+  'mode.normal.description': 'The classic feel - tighter gaps and exact hitboxes.',
+  'mode.hard': 'Hard',
+  'mode.hard.description': 'Narrow gaps, heavy bird, pipes close together.',
+  'powerup.shield': 'Shield',
+  'powerup.slowmo': 'Slow Motion',
+  'powerup.double': 'Double Score',
+  'powerup.shrink': 'Shrink',
+  'powerups.off': 'Off',
+  'powerups.off.description': 'Classic rules - ranked on the regular boards',
+  'powerups.on': 'On',
+  'powerups.on.description': 'Shields, slow motion, double score and shrinking - ranked separately',
+  'challenge.classic': 'Classic',
+  'challenge.daily': 'Daily Challenge',
+  'challenge.daily.description': 'Same pipes for everyone today - best of your attempts counts',
+  'challenge.versus': 'Versus',
+  'challenge.versus.description': 'Two players on one screen - the last bird flying wins. Not ranked.',
+  'challenge.race': 'Online Race',
+  'challenge.race.description': 'Race other players live on the same pipes - create a room or join one by code',
+  'ghost.best': 'My Best',
+  'ghost.top': '#1 Run',
+  'ghost.off': 'Off',
+  'period.today': 'Today',
+  'period.week': 'This Week',
+  'period.month': 'This Month',
+  'period.all': 'All Time',
+  'dailyBoard.today': 'Today',
+  'dailyBoard.yesterday': 'Yesterday',
+  'option.off': 'Off',
+  'option.on': 'On',
+  'picker.play': 'Play',
+  'picker.difficulty': 'Difficulty',
+  'picker.powerups': 'Power-ups',
+  'picker.ghost': 'Ghost',
+  'picker.day': 'Day',
+  'picker.period': 'Period',
+  'picker.language': 'Language',
+
+  // Main page
+  'app.goodLuck': 'Good luck, {name}!',
+  'app.myStats': 'My stats',
+  'app.customize': 'Customize',
+  'app.controls': 'Controls',
+  'app.accessibility': 'Accessibility',
+  'app.logout': 'Log out',
+  'app.pendingScores': {
+    one: '{count} score waiting to sync',
+    other: '{count} scores waiting to sync'
+  },
+  'app.unlocked': {
+    one: 'New bird unlocked: {skins}!',
+    other: 'New birds unlocked: {skins}!'
+  },
+  'app.tryItOn': 'Try it on',
+  'app.assistOn': 'Assist mode is on - your runs won\'t be ranked.',
+  'app.change': 'Change',
+  'app.dailyInfo': {
+    one: 'Daily Challenge {date} · {left} of {count} attempt left',
+    other: 'Daily Challenge {date} · {left} of {count} attempts left'
+  },
+  'app.loadingDaily': 'Loading daily challenge...',
+  'app.dailyDone': 'You\'ve used all your attempts for today. Come back tomorrow for a new challenge!',
+  'common.back': '← Back to the game',
+
+  // Leaderboard
+  'leaderboard.title': 'Leaderboard',
+  'leaderboard.trophy': 'trophy',
+  'leaderboard.daily': 'Daily Challenge · {date}',
+  'leaderboard.loading': 'Loading scores...',
+  'leaderboard.rank': 'Rank',
+  'leaderboard.player': 'Player',
+  'leaderboard.score': 'Score',
+  'leaderboard.setOn': 'Set On',
+  'leaderboard.first': 'first place',
+  'leaderboard.second': 'second place',
+  'leaderboard.third': 'third place',
+  'leaderboard.position': '#{rank}',
+  'leaderboard.empty': 'No scores yet. Be the first to play!',
+  'leaderboard.emptyPeriod': 'No scores in this period yet. Be the first to play!',
+  'footer.createdBy': 'Created by',
+  'footer.heart': 'heart',
+
+  // Log in / register
+  'auth.title': 'Ready to Play?',
+  'auth.loginIntro': 'Log in to start the game and compete on the leaderboard!',
+  'auth.registerIntro': 'Create an account so nobody else can post scores under your name.',
+  'auth.username': 'Username:',
+  'auth.usernamePlaceholder': 'Enter your username',
+  'auth.password': 'Password:',
+  'auth.passwordPlaceholder': 'Enter your password',
+  'auth.login': 'Log In',
+  'auth.register': 'Create Account',
+  'auth.toRegister': 'New here? Create an account',
+  'auth.toLogin': 'Already have an account? Log in',
+
+  // Privacy
+  'privacy.consent': 'Share anonymous usage statistics',
+  'privacy.deleteAccount': 'Delete my account and data',
+  'privacy.deleteSession': 'Delete my usage data',
+  'privacy.confirmAccount': 'Delete the account "{name}" with all its scores? This can\'t be undone.',
+  'privacy.confirmSession': 'Delete the usage data recorded for this visit?',
+  'privacy.accountDeleted': 'Your account and data have been deleted',
+  'privacy.sessionDeleted': 'Session data deleted',
+  'privacy.claimScores': {
+    one: 'Claim {count} score posted under my name before accounts existed',
+    other: 'Claim {count} scores posted under my name before accounts existed'
+  },
+  'privacy.confirmClaim': 'Only add these scores to "{name}" if you played them - they were posted under the name before accounts existed.',
+  'privacy.scoresClaimed': {
+    one: '{count} score added to your account',
+    other: '{count} scores added to your account'
+  },
+
+  // Player profile
+  'profile.loading': 'Loading profile...',
+  'profile.notFound': 'There\'s no player called "{name}".',
+  'profile.best': 'Best',
+  'profile.rank': 'Rank',
+  'profile.games': 'Games',
+  'profile.average': 'Average',
+  'profile.median': 'Median',
+  'profile.progress': 'Progress',
+  'profile.recentRuns': 'Recent Runs',
+  'profile.noGames': 'No games on this board yet.',
+  'profile.played': 'Played',
+  'profile.verified': 'Verified',
+  'profile.verifiedRun': 'verified',
+  'profile.newer': 'Newer',
+  'profile.older': 'Older',
+  'profile.page': '{from}-{to} of {total}',
+  'chart.empty': 'Play a few more games to see your progress here.',
+  'chart.label': {
+    one: 'Score of the last game, {max}',
+    other: 'Scores of the last {count} games, up to {max}'
+  },
+
+  // Customize
+  'customize.title': 'Customize',
+  'customize.bird': 'Bird',
+  'customize.locked': 'Score {score} to unlock',
+  'customize.world': 'World',
+  'customize.theme': 'Theme',
+  'skin.classic': 'Classic',
+  'skin.bluejay': 'Blue Jay',
+  'skin.cardinal': 'Cardinal',
+  'skin.phoenix': 'Phoenix',
+  'theme.day': 'Day',
+  'theme.sunset': 'Sunset',
+  'theme.night': 'Night',
+
+  // Achievements
+  'achievement.pipes10': 'Ten Down',
+  'achievement.pipes10.description': 'Pass 10 pipes in one game',
+  'achievement.speed5': 'Top Speed',
+  'achievement.speed5.description': 'Reach Speed Level 5',
+  'achievement.closeCall': 'Close Call',
+  'achievement.closeCall.description': 'Squeeze through a gap by a hair',
+  'achievement.games50': 'Frequent Flyer',
+  'achievement.games50.description': 'Play 50 games',
+  'achievement.toast': 'Achievement unlocked: {name}',
+  'achievement.unlockedOn': 'Unlocked {date}',
+  'achievement.locked': 'Locked',
+  'achievement.players': '{percent} of players',
+  'profile.achievements': 'Achievements',
+
+  // Controls
+  'controls.title': 'Controls',
+  'controls.action': 'Action',
+  'controls.keyboard': 'Keyboard',
+  'controls.controller': 'Controller',
+  'controls.keyLabel': '{action} key: {binding}',
+  'controls.buttonLabel': '{action} controller button: {binding}',
+  'controls.keyListening': 'Press a key...',
+  'controls.buttonListening': 'Press a button...',
+  'controls.hint': 'Clicking or tapping the game always flaps. Connect a controller and press any button to use it.',
+  'controls.reset': 'Reset to defaults',
+  'action.flap': 'Flap / Start',
+  'action.flap2': 'Flap (Player 2)',
+  'action.pause': 'Pause / Resume',
+  'action.restart': 'Restart',
+  'action.mute': 'Mute / Unmute',
+  'key.Space': 'Space',
+  'key.Enter': 'Enter',
+  'key.ShiftLeft': 'Left Shift',
+  'key.ShiftRight': 'Right Shift',
+  'button.0': 'A',
+  'button.1': 'B',
+  'button.2': 'X',
+  'button.3': 'Y',
+  'button.4': 'LB',
+  'button.5': 'RB',
+  'button.6': 'LT',
+  'button.7': 'RT',
+  'button.8': 'Back',
+  'button.9': 'Start',
+  'button.10': 'Left stick',
+  'button.11': 'Right stick',
+  'button.12': 'D-pad up',
+  'button.13': 'D-pad down',
+  'button.14': 'D-pad left',
+  'button.15': 'D-pad right',
+  'button.16': 'Home',
+  'button.other': 'Button {number}',
+
+  // Accessibility
+  'a11y.title': 'Accessibility',
+  'a11y.display': 'Display',
+  'a11y.highContrast': 'High contrast',
+  'a11y.reducedMotion': 'Reduced motion',
+  'a11y.displayHint': 'Reduced motion stops flashing, wing flapping and page animations. Scores, pauses and the end of a game are also announced to screen readers.',
+  'a11y.input': 'Input',
+  'a11y.oneSwitch': 'One-switch',
+  'a11y.oneSwitchHint': 'Every key, controller button and tap on the game works as the same switch: press it to start and flap, hold it for a second to pause, and press it again to resume or to play again.',
+  'a11y.assistMode': 'Assist mode',
+  'a11y.assist': 'Assist',
+  'a11y.speed': 'Game speed',
+  'a11y.gravity': 'Gravity',
+  'a11y.assistHint': 'Assisted runs are kept off the leaderboards and player stats, and don\'t unlock birds or achievements. The daily challenge is always played without assist.',
+
+  // Errors, by the backend's error codes where there is one
+  'error.network': 'Could not reach the server. Please try again later.',
+  'error.daily': 'Failed to load the daily challenge. Please try again later.',
+  'error.leaderboard': 'Failed to load leaderboard. Please try again later.',
+  'error.profile': 'Failed to load this profile. Please try again later.',
+  'error.INVALID_CREDENTIALS': 'Usernames are 3-20 letters, numbers, spaces, dashes or underscores, and passwords at least 8 characters.',
+  'error.INVALID_LOGIN': 'Wrong username or password',
+  'error.USERNAME_TAKEN': 'Username is already taken',
+  'error.RATE_LIMITED': 'Too many requests, please slow down',
+  'error.raceConnection': 'Lost the connection to the race room.',
+  'error.AUTH_REQUIRED': 'Please log in first.',
+  'error.ROOM_NOT_FOUND': 'There\'s no room with this code.',
+  'error.ROOM_STARTED': 'This race has already started.',
+  'error.ROOM_FULL': 'This room is full.',
+  'error.REPLACED': 'You joined this room in another window.'
+};
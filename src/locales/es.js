@@ -0,0 +1,312 @@
+// Spanish messages (controller button letters fall back to English)
+export default {
+  // Game screen
+  'game.label': 'Juego Flappy Bird. Se anuncian las puntuaciones y los eventos del juego.',
+  'game.score': 'Puntos: {score}',
+  'game.speedLevel': 'Nivel de velocidad: {level}',
+  'game.starting': 'Empezando...',
+  'game.clickToStart': '¡Haz clic o pulsa {key} para empezar!',
+  'game.switchToStart': '¡Pulsa cualquier tecla o toca para empezar!',
+  'game.modeInfo': 'MODO {mode}: {description}',
+  'game.controls': 'Controles: {flap}/Clic - Saltar, {pause} - Pausa, {restart} - Reiniciar, {mute} - Silenciar',
+  'game.oneSwitchControls': 'Un pulsador: pulsa cualquier tecla, botón o toca para aletear; mantén para pausar',
+  'game.powerupsOn': 'Potenciadores activados: vuela a través de ellos para recogerlos',
+  'game.paused': 'EN PAUSA',
+  'game.resumeKey': 'Pulsa {key} para continuar',
+  'game.resumeSwitch': 'Pulsa cualquier tecla para continuar',
+  'game.gameOver': '¡Fin del juego!',
+  'game.finalScore': 'Puntuación final: {score}',
+  'game.restartKey': 'Pulsa {key} para reiniciar',
+  'game.restartSwitch': 'Pulsa cualquier tecla para reiniciar',
+  'game.offline': 'Jugado sin conexión - esta partida no cuenta para la clasificación',
+  'game.effectTime': '{name} {seconds} s',
+  'game.assist': 'Ayuda: {speed} de velocidad, {gravity} de gravedad',
+  'game.notRanked': 'Sin clasificar',
+  'game.ghost': '{name} ({score})',
+  'game.restart': 'Reiniciar ({key})',
+  'game.pause': 'Pausa ({key})',
+  'game.resume': 'Continuar ({key})',
+  'game.mute': 'Silenciar ({key})',
+  'game.unmute': 'Activar sonido ({key})',
+  'game.musicOn': 'Música: Sí',
+  'game.musicOff': 'Música: No',
+  'game.volume': 'Volumen',
+
+  // Local versus
+  'versus.score': 'J{player}: {score}',
+  'versus.wins': '¡Gana el jugador {player}!',
+  'versus.draw': '¡Empate!',
+  'versus.controls': 'Jugador 1: {flap} o toca la mitad izquierda · Jugador 2: {flap2} o toca la mitad derecha',
+
+  // Online race
+  'race.title': 'Carrera online',
+  'race.intro': 'Crea una sala y comparte su código, o únete a la sala de un amigo. Todos vuelan por los mismos tubos a la vez.',
+  'race.create': 'Crear sala',
+  'race.code': 'Código de sala:',
+  'race.codePlaceholder': 'p. ej. K7QX2',
+  'race.join': 'Unirse',
+  'race.room': 'Sala',
+  'race.share': 'Comparte el código con los demás jugadores. El anfitrión empieza la carrera cuando estén todos.',
+  'race.you': 'tú',
+  'race.host': 'anfitrión',
+  'race.flying': 'Volando',
+  'race.crashed': 'Estrellado',
+  'race.left': 'Se fue',
+  'race.start': 'Empezar carrera',
+  'race.waitingForHost': 'Esperando a que el anfitrión empiece la carrera...',
+  'race.needPlayers': {
+    one: 'Una carrera necesita al menos {count} jugador',
+    other: 'Una carrera necesita al menos {count} jugadores'
+  },
+  'race.leave': 'Salir de la sala',
+  'race.startsIn': 'La carrera empieza en {seconds}...',
+  'race.waiting': 'Esperando a que aterricen los demás pájaros...',
+  'race.results': 'Resultados de la carrera',
+  'race.time': 'Tiempo',
+  'race.seconds': '{seconds} s',
+  'race.status.timeout': 'sin tiempo',
+  'race.status.left': 'se fue',
+  'race.status.rejected': 'partida rechazada',
+  'race.again': 'Nueva carrera',
+
+  // Screen reader announcements
+  'announce.started': 'Partida iniciada',
+  'announce.paused': 'En pausa. {hint}',
+  'announce.resumed': 'Continuando',
+  'announce.score': 'Puntos {score}',
+  'announce.newBest': '¡Nuevo récord personal! Puntos {score}',
+  'announce.gameOver': 'Fin del juego. Puntuación final {score}. {hint}',
+  'announce.playerOut': 'El jugador {player} está fuera',
+  'announce.versusOver': '{result} {hint}',
+  'announce.raceOver': 'Te has estrellado con {score} puntos. Esperando los resultados.',
+
+  // Difficulties, power-ups and other choices
+  'mode.easy': 'Fácil',
+  'mode.easy.description': '¡Huecos más grandes, tubos más lentos y choques más permisivos!',
+  'mode.normal': 'Normal',
+  'mode.normal.description': 'La sensación clásica: huecos más estrechos y colisiones exactas.',
+  'mode.hard': 'Difícil',
+  'mode.hard.description': 'Huecos estrechos, pájaro pesado y tubos muy juntos.',
+  'powerup.shield': 'Escudo',
+  'powerup.slowmo': 'Cámara lenta',
+  'powerup.double': 'Puntos dobles',
+  'powerup.shrink': 'Encoger',
+  'powerups.off': 'No',
+  'powerups.off.description': 'Reglas clásicas - clasificación normal',
+  'powerups.on': 'Sí',
+  'powerups.on.description': 'Escudos, cámara lenta, puntos dobles y encogimiento - clasificación aparte',
+  'challenge.classic': 'Clásico',
+  'challenge.daily': 'Reto diario',
+  'challenge.daily.description': 'Los mismos tubos para todos hoy - cuenta tu mejor intento',
+  'challenge.versus': 'Versus',
+  'challenge.versus.description': 'Dos jugadores en una pantalla - gana el último pájaro en vuelo. Sin clasificar.',
+  'challenge.race': 'Carrera online',
+  'challenge.race.description': 'Compite en directo con otros jugadores por los mismos tubos - crea una sala o únete con un código',
+  'ghost.best': 'Mi récord',
+  'ghost.top': 'Partida n.º 1',
+  'ghost.off': 'No',
+  'period.today': 'Hoy',
+  'period.week': 'Esta semana',
+  'period.month': 'Este mes',
+  'period.all': 'Siempre',
+  'dailyBoard.today': 'Hoy',
+  'dailyBoard.yesterday': 'Ayer',
+  'option.off': 'No',
+  'option.on': 'Sí',
+  'picker.play': 'Jugar',
+  'picker.difficulty': 'Dificultad',
+  'picker.powerups': 'Potenciadores',
+  'picker.ghost': 'Fantasma',
+  'picker.day': 'Día',
+  'picker.period': 'Periodo',
+  'picker.language': 'Idioma',
+
+  // Main page
+  'app.goodLuck': '¡Buena suerte, {name}!',
+  'app.myStats': 'Mis estadísticas',
+  'app.customize': 'Personalizar',
+  'app.controls': 'Controles',
+  'app.accessibility': 'Accesibilidad',
+  'app.logout': 'Cerrar sesión',
+  'app.pendingScores': {
+    one: '{count} puntuación pendiente de sincronizar',
+    other: '{count} puntuaciones pendientes de sincronizar'
+  },
+  'app.unlocked': {
+    one: '¡Nuevo pájaro desbloqueado: {skins}!',
+    other: '¡Nuevos pájaros desbloqueados: {skins}!'
+  },
+  'app.tryItOn': 'Pruébalo',
+  'app.assistOn': 'El modo de ayuda está activado: tus partidas no cuentan para la clasificación.',
+  'app.change': 'Cambiar',
+  'app.dailyInfo': {
+    one: 'Reto diario {date} · te queda {left} de {count} intento',
+    other: 'Reto diario {date} · te quedan {left} de {count} intentos'
+  },
+  'app.loadingDaily': 'Cargando el reto diario...',
+  'app.dailyDone': 'Ya has usado todos tus intentos de hoy. ¡Vuelve mañana para un nuevo reto!',
+  'common.back': '← Volver al juego',
+
+  // Leaderboard
+  'leaderboard.title': 'Clasificación',
+  'leaderboard.trophy': 'trofeo',
+  'leaderboard.daily': 'Reto diario · {date}',
+  'leaderboard.loading': 'Cargando puntuaciones...',
+  'leaderboard.rank': 'Puesto',
+  'leaderboard.player': 'Jugador',
+  'leaderboard.score': 'Puntos',
+  'leaderboard.setOn': 'Fecha',
+  'leaderboard.first': 'primer puesto',
+  'leaderboard.second': 'segundo puesto',
+  'leaderboard.third': 'tercer puesto',
+  'leaderboard.position': '#{rank}',
+  'leaderboard.empty': 'Aún no hay puntuaciones. ¡Sé el primero en jugar!',
+  'leaderboard.emptyPeriod': 'Aún no hay puntuaciones en este periodo. ¡Sé el primero en jugar!',
+  'footer.createdBy': 'Creado por',
+  'footer.heart': 'corazón',
+
+  // Log in / register
+  'auth.title': '¿Listo para jugar?',
+  'auth.loginIntro': '¡Inicia sesión para empezar a jugar y competir en la clasificación!',
+  'auth.registerIntro': 'Crea una cuenta para que nadie más publique puntuaciones con tu nombre.',
+  'auth.username': 'Usuario:',
+  'auth.usernamePlaceholder': 'Escribe tu nombre de usuario',
+  'auth.password': 'Contraseña:',
+  'auth.passwordPlaceholder': 'Escribe tu contraseña',
+  'auth.login': 'Iniciar sesión',
+  'auth.register': 'Crear cuenta',
+  'auth.toRegister': '¿Eres nuevo? Crea una cuenta',
+  'auth.toLogin': '¿Ya tienes cuenta? Inicia sesión',
+
+  // Privacy
+  'privacy.consent': 'Compartir estadísticas de uso anónimas',
+  'privacy.deleteAccount': 'Eliminar mi cuenta y mis datos',
+  'privacy.deleteSession': 'Eliminar mis datos de uso',
+  'privacy.confirmAccount': '¿Eliminar la cuenta "{name}" con todas sus puntuaciones? No se puede deshacer.',
+  'privacy.confirmSession': '¿Eliminar los datos de uso registrados en esta visita?',
+  'privacy.accountDeleted': 'Tu cuenta y tus datos se han eliminado',
+  'privacy.sessionDeleted': 'Datos de la sesión eliminados',
+  'privacy.claimScores': {
+    one: 'Añadir a mi cuenta {count} puntuación publicada con mi nombre antes de las cuentas',
+    other: 'Añadir a mi cuenta {count} puntuaciones publicadas con mi nombre antes de las cuentas'
+  },
+  'privacy.confirmClaim': 'Añade estas puntuaciones a "{name}" solo si las jugaste tú: se publicaron con ese nombre antes de que existieran las cuentas.',
+  'privacy.scoresClaimed': {
+    one: '{count} puntuación añadida a tu cuenta',
+    other: '{count} puntuaciones añadidas a tu cuenta'
+  },
+
+  // Player profile
+  'profile.loading': 'Cargando perfil...',
+  'profile.notFound': 'No hay ningún jugador llamado "{name}".',
+  'profile.best': 'Récord',
+  'profile.rank': 'Puesto',
+  'profile.games': 'Partidas',
+  'profile.average': 'Media',
+  'profile.median': 'Mediana',
+  'profile.progress': 'Progreso',
+  'profile.recentRuns': 'Partidas recientes',
+  'profile.noGames': 'Aún no hay partidas en esta clasificación.',
+  'profile.played': 'Jugada',
+  'profile.verified': 'Verificada',
+  'profile.verifiedRun': 'verificada',
+  'profile.newer': 'Más recientes',
+  'profile.older': 'Más antiguas',
+  'profile.page': '{from}-{to} de {total}',
+  'chart.empty': 'Juega unas cuantas partidas más para ver tu progreso aquí.',
+  'chart.label': {
+    one: 'Puntuación de la última partida, {max}',
+    other: 'Puntuaciones de las últimas {count} partidas, hasta {max}'
+  },
+
+  // Customize
+  'customize.title': 'Personalizar',
+  'customize.bird': 'Pájaro',
+  'customize.locked': 'Consigue {score} puntos para desbloquearlo',
+  'customize.world': 'Mundo',
+  'customize.theme': 'Tema',
+  'skin.classic': 'Clásico',
+  'skin.bluejay': 'Arrendajo azul',
+  'skin.cardinal': 'Cardenal',
+  'skin.phoenix': 'Fénix',
+  'theme.day': 'Día',
+  'theme.sunset': 'Atardecer',
+  'theme.night': 'Noche',
+
+  // Achievements
+  'achievement.pipes10': 'Diez menos',
+  'achievement.pipes10.description': 'Pasa 10 tubos en una partida',
+  'achievement.speed5': 'Velocidad máxima',
+  'achievement.speed5.description': 'Alcanza el nivel de velocidad 5',
+  'achievement.closeCall': 'Por los pelos',
+  'achievement.closeCall.description': 'Pasa por un hueco casi rozando',
+  'achievement.games50': 'Viajero frecuente',
+  'achievement.games50.description': 'Juega 50 partidas',
+  'achievement.toast': 'Logro desbloqueado: {name}',
+  'achievement.unlockedOn': 'Desbloqueado el {date}',
+  'achievement.locked': 'Bloqueado',
+  'achievement.players': '{percent} de los jugadores',
+  'profile.achievements': 'Logros',
+
+  // Controls
+  'controls.title': 'Controles',
+  'controls.action': 'Acción',
+  'controls.keyboard': 'Teclado',
+  'controls.controller': 'Mando',
+  'controls.keyLabel': 'Tecla de {action}: {binding}',
+  'controls.buttonLabel': 'Botón del mando de {action}: {binding}',
+  'controls.keyListening': 'Pulsa una tecla...',
+  'controls.buttonListening': 'Pulsa un botón...',
+  'controls.hint': 'Hacer clic o tocar el juego siempre hace aletear. Conecta un mando y pulsa cualquier botón para usarlo.',
+  'controls.reset': 'Restablecer',
+  'action.flap': 'Aletear / Empezar',
+  'action.flap2': 'Aletear (jugador 2)',
+  'action.pause': 'Pausa / Continuar',
+  'action.restart': 'Reiniciar',
+  'action.mute': 'Silenciar / Activar sonido',
+  'key.Space': 'Espacio',
+  'key.Enter': 'Intro',
+  'key.ShiftLeft': 'Mayús izq.',
+  'key.ShiftRight': 'Mayús der.',
+  'button.8': 'Atrás',
+  'button.9': 'Inicio',
+  'button.10': 'Stick izquierdo',
+  'button.11': 'Stick derecho',
+  'button.12': 'Cruceta arriba',
+  'button.13': 'Cruceta abajo',
+  'button.14': 'Cruceta izquierda',
+  'button.15': 'Cruceta derecha',
+  'button.16': 'Guía',
+  'button.other': 'Botón {number}',
+
+  // Accessibility
+  'a11y.title': 'Accesibilidad',
+  'a11y.display': 'Pantalla',
+  'a11y.highContrast': 'Alto contraste',
+  'a11y.reducedMotion': 'Movimiento reducido',
+  'a11y.displayHint': 'El movimiento reducido quita los destellos, el aleteo y las animaciones de la página. Las puntuaciones, las pausas y el final de la partida también se anuncian a los lectores de pantalla.',
+  'a11y.input': 'Entrada',
+  'a11y.oneSwitch': 'Un pulsador',
+  'a11y.oneSwitchHint': 'Cualquier tecla, botón del mando o toque en el juego funciona como el mismo pulsador: púlsalo para empezar y aletear, mantenlo un segundo para pausar y vuelve a pulsarlo para continuar o jugar de nuevo.',
+  'a11y.assistMode': 'Modo de ayuda',
+  'a11y.assist': 'Ayuda',
+  'a11y.speed': 'Velocidad del juego',
+  'a11y.gravity': 'Gravedad',
+  'a11y.assistHint': 'Las partidas con ayuda no aparecen en las clasificaciones ni en las estadísticas y no desbloquean pájaros ni logros. El reto diario se juega siempre sin ayuda.',
+
+  // Errors, by the backend's error codes where there is one
+  'error.network': 'No se pudo conectar con el servidor. Inténtalo de nuevo más tarde.',
+  'error.daily': 'No se pudo cargar el reto diario. Inténtalo de nuevo más tarde.',
+  'error.leaderboard': 'No se pudo cargar la clasificación. Inténtalo de nuevo más tarde.',
+  'error.profile': 'No se pudo cargar este perfil. Inténtalo de nuevo más tarde.',
+  'error.INVALID_CREDENTIALS': 'El usuario debe tener de 3 a 20 letras, números, espacios, guiones o guiones bajos, y la contraseña al menos 8 caracteres.',
+  'error.INVALID_LOGIN': 'Usuario o contraseña incorrectos',
+  'error.USERNAME_TAKEN': 'Ese nombre de usuario ya existe',
+  'error.RATE_LIMITED': 'Demasiadas peticiones, ve más despacio',
+  'error.raceConnection': 'Se perdió la conexión con la sala de carrera.',
+  'error.AUTH_REQUIRED': 'Inicia sesión primero.',
+  'error.ROOM_NOT_FOUND': 'No hay ninguna sala con este código.',
+  'error.ROOM_STARTED': 'Esta carrera ya ha empezado.',
+  'error.ROOM_FULL': 'Esta sala está llena.',
+  'error.REPLACED': 'Te has unido a esta sala en otra ventana.'
+};
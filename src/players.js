@@ -0,0 +1,34 @@
+// Player profiles - stats and run history from /api/players
+import axios from 'axios';
+import { apiUrl } from './api';
+
+const playerPath = (username, path) => `/players/${encodeURIComponent(username)}${path}`;
+
+export const fetchPlayerStats = async (username, { mode, powerups = false }) => {
+  const response = await axios.get(apiUrl(playerPath(username, '/stats')), { params: { mode, powerups } });
+  return response.data;
+};
+
+// Resolves to { scores, total, limit, offset }, newest run first
+export const fetchPlayerScores = async (username, { mode, powerups = false, limit, offset = 0 }) => {
+  const response = await axios.get(apiUrl(playerPath(username, '/scores')), {
+    params: { mode, powerups, limit, offset }
+  });
+  return response.data;
+};
+
+// Profiles are opened through the URL hash ("#/player/<name>"), so any
+// leaderboard entry can be a plain link
+export const profileLink = (username) => `#/player/${encodeURIComponent(username)}`;
+
+export const profileFromHash = (hash) => {
+  const match = /^#\/player\/(.+)$/.exec(hash);
+  if (!match) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return null;
+  }
+};
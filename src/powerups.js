@@ -0,0 +1,12 @@
+// Power-up setting - on or off per difficulty, remembered on this device.
+// Runs with power-ups are ranked on their own leaderboards.
+import { loadValue, saveValue } from './storage';
+
+const storageKey = (mode) => `flappybird.powerups.${mode}`;
+
+// Named and described by powerups.* in the message catalogs
+export const POWERUP_SETTINGS = ['off', 'on'];
+
+export const loadPowerupsSetting = (mode) => loadValue(storageKey(mode)) === 'on';
+
+export const savePowerupsSetting = (mode, enabled) => saveValue(storageKey(mode), enabled ? 'on' : 'off');
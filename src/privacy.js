@@ -0,0 +1,76 @@
+// Analytics consent and data deletion requests
+import axios from 'axios';
+import { apiUrl } from './api';
+import { loadValue, removeValue, saveValue } from './storage';
+
+const CONSENT_KEY = 'flappybird.analytics';
+const SESSION_KEY = 'flappybird.analyticsSession';
+// Read by the backend for page loads, which can't carry our headers
+const CONSENT_COOKIE = 'flappybird_analytics';
+// Google Analytics property loaded by public/index.html
+const GA_ID = 'G-HV2Q828ZR6';
+
+// Random id grouping this tab's requests, so its analytics can be deleted
+const getSessionId = () => {
+  let sessionId = sessionStorage.getItem(SESSION_KEY);
+  if (!sessionId) {
+    sessionId = Array.from(window.crypto.getRandomValues(new Uint8Array(16)))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    sessionStorage.setItem(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+// Analytics are off by default when the browser sends Do Not Track
+export const loadConsent = () => {
+  const saved = loadValue(CONSENT_KEY);
+  if (saved === 'granted' || saved === 'denied') {
+    return saved === 'granted';
+  }
+  return navigator.doNotTrack !== '1';
+};
+
+// Tell the backend whether to log our requests
+export const applyConsent = (granted) => {
+  const consent = granted ? 'granted' : 'denied';
+  axios.defaults.headers.common['X-Analytics-Consent'] = consent;
+  document.cookie = `${CONSENT_COOKIE}=${consent}; path=/; max-age=31536000; SameSite=Lax`;
+  // Stops Google Analytics if it's already loaded; after a reload index.html
+  // doesn't load the third-party trackers at all
+  window[`ga-disable-${GA_ID}`] = !granted;
+
+  try {
+    if (granted) {
+      axios.defaults.headers.common['X-Session-Id'] = getSessionId();
+    } else {
+      delete axios.defaults.headers.common['X-Session-Id'];
+    }
+  } catch (error) {
+    // No session storage - requests just aren't grouped
+  }
+};
+
+export const saveConsent = (granted) => {
+  saveValue(CONSENT_KEY, granted ? 'granted' : 'denied');
+  // Umami's own opt-out switch
+  if (granted) {
+    removeValue('umami.disabled');
+  } else {
+    saveValue('umami.disabled', '1');
+  }
+  applyConsent(granted);
+};
+
+// Deletes the account and its scores when logged in, otherwise only the
+// analytics of this browsing session
+export const deleteMyData = async (loggedIn) => {
+  const headers = {};
+  try {
+    headers['X-Session-Id'] = getSessionId();
+  } catch (error) {
+    // No session storage - nothing was grouped under an id
+  }
+  const response = await axios.delete(apiUrl(loggedIn ? '/privacy/me' : '/privacy/session'), { headers });
+  return response.data;
+};
@@ -0,0 +1,47 @@
+// Online race rooms - the WebSocket connection to the room server (see
+// backend/raceRooms.js). Messages both ways are JSON objects with a `type`.
+import { apiUrl, getAuthToken } from './api';
+
+// The game reports its bird every few frames; the other birds are drawn where
+// they last reported
+export const POSITION_EVERY = 3;
+
+// Room codes as the server makes them, and the players a race needs
+export const CODE_LENGTH = 5;
+export const MIN_PLAYERS = 2;
+
+// ws:// or wss:// next to the API
+const raceUrl = () => new URL(apiUrl('/race'), window.location.href).href.replace(/^http/, 'ws');
+
+// Connects and sends `hello` (a create or join message, which gets the
+// session token added) once the connection is open. Calls onMessage with
+// every message from the server and onClose when the connection is gone.
+// Returns the connection's send and close functions.
+export const connectToRace = (hello, { onMessage, onClose }) => {
+  const socket = new WebSocket(raceUrl());
+  let closed = false;
+
+  const send = (message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  socket.onopen = () => send(Object.assign({ token: getAuthToken() }, hello));
+  socket.onmessage = (event) => onMessage(JSON.parse(event.data));
+  socket.onclose = () => {
+    if (!closed) {
+      closed = true;
+      onClose();
+    }
+  };
+
+  return {
+    send,
+    // Leaving on purpose doesn't call onClose
+    close: () => {
+      closed = true;
+      socket.close();
+    }
+  };
+};
@@ -0,0 +1,182 @@
+// Score submissions waiting for the server
+// Finished runs are saved to IndexedDB before they're sent, so a score from a
+// flaky connection (or a closed tab) isn't lost. Failed submissions are retried
+// with a growing delay, and right away when the browser comes back online.
+// Every run carries a client-generated id the server uses to ignore retries of
+// a submission that already went through.
+import axios from 'axios';
+import { apiUrl } from './api';
+
+const DB_NAME = 'flappybird';
+const STORE = 'pendingScores';
+const MIN_RETRY_MS = 2000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+let databaseRequest = null;
+// Used when IndexedDB is unavailable (e.g. some private modes)
+const memoryStore = new Map();
+
+const openDatabase = () => {
+  if (!databaseRequest) {
+    databaseRequest = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'clientRunId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.warn('Pending scores are kept in memory only:', error);
+      return null;
+    });
+  }
+  return databaseRequest;
+};
+
+// Runs one request against the store and resolves with its result
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  if (!db) {
+    return null;
+  }
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const saveEntry = async (entry) => {
+  memoryStore.set(entry.clientRunId, entry);
+  await withStore('readwrite', store => store.put(entry));
+};
+
+const removeEntry = async (clientRunId) => {
+  memoryStore.delete(clientRunId);
+  await withStore('readwrite', store => store.delete(clientRunId));
+};
+
+const loadEntries = async () => {
+  const saved = await withStore('readonly', store => store.getAll());
+  const entries = saved || Array.from(memoryStore.values());
+  return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+let currentUser = null;
+let flushing = null;
+let retryTimer = null;
+let retryDelay = MIN_RETRY_MS;
+const listeners = new Set();
+
+const notifyChange = async () => {
+  const entries = await loadEntries();
+  const pending = entries.filter(entry => entry.username === currentUser).length;
+  listeners.forEach(listener => listener.onChange && listener.onChange(pending));
+};
+
+const notifySynced = (entry, result) => {
+  listeners.forEach(listener => listener.onSynced && listener.onSynced(entry, result));
+};
+
+// Network errors, server errors, rate limits and lost sessions are worth
+// another try; anything else means the server refused the score for good
+const isRetryable = (error) => {
+  const status = error.response && error.response.status;
+  return !status || status >= 500 || status === 429 || status === 401;
+};
+
+const scheduleRetry = () => {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(flushQueue, retryDelay);
+  retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+};
+
+// Send the current player's queued scores, oldest first. Scores of other
+// players wait until they log in again, as they need their session.
+const sendPending = async () => {
+  const entries = (await loadEntries()).filter(entry => entry.username === currentUser);
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    try {
+      const response = await axios.post(apiUrl('/scores'), entry.submission);
+      await removeEntry(entry.clientRunId);
+      notifySynced(entry, response.data);
+    } catch (error) {
+      if (isRetryable(error)) {
+        scheduleRetry();
+        return;
+      }
+      const code = error.response.data && error.response.data.code;
+      console.error('Score was refused:', code || error.response.status);
+      await removeEntry(entry.clientRunId);
+    }
+  }
+  retryDelay = MIN_RETRY_MS;
+};
+
+// Scores queued while a flush is running are picked up by another round
+let flushRequested = false;
+
+export const flushQueue = () => {
+  flushRequested = true;
+  if (!flushing) {
+    flushing = (async () => {
+      while (flushRequested) {
+        flushRequested = false;
+        await sendPending();
+      }
+    })()
+      .catch(error => console.error('Failed to sync scores:', error))
+      .then(() => {
+        flushing = null;
+        return notifyChange();
+      });
+  }
+  return flushing;
+};
+
+export const createClientRunId = () => Array.from(window.crypto.getRandomValues(new Uint8Array(16)))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+// Save a finished run and try to send it
+export const queueScore = async (username, submission) => {
+  const entry = { clientRunId: submission.clientRunId, username, submission, queuedAt: Date.now() };
+  try {
+    await saveEntry(entry);
+  } catch (error) {
+    console.error('Failed to save pending score:', error);
+  }
+  await notifyChange();
+  retryDelay = MIN_RETRY_MS;
+  return flushQueue();
+};
+
+// Whose scores to send - null while nobody is logged in
+export const setQueueUser = (username) => {
+  currentUser = username;
+  clearTimeout(retryTimer);
+  retryDelay = MIN_RETRY_MS;
+  if (username) {
+    flushQueue();
+  } else {
+    notifyChange();
+  }
+};
+
+// listener: { onChange(pendingCount), onSynced(entry, result) }
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+window.addEventListener('online', () => {
+  retryDelay = MIN_RETRY_MS;
+  flushQueue();
+});
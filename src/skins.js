@@ -0,0 +1,197 @@
+// Bird skins and world themes (named by skin.* and theme.* in the message
+// catalogs)
+// A skin is either drawn with canvas shapes in its colours or taken from a
+// sprite sheet: `frames` pictures of `frameSize` px side by side, wing up to
+// wing down, with the bird's body a circle of `bodyRadius` px in the middle of
+// each frame. Until a sheet has loaded (or when it can't be, e.g. offline) the
+// skin falls back to the shapes. Some skins unlock at score milestones, see
+// src/engine/unlocks.js.
+import axios from 'axios';
+import { apiUrl } from './api';
+import { SKIN_UNLOCKS } from './engine';
+import { loadValue, saveValue } from './storage';
+
+export const SKINS = {
+  classic: {
+    id: 'classic',
+    colors: { inner: '#FFD700', outer: '#FF8C00', outline: '#FF4500' }
+  },
+  bluejay: {
+    id: 'bluejay',
+    colors: { inner: '#90CAF9', outer: '#42A5F5', outline: '#0D47A1' },
+    sprite: { src: 'skins/bluejay.svg', frameSize: 48, frames: 3, bodyRadius: 16 }
+  },
+  cardinal: {
+    id: 'cardinal',
+    colors: { inner: '#EF9A9A', outer: '#E53935', outline: '#7F0000' },
+    sprite: { src: 'skins/cardinal.svg', frameSize: 48, frames: 3, bodyRadius: 16 }
+  },
+  phoenix: {
+    id: 'phoenix',
+    colors: { inner: '#FFEB3B', outer: '#FF7043', outline: '#BF360C' },
+    sprite: { src: 'skins/phoenix.svg', frameSize: 48, frames: 3, bodyRadius: 16 }
+  }
+};
+
+export const DEFAULT_SKIN = 'classic';
+
+// The birds of a versus game, by player. Always drawn with shapes, in colours
+// that tell them apart.
+export const PLAYER_SKINS = [
+  SKINS.classic,
+  {
+    id: 'player2',
+    colors: { inner: '#F48FB1', outer: '#E91E63', outline: '#880E4F' }
+  }
+];
+
+// Sky, ground and obstacle colours. Pipe colours are edge, middle and border;
+// pipes whose gap moves get their own so players can tell them apart.
+export const THEMES = {
+  day: {
+    id: 'day',
+    sky: ['#87CEEB', '#98FB98'],
+    ground: '#8B4513',
+    pipes: {
+      static: ['#228B22', '#32CD32', '#006400'],
+      moving: ['#1E6FA8', '#42A5F5', '#0D3C61'],
+      closing: ['#B23A1E', '#EF6C42', '#6D1F0D']
+    },
+    ceiling: { rock: '#5D4037', edge: '#3E2723', spikes: '#9E9E9E' }
+  },
+  sunset: {
+    id: 'sunset',
+    sky: ['#FF7E5F', '#FEB47B'],
+    ground: '#6D3B1F',
+    pipes: {
+      static: ['#2E7D32', '#66BB6A', '#1B5E20'],
+      moving: ['#4527A0', '#7E57C2', '#1A0D4D'],
+      closing: ['#AD1457', '#EC407A', '#560027']
+    },
+    ceiling: { rock: '#4E342E', edge: '#2B1B17', spikes: '#BCAAA4' }
+  },
+  night: {
+    id: 'night',
+    sky: ['#0B1026', '#2B3A67'],
+    ground: '#2E2A24',
+    pipes: {
+      static: ['#1B5E20', '#43A047', '#0A2E0D'],
+      moving: ['#006064', '#26C6DA', '#00292B'],
+      closing: ['#8E0000', '#E53935', '#3D0000']
+    },
+    ceiling: { rock: '#37474F', edge: '#1C262B', spikes: '#CFD8DC' }
+  }
+};
+
+export const DEFAULT_THEME = 'day';
+
+// Used instead of the chosen theme in high contrast mode (see accessibility.js)
+export const HIGH_CONTRAST_THEME = {
+  id: 'contrast',
+  sky: ['#000000', '#000000'],
+  ground: '#FFFFFF',
+  pipes: {
+    static: ['#00FFFF', '#00FFFF', '#FFFFFF'],
+    moving: ['#FF00FF', '#FF00FF', '#FFFFFF'],
+    closing: ['#FF8000', '#FF8000', '#FFFFFF']
+  },
+  ceiling: { rock: '#FFFFFF', edge: '#FFFFFF', spikes: '#FF0000' }
+};
+
+export const getSkin = (id) => SKINS[id] || SKINS[DEFAULT_SKIN];
+
+export const getTheme = (id) => THEMES[id] || THEMES[DEFAULT_THEME];
+
+// Score needed to unlock a skin, or 0 for skins everyone has
+export const unlockScore = (id) => SKIN_UNLOCKS[id] || 0;
+
+export const isSkinUnlocked = (id, unlocked) => unlockScore(id) === 0 || unlocked.indexOf(id) !== -1;
+
+// Sprite sheets by source; each starts loading the first time it's asked for
+const sprites = {};
+
+// Resolves to the image of a sheet once it has loaded
+export const loadSprite = (sprite) => {
+  if (!sprites[sprite.src]) {
+    const image = new Image();
+    const entry = { image, ready: false };
+    entry.promise = new Promise((resolve, reject) => {
+      image.onload = () => {
+        entry.ready = true;
+        resolve(image);
+      };
+      image.onerror = reject;
+    });
+    // Nobody has to wait for it; the bird is drawn with shapes meanwhile
+    entry.promise.catch(() => console.warn(`Failed to load sprite sheet ${sprite.src}`));
+    image.src = `${process.env.PUBLIC_URL}/${sprite.src}`;
+    sprites[sprite.src] = entry;
+  }
+  return sprites[sprite.src].promise;
+};
+
+// The image of a sheet, or null while it isn't loaded
+const getSprite = (sprite) => {
+  loadSprite(sprite);
+  return sprites[sprite.src].ready ? sprites[sprite.src].image : null;
+};
+
+// Frame of the sheet to show: the wings beat while the bird rises and are
+// held level while it falls. `tick` is any counter that goes up once a frame.
+const spriteFrame = (sprite, bird, tick) => {
+  if (bird.velocity < 0) {
+    return Math.floor(tick / 4) % sprite.frames;
+  }
+  return Math.floor(sprite.frames / 2);
+};
+
+// Bird renderer
+export const drawBird = (ctx, bird, skin = SKINS[DEFAULT_SKIN], tick = 0) => {
+  const image = skin.sprite && getSprite(skin.sprite);
+  if (image) {
+    const { frameSize, bodyRadius } = skin.sprite;
+    // Scale the sheet so its body matches the bird's hitbox
+    const size = frameSize * (bird.radius / bodyRadius);
+    const frame = spriteFrame(skin.sprite, bird, tick);
+    ctx.drawImage(image, frame * frameSize, 0, frameSize, frameSize, bird.x - size / 2, bird.y - size / 2, size, size);
+    return;
+  }
+
+  // Draw bird with gradient and better styling
+  const gradient = ctx.createRadialGradient(bird.x, bird.y, 0, bird.x, bird.y, bird.radius);
+  gradient.addColorStop(0, skin.colors.inner);
+  gradient.addColorStop(1, skin.colors.outer);
+  
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.arc(bird.x, bird.y, bird.radius, 0, 2 * Math.PI);
+  ctx.fill();
+  
+  // Add outline
+  ctx.strokeStyle = skin.colors.outline;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  
+  // Add eye
+  ctx.fillStyle = '#000';
+  ctx.beginPath();
+  ctx.arc(bird.x + 5, bird.y - 3, 3, 0, 2 * Math.PI);
+  ctx.fill();
+};
+
+const SKIN_KEY = 'flappybird.skin';
+const THEME_KEY = 'flappybird.theme';
+
+export const loadSkinChoice = () => getSkin(loadValue(SKIN_KEY, DEFAULT_SKIN)).id;
+
+export const saveSkinChoice = (id) => saveValue(SKIN_KEY, id);
+
+export const loadThemeChoice = () => getTheme(loadValue(THEME_KEY, DEFAULT_THEME)).id;
+
+export const saveThemeChoice = (id) => saveValue(THEME_KEY, id);
+
+// Skins the logged in player has unlocked on any device
+export const fetchUnlockedSkins = async () => {
+  const response = await axios.get(apiUrl('/unlocks'));
+  return response.data.skins.map(unlock => unlock.skin);
+};
@@ -0,0 +1,73 @@
+// Run tokens kept for playing offline
+// Scores only count for runs the server started (see POST /api/runs). While
+// online the game keeps a few spare runs for the settings being played, so a
+// game started without a connection still has a token and its score can be
+// queued and ranked once it is sent. Daily runs are never kept spare, as
+// every one started uses up an attempt.
+import axios from 'axios';
+import { apiUrl } from './api';
+import { loadJson, removeValue, saveJson } from './storage';
+
+const SPARE_RUNS = 3;
+// Runs expire on the server a day after they were started, which has to
+// leave time to play and send the score. This knowingly gives up the
+// server's elapsed-time check (backend/plausibility.js) for runs played on a
+// spare token: any run fits into the hours a token can be kept, so only
+// replay verification vouches for those scores.
+const MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+const storageKey = (username) => `flappybird.spareRuns.${username}`;
+
+const sameSettings = (run, { mode, powerups, assist }) => (
+  run.mode === mode &&
+  run.powerups === Boolean(powerups) &&
+  JSON.stringify(run.assist || null) === JSON.stringify(assist || null)
+);
+
+// Without storage there are no spare runs and offline games stay unranked
+const loadRuns = (username) => (
+  loadJson(storageKey(username), []).filter(run => Date.now() - run.issuedAt < MAX_AGE_MS)
+);
+
+const saveRuns = (username, runs) => saveJson(storageKey(username), runs);
+
+// A spare run for these settings, used up by taking it; null if none is left
+export const takeSpareRun = (username, settings) => {
+  const runs = loadRuns(username);
+  const index = runs.findIndex(run => sameSettings(run, settings));
+  if (index === -1) {
+    saveRuns(username, runs);
+    return null;
+  }
+  const run = runs.splice(index, 1)[0];
+  saveRuns(username, runs);
+  return run;
+};
+
+let toppingUp = false;
+
+// Start runs on the server until there are SPARE_RUNS for these settings
+export const topUpSpareRuns = async (username, settings) => {
+  if (toppingUp || !username) {
+    return;
+  }
+  toppingUp = true;
+  try {
+    const kept = loadRuns(username).filter(run => sameSettings(run, settings)).length;
+    for (let i = kept; i < SPARE_RUNS; i++) {
+      const response = await axios.post(apiUrl('/runs'), {
+        mode: settings.mode,
+        powerups: Boolean(settings.powerups),
+        assist: settings.assist || null
+      });
+      saveRuns(username, loadRuns(username).concat([Object.assign({}, response.data, { issuedAt: Date.now() })]));
+    }
+  } catch (error) {
+    // Try again after the next game
+  } finally {
+    toppingUp = false;
+  }
+};
+
+// Forget the player's spare runs on this device
+export const clearSpareRuns = (username) => removeValue(storageKey(username));
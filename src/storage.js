@@ -0,0 +1,44 @@
+// Settings and choices remembered on this device, in localStorage
+// Storage can be missing or full (e.g. in some private modes): reads then
+// give the fallback and saving does nothing, so a choice isn't remembered
+// once the page is closed.
+
+export const loadValue = (key, fallback = null) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved === null ? fallback : saved;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const saveValue = (key, value) => {
+  try {
+    localStorage.setItem(key, value);
+  } catch (error) {
+    // Not remembered
+  }
+};
+
+export const removeValue = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    // Nothing saved without storage
+  }
+};
+
+// The same for anything JSON can hold; unreadable entries give the fallback
+export const loadJson = (key, fallback = null) => {
+  const saved = loadValue(key);
+  if (saved === null) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const saveJson = (key, value) => saveValue(key, JSON.stringify(value));
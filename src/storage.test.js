@@ -0,0 +1,46 @@
+import { loadJson, loadValue, removeValue, saveJson, saveValue } from './storage';
+
+describe('storage', () => {
+  afterEach(() => {
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('saves, loads and removes values', () => {
+    expect(loadValue('test.key', 'fallback')).toBe('fallback');
+    saveValue('test.key', 'on');
+    expect(loadValue('test.key', 'fallback')).toBe('on');
+    removeValue('test.key');
+    expect(loadValue('test.key')).toBeNull();
+  });
+
+  it('saves and loads JSON', () => {
+    saveJson('test.json', { volume: 0.5, keys: ['Space'] });
+
+    expect(loadJson('test.json')).toEqual({ volume: 0.5, keys: ['Space'] });
+    expect(loadJson('test.missing', [])).toEqual([]);
+  });
+
+  it('gives the fallback for unreadable JSON', () => {
+    saveValue('test.json', '{broken');
+
+    expect(loadJson('test.json', {})).toEqual({});
+  });
+
+  it('carries on without storage', () => {
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    jest.spyOn(Storage.prototype, 'removeItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+
+    expect(() => saveValue('test.key', 'on')).not.toThrow();
+    expect(() => removeValue('test.key')).not.toThrow();
+    expect(loadValue('test.key', 'fallback')).toBe('fallback');
+    expect(loadJson('test.key', [])).toEqual([]);
+  });
+});